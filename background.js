@@ -1,18 +1,42 @@
 // Background Service Worker
-import { isInitialized } from './modules/llm/index.js';
-import { executeAction, unwrapFinalAnswer } from './modules/executor.js';
-import { getAction } from './modules/actions/index.js';
+import { isInitialized, createBudget, getBudgetLimits } from './modules/llm/index.js';
+import { executeAction, unwrapFinalAnswer, isAbortError, renderWithContext } from './modules/executor.js';
+import { getAction, loadCustomActions, registerCustomActions, checkCustomActions } from './modules/actions/index.js';
+import { setCustomActions } from './modules/actions/custom-actions.js';
 import { ROUTER_ACTION } from './modules/actions/router-action.js';
-import { tabManager } from './modules/content-bridge.js';
+import { RUN_WORKFLOW } from './modules/actions/workflow-actions.js';
+import { commandActions } from './modules/actions/command-actions.js';
+import { tabManager, startElementPicker, stopElementPicker, agentRunStarted, agentRunEnded } from './modules/content-bridge.js';
+import { saveCheckpoint, getCheckpoint, getCheckpoints, clearCheckpoint } from './modules/checkpoint.js';
+import { registerMiddleware } from './modules/middleware.js';
+import { approvalMiddleware } from './modules/approval.js';
+import { dryRunMiddleware, formatDryRunPlan } from './modules/dry-run.js';
+import { startRecording, stopRecording, getRecording, addRecordedStep } from './modules/recorder.js';
+import { getTasks, getTask, parseTaskCommand, taskArguments, formatTaskCommand, recordTaskRun, SHORTCUT_SLOTS, shortcutCommand } from './modules/tasks.js';
+import { initScheduler, runScheduleNow, clearScheduleBadge } from './modules/scheduler.js';
+import { addSessionMessages } from './modules/sessions.js';
+import { initContextMenus } from './modules/context-menus.js';
 import logger from './modules/logger.js';
 
-const PREVIOUS_CHAT_KEY = 'previous_chat_context';
-const MAX_RESPONSE_PREVIEW_LENGTH = 500;
+// Run started outside the panel, picked up by the panel when it opens (or right away if it is open)
+const PENDING_LAUNCH_KEY = 'pendingLaunch';
+// Scheduled runs nobody is watching are cut off after this long
+const SCHEDULED_RUN_TIMEOUT_MS = 10 * 60 * 1000;
 
 // Track panel open state per window
 const panelOpenState = new Map();
 // Lock to prevent race conditions from rapid clicks
 const toggleLock = new Map();
+// In-flight run { id, controller }; the controller is aborted by the side panel Stop button
+let activeRun = null;
+// User-defined actions from settings; runs wait for them after a service worker restart
+let customActionsReady = loadCustomActions().catch(error => logger.error('Failed to load custom actions', { error: error.message }));
+
+// Dry runs simulate page-changing tool calls; the rest of the high-risk ones wait for the user's approval
+registerMiddleware(dryRunMiddleware);
+registerMiddleware(approvalMiddleware);
+
+initScheduler(runScheduledGoal);
 
 // Toggle side panel on extension icon click
 chrome.action.onClicked.addListener(async (tab) => {
@@ -52,12 +76,42 @@ async function toggleSidePanel(windowId) {
   }
 }
 
+// Task shortcuts (manifest commands run-task-N) open the panel and run the task in that slot there
+chrome.commands.onCommand.addListener((command, tab) => {
+  const slot = SHORTCUT_SLOTS.find(n => shortcutCommand(n) === command);
+  if (!slot || !tab?.windowId) return;
+  // Opened before any await: the shortcut's user gesture does not survive one
+  const opened = chrome.sidePanel.open({ windowId: tab.windowId }).then(() => panelOpenState.set(tab.windowId, true), () => {});
+  getTasks().then(async tasks => {
+    const task = tasks.find(t => t.shortcut === slot);
+    if (task) await launchInPanel({ task: task.name }, opened);
+  });
+});
+
+// Context menu entries open the panel the same way and run there about what was right-clicked
+initContextMenus((info, tab, pending) => {
+  const opened = chrome.sidePanel.open({ windowId: tab.windowId }).then(() => panelOpenState.set(tab.windowId, true), () => {});
+  pending.then(async launch => {
+    if (launch) await launchInPanel(launch, opened);
+  }).catch(error => logger.error('Context menu launch failed', { error: error.message }));
+});
+
+/**
+ * Hand a run to the panel: { task } runs a saved task, { message, target } a chat message about a page target
+ */
+async function launchInPanel(launch, opened) {
+  await chrome.storage.session.set({ [PENDING_LAUNCH_KEY]: launch });
+  await opened;
+  chrome.runtime.sendMessage({ action: 'pendingLaunch' }).catch(() => {});
+}
+
 // Listen for messages from side panel and DevTools
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'panelOpened') {
     chrome.windows.getCurrent().then(window => {
       panelOpenState.set(window.id, true);
     });
+    clearScheduleBadge();
     return false;
   }
 
@@ -82,52 +136,271 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.action === 'processMessage') {
     handleUserMessage(message)
-      .then(result => sendResponse({ result }))
+      .then(({ answer, traceId }) => sendResponse({ result: answer, traceId }))
+      .catch(error => sendResponse(isAbortError(error) ? { cancelled: true } : { error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'cancelTask') {
+    activeRun?.controller.abort(new DOMException('Task cancelled by user', 'AbortError'));
+    return false;
+  }
+
+  if (message.action === 'getInterruptedRuns') {
+    getInterruptedRuns()
+      .then(runs => sendResponse({ runs }))
+      .catch(() => sendResponse({ runs: [] }));
+    return true;
+  }
+
+  if (message.action === 'resumeRun') {
+    resumeRun(message.runId, message.sessionId)
+      .then(({ answer, traceId }) => sendResponse({ result: answer, traceId }))
+      .catch(error => sendResponse(isAbortError(error) ? { cancelled: true } : { error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'saveCustomActions') {
+    saveCustomActions(message.actions)
+      .then(response => sendResponse(response))
+      .catch(error => sendResponse({ errors: [error.message] }));
+    return true;
+  }
+
+  if (message.action === 'startRecording') {
+    startRecording()
+      .then(response => sendResponse(response))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'stopRecording') {
+    stopRecording()
+      .then(recording => sendResponse({ recording }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getRecording') {
+    getRecording()
+      .then(recording => sendResponse({ recording }))
+      .catch(() => sendResponse({ recording: null }));
+    return true;
+  }
+
+  if (message.action === 'recordedStep') {
+    addRecordedStep(message.step, sender.tab?.id);
+    return false;
+  }
+
+  if (message.action === 'startElementPicker') {
+    pickElementInActiveTab()
+      .then(response => sendResponse(response))
       .catch(error => sendResponse({ error: error.message }));
     return true;
   }
+
+  if (message.action === 'stopElementPicker') {
+    stopElementPicker(message.tab).catch(() => {});
+    return false;
+  }
+
+  if (message.action === 'runScheduleNow') {
+    runScheduleNow(message.id)
+      .then(run => sendResponse({ run }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'discardRun') {
+    clearCheckpoint(message.runId);
+    return false;
+  }
 });
 
-async function handleUserMessage({ message }) {
-  const actionName = ROUTER_ACTION.name;
-  const params = { goal: message };
+// Goal of a saved task, rendered like action prompts (plain text, so values are not HTML-escaped)
+async function renderTaskGoal({ name, args = {}, rest = '' }) {
+  const task = await getTask(name);
+  if (!task) throw new Error(`No task named "${name}"`);
+  const { args: filled, missing } = taskArguments(task, { args, rest });
+  if (missing.length) throw new Error(`Missing ${missing.join(', ')}. Usage: ${formatTaskCommand(name, filled, missing)}`);
+  return { goal: await renderWithContext(task.goal, filled, { escape: String }), args: filled };
+}
+
+/**
+ * A run is a chat message for the ROUTER, a saved task ({ name, args, rest }, rendered into the ROUTER goal),
+ * the replay of a recorded workflow (by name) or a slash command ({ action, params } of a command action).
+ * A chat message can carry a target the user pointed at in the page (see context-menus.js), passed to the ROUTER.
+ * The exchange is added to the chat session it was sent from.
+ * @returns {Promise<{answer: string, traceId: string|null}>}
+ */
+async function handleUserMessage({ message, runId = crypto.randomUUID(), resume = null, spent = null, dryRun = null, workflow = null, task = null, command = null, target = null, sessionId = null }) {
+  const actionName = workflow ? RUN_WORKFLOW.name : command ? command.action : ROUTER_ACTION.name;
+  const controller = new AbortController();
+  activeRun = { id: runId, controller };
+  // Simulated steps of a dry run; checkpointed so a resumed run keeps the steps planned before the restart
+  const plan = dryRun ? { steps: dryRun.steps || [] } : null;
+  // Spend is checkpointed too, so a resumed run does not start its budget over
+  let budget = null;
+  const onCheckpoint = frames => saveCheckpoint(runId, { goal: message, frames, dryRun: plan, spent: budget?.spent, workflow, task, command, target });
+  const startedAt = Date.now();
+  let traceId = null;
+  let taskArgs = task?.args || {};
+  // Read before the run so the tab is the one the message was sent about
+  const tab = sessionId ? describeActiveTab().catch(() => null) : null;
+  const onProgress = event => {
+    if (event.type === 'run') traceId = event.traceId;
+    forwardProgress(event);
+  };
+  agentRunStarted(runId);
 
   try {
     if (!(await isInitialized())) {
       throw new Error('No LLM endpoints configured. Please configure an endpoint in settings.');
     }
 
+    let params = { goal: message, ...(target && { target }) };
+    if (workflow) params = { name: workflow };
+    else if (command) {
+      if (!commandActions.some(a => a.name === command.action)) throw new Error(`Unknown command action: ${command.action}`);
+      params = command.params || {};
+    }
+    else if (task) {
+      const rendered = await renderTaskGoal(task);
+      params = { goal: rendered.goal };
+      taskArgs = rendered.args;
+    }
+
+    await customActionsReady;
     const action = getAction(actionName);
-    const result = await executeAction(action, params);
-    const { _traceUUID: traceId, _duration: duration } = result;
+    budget = createBudget(await getBudgetLimits(), spent);
+    const result = await executeAction(action, params, null, null, { signal: controller.signal, runId, onProgress, onCheckpoint, resume, budget, dryRun: plan, sessionId });
+    const { _duration: duration } = result;
 
-    logger.info('Execution trace', { traceId, duration });
+    logger.info('Execution trace', { traceId, duration, spent: budget.spent });
 
-    const finalAnswer = unwrapFinalAnswer(result);
+    let finalAnswer = unwrapFinalAnswer(result);
+    if (budget.exceeded()) {
+      finalAnswer += `\n\n---\n*Stopped early: the task budget was reached (${budget.summary()}).*`;
+    }
+    if (plan) finalAnswer += `\n\n---\n${formatDryRunPlan(plan.steps)}`;
 
-    // Save context for next chat (fire-and-forget)
-    savePreviousChatContext(message, finalAnswer).catch(() => {});
+    if (sessionId) recordExchange(sessionId, message, tab, { role: 'assistant', content: finalAnswer, traceId }, target).catch(() => {});
+    if (task) recordTaskRun(task.name, { traceId, startedAt, duration, status: 'done', args: taskArgs }).catch(() => {});
 
-    return finalAnswer;
+    return { answer: finalAnswer, traceId };
   } catch (error) {
-    logger.error('Execution failed', { error: error.message });
+    if (isAbortError(error)) logger.info('Execution cancelled');
+    else logger.error('Execution failed', { error: error.message });
+    if (sessionId) {
+      const reply = isAbortError(error) ? null : { role: 'error', content: error.message, traceId };
+      recordExchange(sessionId, message, tab, reply, target).catch(() => {});
+    }
+    if (task) {
+      const run = { traceId, startedAt, duration: Date.now() - startedAt, args: taskArgs };
+      recordTaskRun(task.name, isAbortError(error) ? { ...run, status: 'cancelled' } : { ...run, status: 'error', error: error.message }).catch(() => {});
+    }
     throw error;
+  } finally {
+    agentRunEnded(runId);
+    if (activeRun?.controller === controller) activeRun = null;
+    clearCheckpoint(runId);
   }
 }
 
-async function savePreviousChatContext(userInput, modelResponse) {
+/**
+ * Run a schedule's goal in a minimized window of its own, so the user's tabs are left alone
+ * Progress is not forwarded (the panel may be running a chat task); the trace keeps the details.
+ */
+async function runScheduledGoal(schedule) {
+  const runId = crypto.randomUUID();
+  let traceId = null;
+  let win = null;
+  agentRunStarted(runId);
+
+  try {
+    win = await chrome.windows.create({ url: schedule.url || 'about:blank', focused: false, state: 'minimized' });
+    const [tab] = win.tabs;
+    tabManager.ensureTab(tab.id, tab.url || schedule.url || 'about:blank', win.id);
+    if (!(await isInitialized())) throw new Error('No LLM endpoints configured');
+    const command = parseTaskCommand(schedule.goal);
+    const goal = command && await getTask(command.name) ? (await renderTaskGoal(command)).goal : schedule.goal;
+
+    await customActionsReady;
+    const budget = createBudget(await getBudgetLimits());
+    const result = await executeAction(getAction(ROUTER_ACTION.name), { goal: `${goal}\n\nWork in tab ${tabManager.getAlias(tab.id)}; do not open other tabs.` }, null, null, {
+      signal: AbortSignal.timeout(SCHEDULED_RUN_TIMEOUT_MS),
+      onProgress: event => { if (event.type === 'run') traceId = event.traceId; },
+      budget,
+      runId,
+      windowId: win.id
+    });
+    logger.info('Scheduled run finished', { schedule: schedule.name, traceId, spent: budget.spent });
+    return { status: 'done', traceId, answer: unwrapFinalAnswer(result) };
+  } catch (error) {
+    logger.error('Scheduled run failed', { schedule: schedule.name, error: error.message });
+    return { status: 'error', traceId, error: error.message };
+  } finally {
+    agentRunEnded(runId);
+    if (win) chrome.windows.remove(win.id).catch(() => {});
+  }
+}
+
+// Checkpoints left behind by a previous service worker instance (the active run is excluded)
+async function getInterruptedRuns() {
+  const checkpoints = await getCheckpoints();
+  return checkpoints
+    .filter(cp => cp.runId !== activeRun?.id)
+    .map(({ runId, goal, updatedAt, frames }) => ({ runId, goal, updatedAt, depth: frames?.length || 0 }));
+}
+
+// The resumed exchange goes to the chat session the panel shows it in
+async function resumeRun(runId, sessionId = null) {
+  const checkpoint = await getCheckpoint(runId);
+  if (!checkpoint) throw new Error('This run can no longer be resumed');
+  logger.info('Resuming interrupted run', { runId, depth: checkpoint.frames.length });
+  return handleUserMessage({ message: checkpoint.goal, runId, resume: checkpoint.frames, spent: checkpoint.spent, dryRun: checkpoint.dryRun, workflow: checkpoint.workflow, task: checkpoint.task, command: checkpoint.command, target: checkpoint.target, sessionId });
+}
+
+// Custom actions are saved only when every definition is valid, then replace the registered set
+async function saveCustomActions(actions) {
+  if (!Array.isArray(actions)) throw new Error('Expected a list of custom actions');
+  const errors = checkCustomActions(actions);
+  if (errors.length) return { errors };
+  await setCustomActions(actions);
+  const result = registerCustomActions(actions);
+  customActionsReady = Promise.resolve(result);
+  return { errors: [], registered: result.registered };
+}
+
+// Stream executor progress to the side panel (ignored when the panel is closed)
+function forwardProgress(event) {
+  chrome.runtime.sendMessage({ action: 'taskProgress', event }).catch(() => {});
+}
+
+// Start the element picker in the active tab of the focused window; the panel keeps the alias for the pick
+async function pickElementInActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) throw new Error('No active tab to pick from');
+  await tabManager.ready();
+  tabManager.ensureTab(tab.id, tab.url, tab.windowId);
+  await startElementPicker(tab.id);
+  return { tab: tabManager.getAlias(tab.id) };
+}
+
+// "t3 (https://…)" for the active tab of the focused window
+async function describeActiveTab() {
   const [[currentTab]] = await Promise.all([
     chrome.tabs.query({ active: true, currentWindow: true }),
     tabManager.ready()
   ]);
+  if (!currentTab?.id) return null;
+  return `${tabManager.getAlias(currentTab.id)} (${currentTab.url ?? 'unknown'})`;
+}
 
-  const context = {
-    tabAlias: currentTab?.id ? tabManager.getAlias(currentTab.id) : null,
-    tabUrl: currentTab?.url ?? 'unknown',
-    userInput,
-    modelResponse: modelResponse?.substring(0, MAX_RESPONSE_PREVIEW_LENGTH) ?? '',
-    timestamp: Date.now()
-  };
-
-  await chrome.storage.session.set({ [PREVIOUS_CHAT_KEY]: context });
+// tab: promise of the describeActiveTab() label; a stopped run keeps the user's message without a reply
+async function recordExchange(sessionId, message, tab, reply, target = null) {
+  const label = await tab;
+  const user = { role: 'user', content: message, ...(label && { tab: label }), ...(target && { target }) };
+  await addSessionMessages(sessionId, reply ? [user, reply] : [user]);
 }
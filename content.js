@@ -1,7 +1,7 @@
 // Content Script - runs on all web pages
 import { ContentAction } from './modules/content-actions.js';
 import { cleanDOM } from './modules/utils/clean-dom.js';
-import { buildAccessibilityTree, serializeForLLM } from './modules/a11y-tree.js';
+import { buildAccessibilityTree, serializeForLLM, computeRole, computeAccessibleName, flattenRefNodes, isInteractiveA11y } from './modules/a11y-tree.js';
 
 const isMac = navigator.platform.toLowerCase().includes('mac');
 
@@ -15,9 +15,17 @@ const handlers = {
   [ContentAction.HANDLE_DIALOG]: (msg) => handleDialog(msg.accept, msg.promptText),
   [ContentAction.GET_DIALOGS]: () => getDialogs(),
   [ContentAction.EXTRACT_ACCESSIBILITY_TREE]: () => extractAccessibilityTree(),
+  [ContentAction.GET_VIEWPORT_MARKS]: () => getViewportMarks(),
   [ContentAction.SELECT_OPTION]: (msg) => selectOption(msg.ref, msg.value),
   [ContentAction.CHECK_CHECKBOX]: (msg) => checkCheckbox(msg.ref, msg.checked),
-  [ContentAction.SUBMIT_FORM]: (msg) => submitForm(msg.ref)
+  [ContentAction.SUBMIT_FORM]: (msg) => submitForm(msg.ref),
+  [ContentAction.DESCRIBE_ELEMENT]: (msg) => describeElement(msg.ref),
+  [ContentAction.RESOLVE_CONTEXT_TARGET]: () => resolveContextTarget(),
+  [ContentAction.START_ELEMENT_PICKER]: () => startElementPicker(),
+  [ContentAction.STOP_ELEMENT_PICKER]: () => stopElementPicker(),
+  [ContentAction.SET_AGENT_ACTIVE]: (msg) => setAgentActive(msg.active),
+  [ContentAction.START_RECORDING]: () => startRecording(),
+  [ContentAction.STOP_RECORDING]: () => stopRecording()
 };
 
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -269,6 +277,8 @@ function clickElement(ref, modifiers = {}) {
       return { success: false, message: `Element not found with ref: ${ref}` };
     }
 
+    highlightAction(element, 'Click');
+
     // Build click modifiers based on options
     const clickModifiers = buildClickModifiers(modifiers);
 
@@ -356,6 +366,7 @@ function fillFormFields(fields, shouldSubmit, submitRef) {
   const results = fields.map(field => {
     const element = getElementByRef(field.ref);
     if (element) {
+      highlightAction(element, 'Type');
       element.value = field.value;
       element.dispatchEvent(new Event('input', { bubbles: true }));
       element.dispatchEvent(new Event('change', { bubbles: true }));
@@ -372,7 +383,10 @@ function fillFormFields(fields, shouldSubmit, submitRef) {
       success: !!submitBtn,
       error: submitBtn ? undefined : 'Submit button not found'
     });
-    if (submitBtn) submitBtn.click();
+    if (submitBtn) {
+      highlightAction(submitBtn, 'Submit');
+      submitBtn.click();
+    }
   }
 
   return {
@@ -417,6 +431,7 @@ function hoverElement(ref) {
       return { success: false, error: `Element not found with ref: ${ref}` };
     }
 
+    highlightAction(element, 'Hover');
     const rect = element.getBoundingClientRect();
     const centerX = rect.left + rect.width / 2;
     const centerY = rect.top + rect.height / 2;
@@ -588,6 +603,34 @@ function extractAccessibilityTree() {
   }
 }
 
+// Set-of-Marks boxes for READ_PAGE_VISUAL: interactive elements of the last extracted tree that are
+// visible in the viewport, in CSS pixels relative to it. Elements covered by others at their centre are left out.
+const MAX_MARKS = 150;
+
+function getViewportMarks() {
+  try {
+    if (!window.__vishRefMap) extractAccessibilityTree();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const marks = [];
+    for (const [ref, element] of Object.entries(window.__vishRefMap || {})) {
+      if (marks.length >= MAX_MARKS) break;
+      if (!element.isConnected || !isInteractiveA11y(element)) continue;
+      const rect = element.getBoundingClientRect();
+      if (rect.width < 1 || rect.height < 1 || rect.right <= 0 || rect.bottom <= 0 || rect.left >= width || rect.top >= height) continue;
+      const hit = document.elementFromPoint(
+        Math.min(Math.max(rect.left + rect.width / 2, 0), width - 1),
+        Math.min(Math.max(rect.top + rect.height / 2, 0), height - 1)
+      );
+      if (hit && !element.contains(hit) && !hit.contains(element)) continue;
+      marks.push({ ref, x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+    }
+    return { success: true, marks, viewport: { width, height } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 // ============================================================================
 // SELECT OPTION
 // ============================================================================
@@ -601,6 +644,7 @@ function selectOption(ref, value) {
 
     const option = Array.from(select.options).find(opt => opt.value === value || opt.text === value);
     if (option) {
+      highlightAction(select, 'Select');
       select.value = option.value;
       select.dispatchEvent(new Event('change', { bubbles: true }));
       return { selected: true, ref, value: option.value, text: option.text };
@@ -621,6 +665,7 @@ function checkCheckbox(ref, shouldCheck) {
     if (!checkbox || checkbox.type !== 'checkbox') {
       return { modified: false, error: `Checkbox not found with ref: ${ref}` };
     }
+    highlightAction(checkbox, shouldCheck ? 'Check' : 'Uncheck');
 
     if (checkbox.checked !== shouldCheck) {
       checkbox.checked = shouldCheck;
@@ -658,3 +703,317 @@ function submitForm(ref) {
   }
 }
 
+// ============================================================================
+// DESCRIBE ELEMENT
+// ============================================================================
+
+// Role and name of a ref as READ_PAGE reported it; does not rebuild the refMap, so refs stay valid
+function describeElement(ref) {
+  const element = getElementByRef(ref);
+  if (!element) return { found: false, ref };
+  return {
+    found: true,
+    ref,
+    role: computeRole(element),
+    name: computeAccessibleName(element, document),
+    text: cleanField(element.value || element.textContent, 80)
+  };
+}
+
+// ============================================================================
+// POINTED-AT ELEMENTS (context menu target, element picker)
+// ============================================================================
+// Elements the user points the agent at are named by their ref. Refs follow document order, so READ_PAGE
+// gives the element the same ref while the page is unchanged; the refMap is stored so the ref works right away too.
+
+// Refs of the current page: element -> ref, and ref -> tree node (role, name)
+function indexRefs() {
+  const { tree, refMap } = buildAccessibilityTree(document);
+  window.__vishRefMap = refMap;
+  return {
+    refOf: new Map(Object.entries(refMap).map(([ref, el]) => [el, ref])),
+    nodes: new Map(flattenRefNodes(tree).map(node => [node.ref, node]))
+  };
+}
+
+// The nearest element with a ref around `element`, or null
+function refTarget(element, { refOf, nodes }) {
+  let el = element;
+  while (el && !refOf.has(el)) el = el.parentElement;
+  if (!el) return null;
+  const node = nodes.get(refOf.get(el));
+  return { element: el, ref: refOf.get(el), role: node?.role || null, name: node?.name || '' };
+}
+
+function describeTarget(element) {
+  if (!element?.isConnected) return { found: false };
+  try {
+    const target = refTarget(element, indexRefs());
+    return target ? { found: true, ref: target.ref, role: target.role, name: target.name } : { found: false };
+  } catch (error) {
+    return { found: false, error: error.message };
+  }
+}
+
+// The element under the last right-click, for the context menu entries
+let contextTarget = null;
+document.addEventListener('contextmenu', (event) => { contextTarget = event.target; }, true);
+
+function resolveContextTarget() {
+  return describeTarget(contextTarget);
+}
+
+// Picker: the element under the cursor is outlined with its role and name, a click picks it, Escape cancels.
+// Listeners sit on window in the capture phase, so the page does not see the picking click (nor do the
+// page's own capture listeners). The result goes to the side panel as an elementPicked message.
+let picker = null;
+
+const PICKER_BOX_STYLE = 'position:fixed;z-index:2147483647;pointer-events:none;box-sizing:border-box;border:2px solid #2563eb;background:rgba(37,99,235,.12);border-radius:3px;display:none';
+const PICKER_LABEL_STYLE = 'position:absolute;left:-2px;bottom:100%;margin-bottom:2px;max-width:320px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;font:12px/1.4 system-ui,sans-serif;color:#fff;background:#2563eb;padding:1px 6px;border-radius:3px';
+
+function startElementPicker() {
+  if (picker) return { picking: true };
+  // Outside <body>, so the accessibility tree never includes it
+  const box = Object.assign(document.createElement('div'), { style: PICKER_BOX_STYLE });
+  const label = Object.assign(document.createElement('div'), { style: PICKER_LABEL_STYLE });
+  box.appendChild(label);
+  document.documentElement.appendChild(box);
+  picker = { box, label, refs: indexRefs(), hovered: null };
+  for (const [type, handler] of PICKER_EVENTS) window.addEventListener(type, handler, true);
+  return { picking: true };
+}
+
+function stopElementPicker() {
+  if (!picker) return { picking: false };
+  for (const [type, handler] of PICKER_EVENTS) window.removeEventListener(type, handler, true);
+  picker.box.remove();
+  picker = null;
+  return { picking: false };
+}
+
+function finishPicking(element) {
+  stopElementPicker();
+  // Refs are resolved again at the click, in case the page changed while picking
+  const target = element ? describeTarget(element) : null;
+  chrome.runtime.sendMessage({ action: 'elementPicked', element: target?.found ? { ref: target.ref, role: target.role, name: target.name } : null }).catch(() => {});
+}
+
+function highlightPickable(element) {
+  const target = element && refTarget(element, picker.refs);
+  picker.hovered = target?.element || null;
+  if (!target) {
+    picker.box.style.display = 'none';
+    return;
+  }
+  const rect = target.element.getBoundingClientRect();
+  Object.assign(picker.box.style, { display: 'block', left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+  picker.label.textContent = [target.role, target.name && `"${target.name}"`, target.ref].filter(Boolean).join(' · ');
+}
+
+const stopPageEvent = (event) => {
+  event.preventDefault();
+  event.stopImmediatePropagation();
+};
+
+const PICKER_EVENTS = [
+  ['mousemove', (event) => highlightPickable(event.target)],
+  ['scroll', () => picker.hovered && highlightPickable(picker.hovered)],
+  ['mousedown', stopPageEvent],
+  ['mouseup', stopPageEvent],
+  ['pointerdown', stopPageEvent],
+  ['pointerup', stopPageEvent],
+  ['click', (event) => {
+    stopPageEvent(event);
+    finishPicking(event.target);
+  }],
+  ['keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    stopPageEvent(event);
+    finishPicking(null);
+  }]
+];
+
+// ============================================================================
+// AGENT OVERLAY
+// ============================================================================
+// Shows the user what the agent does: a short-lived outline with the action name around each element it acts on,
+// and an "agent is active" banner while a run works in this tab. Everything lives in a closed shadow root under
+// <html>, so page CSS cannot reach it and the accessibility tree (built from <body>) never includes it.
+
+const HIGHLIGHT_MS = 1500;
+// The background renews the banner with every call it makes; one left behind by a stopped service worker goes away
+const BANNER_TIMEOUT_MS = 5 * 60 * 1000;
+
+const OVERLAY_CSS = `
+  .highlight { position: fixed; box-sizing: border-box; border: 2px solid #f59e0b; border-radius: 4px; background: rgba(245, 158, 11, 0.12); animation: fade ${HIGHLIGHT_MS}ms ease-out forwards; }
+  .label { position: absolute; left: -2px; bottom: 100%; margin-bottom: 2px; font: 600 11px/1.4 system-ui, sans-serif; color: #fff; background: #d97706; padding: 1px 6px; border-radius: 3px; white-space: nowrap; }
+  .highlight.below .label { bottom: auto; top: 100%; margin: 2px 0 0; }
+  .banner { position: fixed; left: 50%; bottom: 12px; transform: translateX(-50%); display: flex; align-items: center; gap: 6px; font: 12px/1.4 system-ui, sans-serif; color: #fff; background: rgba(17, 24, 39, 0.8); padding: 4px 12px; border-radius: 999px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25); }
+  .dot { width: 8px; height: 8px; border-radius: 50%; background: #22c55e; animation: pulse 1.2s ease-in-out infinite; }
+  @keyframes fade { 0%, 70% { opacity: 1; } 100% { opacity: 0; } }
+  @keyframes pulse { 50% { opacity: 0.3; } }
+  @media (prefers-reduced-motion: reduce) { .highlight, .dot { animation: none; } }`;
+
+// { host, root, banner, highlights: Set<{element, box}> }
+let overlay = null;
+let bannerTimer = null;
+
+function getOverlay() {
+  if (overlay?.host.isConnected) return overlay;
+  const host = document.createElement('vishpr-overlay');
+  // Inline and !important, so page rules for the host element lose
+  for (const [property, value] of [['all', 'initial'], ['position', 'fixed'], ['inset', '0'], ['pointer-events', 'none'], ['z-index', '2147483647']]) {
+    host.style.setProperty(property, value, 'important');
+  }
+  const root = host.attachShadow({ mode: 'closed' });
+  root.appendChild(Object.assign(document.createElement('style'), { textContent: OVERLAY_CSS }));
+  document.documentElement.appendChild(host);
+  overlay = { host, root, banner: null, highlights: new Set() };
+  return overlay;
+}
+
+function placeHighlight({ element, box }) {
+  const rect = element.getBoundingClientRect();
+  Object.assign(box.style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+  box.classList.toggle('below', rect.top < 20);
+}
+
+// Highlights follow their elements while they are shown (scrolling, layout changes)
+function trackHighlights() {
+  if (!overlay?.highlights.size) return;
+  overlay.highlights.forEach(placeHighlight);
+  requestAnimationFrame(trackHighlights);
+}
+
+function highlightAction(element, action) {
+  // The overlay must never get in the way of the action itself
+  try {
+    const { root, highlights } = getOverlay();
+    const box = Object.assign(document.createElement('div'), { className: 'highlight' });
+    box.appendChild(Object.assign(document.createElement('span'), { className: 'label', textContent: action }));
+    root.appendChild(box);
+    const highlight = { element, box };
+    placeHighlight(highlight);
+    if (!highlights.size) requestAnimationFrame(trackHighlights);
+    highlights.add(highlight);
+    setTimeout(() => {
+      highlights.delete(highlight);
+      box.remove();
+    }, HIGHLIGHT_MS);
+  } catch {}
+}
+
+function setAgentActive(active) {
+  clearTimeout(bannerTimer);
+  if (!active) {
+    overlay?.banner?.remove();
+    if (overlay) overlay.banner = null;
+    return { active: false };
+  }
+  const current = getOverlay();
+  if (!current.banner?.isConnected) {
+    const banner = Object.assign(document.createElement('div'), { className: 'banner' });
+    banner.setAttribute('role', 'status');
+    banner.append(Object.assign(document.createElement('span'), { className: 'dot' }), 'vishpr agent is working in this tab');
+    current.root.appendChild(banner);
+    current.banner = banner;
+  }
+  bannerTimer = setTimeout(() => setAgentActive(false), BANNER_TIMEOUT_MS);
+  return { active: true };
+}
+
+// ============================================================================
+// DEMONSTRATION RECORDING
+// ============================================================================
+// The user's own clicks and edits become workflow steps addressed by role + name (see modules/workflows.js).
+// Only trusted events count, so the agent's synthetic clicks are never recorded.
+
+const RECORDED_EVENTS = ['click', 'input', 'change', 'submit'];
+const TEXT_INPUT_TYPES = new Set(['text', 'email', 'password', 'search', 'tel', 'url', 'number', 'date', 'datetime-local', 'month', 'time', 'week']);
+let recording = false;
+const pendingFills = new Map();          // field -> value typed but not yet committed by a change event
+const recordedValues = new WeakMap();    // field -> last recorded value, so change after a flush is not repeated
+
+const isTextField = el => el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && TEXT_INPUT_TYPES.has(el.type || 'text'));
+
+function startRecording() {
+  if (!recording) {
+    recording = true;
+    for (const type of RECORDED_EVENTS) document.addEventListener(type, onRecordedEvent, true);
+  }
+  return { recording: true };
+}
+
+// Fields typed into but not committed yet are returned with the response rather than sent separately
+function stopRecording() {
+  const steps = [...pendingFills].map(([field, value]) => fillStep(field, value)).filter(Boolean);
+  recording = false;
+  for (const type of RECORDED_EVENTS) document.removeEventListener(type, onRecordedEvent, true);
+  return { recording: false, steps };
+}
+
+// Role and name of the nearest ancestor that gets a ref, and its position among nodes with the same role and name
+function recordTarget(element) {
+  const { tree, refMap } = buildAccessibilityTree(document);
+  const refOf = new Map(Object.entries(refMap).map(([ref, el]) => [el, ref]));
+  let el = element;
+  while (el && !refOf.has(el)) el = el.parentElement;
+  if (!el) return null;
+  const nodes = flattenRefNodes(tree);
+  const node = nodes.find(n => n.ref === refOf.get(el));
+  if (!node) return null;
+  const role = node.role || null;
+  const name = node.name || '';
+  return { role, name, nth: nodes.filter(n => (n.role || null) === role && (n.name || '') === name).indexOf(node) };
+}
+
+function recordStep(step) {
+  chrome.runtime.sendMessage({ action: 'recordedStep', step }).catch(() => {});
+}
+
+function fillStep(field, value) {
+  pendingFills.delete(field);
+  if (recordedValues.get(field) === value) return null;
+  recordedValues.set(field, value);
+  const secret = field.type === 'password';
+  return { type: 'fill', target: recordTarget(field), ...(secret ? { secret: true } : { value }), url: location.href };
+}
+
+function recordFill(field, value) {
+  const step = fillStep(field, value);
+  if (step) recordStep(step);
+}
+
+function flushPendingFills() {
+  for (const [field, value] of pendingFills) recordFill(field, value);
+}
+
+function onRecordedEvent(event) {
+  if (!event.isTrusted) return;
+  const el = /** @type {HTMLElement} */ (event.target);
+
+  if (event.type === 'input') {
+    if (isTextField(el)) pendingFills.set(el, el.value);
+    return;
+  }
+
+  if (event.type === 'change') {
+    if (isTextField(el)) recordFill(el, el.value);
+    else if (el.tagName === 'SELECT') recordStep({ type: 'select', target: recordTarget(el), value: el.selectedOptions[0]?.text ?? el.value, url: location.href });
+    else if (el.type === 'checkbox') recordStep({ type: 'check', target: recordTarget(el), checked: el.checked, url: location.href });
+    return;
+  }
+
+  flushPendingFills();
+  if (event.type === 'submit') {
+    // Submitted by a button: its click is already recorded; otherwise Enter in a field submits the form itself
+    if (!event.submitter) recordStep({ type: 'submit', target: recordTarget(el), url: location.href });
+    return;
+  }
+
+  // Clicks that only focus or toggle a field are covered by its change event
+  const field = el.closest?.('input, textarea, select');
+  if (field && (isTextField(field) || field.tagName !== 'INPUT' || field.type === 'checkbox')) return;
+  const target = recordTarget(el);
+  if (target) recordStep({ type: 'click', target, url: location.href });
+}
@@ -265,3 +265,26 @@ export function serializeForLLM(tree, indent = 0) {
 
   return lines.join('\n');
 }
+
+/**
+ * Nodes that carry a ref, in the order serializeForLLM prints them
+ */
+export function flattenRefNodes(tree, out = []) {
+  if (!tree) return out;
+  if (tree.ref) out.push(tree);
+  for (const child of tree.children || []) flattenRefNodes(child, out);
+  return out;
+}
+
+/**
+ * Read serializeForLLM output back into { ref, role, name } entries, in document order
+ * (e.g. READ_PAGE content in the service worker, which has no DOM to rebuild the tree from)
+ */
+export function parseSerializedTree(content) {
+  const entries = [];
+  for (const line of String(content || '').split('\n')) {
+    const match = line.match(/^\s*\[(e\d+)\](?: ([^\s"]+))?(?: "(.*)")?((?: \([a-z ]+\))*)$/);
+    if (match) entries.push({ ref: match[1], role: match[2] || null, name: match[3] || '' });
+  }
+  return entries;
+}
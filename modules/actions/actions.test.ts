@@ -7,7 +7,7 @@
 import Mustache from 'mustache';
 import { actionsRegistry } from './index.js';
 import { ROUTER_ACTION } from './router-action.js';
-import type { Action, LLMStep, ActionStep } from './types/index.js';
+import type { Action, LLMStep, ActionStep, Step } from './types/index.js';
 import { getKnownContextVars } from './context-provider.js';
 
 let failed = 0;
@@ -33,6 +33,28 @@ const extractVars = (str: string): Set<string> => {
   return vars;
 };
 
+// Control flow steps: structural checks only, recursing into nested steps
+const checkControlFlow = (step: Step, id: string): void => {
+  const checkSteps = (steps: Step[], path: string) => steps.forEach((s, i) => checkControlFlow(s, `${path}[${i}]`));
+  if (step.type === 'action') {
+    assert(!!actionsRegistry[step.action], `${id}: references unknown action "${step.action}"`);
+  }
+  if (step.type === 'branch') {
+    assert(step.cases.length > 0, `${id}: branch needs at least one case`);
+    step.cases.forEach((c, j) => checkSteps(c.steps, `${id}.cases[${j}].steps`));
+    if (step.otherwise) checkSteps(step.otherwise, `${id}.otherwise`);
+  }
+  if (step.type === 'map') {
+    assert(!!actionsRegistry[step.action], `${id}: map references unknown action "${step.action}"`);
+    assert(!!step.output_key, `${id}: map needs output_key`);
+    assert(step.concurrency === undefined || step.concurrency > 0, `${id}: invalid concurrency`);
+  }
+  if (step.type === 'loop') {
+    assert(step.max_iterations > 0, `${id}: invalid max_iterations`);
+    checkSteps(step.steps, `${id}.steps`);
+  }
+};
+
 // Verify entry point action exists
 assert(!!actionsRegistry[ROUTER_ACTION.name], `ROUTER_ACTION not found`);
 
@@ -51,6 +73,12 @@ for (const [name, action] of Object.entries(actionsRegistry) as [string, Action]
       hasFunctionStep = true;
     }
 
+    if (step.type === 'branch' || step.type === 'map' || step.type === 'loop') {
+      // Context after control flow depends on runtime data; skip template variable checks from here on
+      checkControlFlow(step, id);
+      hasFunctionStep = true;
+    }
+
     if (step.type === 'action') {
       // Referenced action must exist in registry
       assert(!!actionsRegistry[(step as ActionStep).action], `${id}: references unknown action "${(step as ActionStep).action}"`);
@@ -2,7 +2,7 @@
  * Browser automation actions
  * Uses content-bridge for DOM operations, direct Chrome APIs for navigation
  */
-import type { Action, Message, StepContext, StepResult } from './types/index.js';
+import type { Action, JSONSchema, Message, StepContext, StepResult } from './types/index.js';
 import {
   tabManager,
   extractA11yTree,
@@ -17,8 +17,12 @@ import {
   handleDialog,
   getDialogs,
   getPageState,
+  getViewportMarks,
+  captureViewport,
   setLastActivatedTab
 } from '../content-bridge.js';
+import { hasVisionModel } from '../llm/index.js';
+import { annotateScreenshot } from '../set-of-marks.js';
 import { FINAL_RESPONSE_ACTION } from './final-response-action.js';
 import { REQUEST_INPUT_ACTION } from './clarification-actions.js';
 import { getActionStatsCounter } from '../debug/time-bucket-counter.js';
@@ -27,6 +31,9 @@ import { getActionStatsCounter } from '../debug/time-bucket-counter.js';
 
 const sleep = (ms: number) => new Promise(r => setTimeout(r, ms));
 
+// Step timeout for actions that wait for a page load and then auto-read it
+const NAVIGATION_TIMEOUT_MS = 30000;
+
 function validateUrl(url: string, baseUrl?: string): string {
   if (/^https?:\/\//.test(url)) return url;
   if (url.startsWith('/') && baseUrl) {
@@ -148,6 +155,7 @@ export const READ_PAGE: Action = {
       'Show me the page content'
     ]
   },
+  parallel_safe: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -166,8 +174,11 @@ export const READ_PAGE: Action = {
   steps: [
     {
       type: 'function',
+      // Content script may still be initializing right after a navigation
+      retries: 1,
+      backoff: { type: 'fixed', delay_ms: 500 },
       handler: async (ctx: StepContext): Promise<StepResult> => {
-        const a11y = await extractA11yTree(ctx.tabId);
+        const a11y = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
 
         if (!a11y.success) {
           throw new Error(a11y.error || 'Failed to extract accessibility tree');
@@ -194,6 +205,131 @@ export const READ_PAGE: Action = {
   ]
 };
 
+const VISUAL_READ_SCHEMA: JSONSchema = {
+  type: 'object',
+  properties: {
+    description: { type: 'string', description: 'What the screenshot shows that the accessibility tree does not: canvas content, images, charts, layout, visual state' },
+    elements: {
+      type: 'array',
+      description: 'Marked elements whose purpose is only clear from how they look (icon-only buttons, unlabeled controls)',
+      items: {
+        type: 'object',
+        properties: {
+          ref: { type: 'string', description: 'Ref on the element\'s label in the screenshot, e.g. "e12"' },
+          looks_like: { type: 'string', description: 'What the element shows and likely does' }
+        },
+        required: ['ref', 'looks_like'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['description', 'elements'],
+  additionalProperties: false
+};
+
+/**
+ * READ_PAGE_VISUAL action
+ * READ_PAGE plus a screenshot of the viewport for a model that accepts images. Interactive elements in view
+ * are outlined and labeled with their refs (Set-of-Marks), so what the model sees maps back to refs to act on.
+ */
+export const READ_PAGE_VISUAL: Action = {
+  name: 'READ_PAGE_VISUAL',
+  description: 'Look at the visible part of a page: a screenshot with element refs drawn on it, described by a vision model, plus the accessibility tree READ_PAGE returns. Use when READ_PAGE is not enough: canvas apps, image-heavy pages, charts, icon-only buttons without names. Slower than READ_PAGE and covers only what is scrolled into view.',
+  tool_doc: {
+    use_when: [
+      'READ_PAGE content misses what the goal is about (canvas, images, charts)',
+      'Buttons or links have no names and only icons tell them apart'
+    ],
+    must: ['Use READ_PAGE first; use this only when its result is not enough'],
+    never: ['Use for text content READ_PAGE already shows'],
+    examples: [
+      'What does the chart on this page show?',
+      'Click the gear icon'
+    ]
+  },
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'string', description: 'Tab ID to look at (e.g., "t1", "t2")' },
+      focus: { type: 'string', description: 'What to look for on the page' },
+      justification: { type: 'string', description: 'Why READ_PAGE is not enough' }
+    },
+    required: ['tabId'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        if (!(await hasVisionModel())) {
+          throw new Error('No configured model accepts images; use READ_PAGE instead');
+        }
+        const a11y = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
+        if (!a11y.success) throw new Error(a11y.error || 'Failed to extract accessibility tree');
+        // Marks come from the tree just extracted, so their refs match its content
+        const view = await getViewportMarks(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
+        if (!view.success) throw new Error(view.error || 'Failed to locate elements in the viewport');
+        const screenshot = await annotateScreenshot(await captureViewport(ctx.tabId), view.marks, view.viewport);
+        getActionStatsCounter().increment('READ_PAGE', 'visual_mode').catch(() => {});
+        return {
+          result: {
+            url: a11y.url,
+            title: a11y.title,
+            content: a11y.content,
+            refCount: a11y.refCount,
+            screenshot,
+            marked_refs: view.marks.map((mark: { ref: string }) => mark.ref).join(', ')
+          }
+        };
+      }
+    },
+    {
+      type: 'llm',
+      system_prompt: `You describe screenshots of web pages for a browser agent that cannot see them.
+The agent has the page's accessibility tree. The screenshot shows the visible part of the page; interactive elements are outlined, with their ref from the tree (e.g. "e12") on a colored tag at the outline's top-left corner.
+
+MUST:
+- Describe what the screenshot shows that the tree does not: canvas and image content, charts, visual layout, highlighted or disabled states
+- When a focus is given, concentrate on it and say plainly if it is not visible
+- List marked elements whose purpose is only clear from their look, such as icon-only buttons, with the ref on their tag
+- Read refs exactly as printed on the tags
+
+NEVER:
+- Invent refs: an element without a tag has no ref
+- Repeat text the tree already has`,
+      message: `Describe this screenshot of {{{url}}} ("{{{title}}}").
+{{#focus}}
+Focus: {{{focus}}}
+{{/focus}}
+
+Marked refs: {{{marked_refs}}}
+
+<accessibility_tree>
+{{{content}}}
+</accessibility_tree>`,
+      intelligence: 'MEDIUM',
+      output_schema: VISUAL_READ_SCHEMA,
+      images: 'screenshot',
+      timeout_ms: 60000
+    },
+    {
+      type: 'function',
+      handler: (ctx: StepContext): StepResult => ({
+        // The screenshot stays out of the result: the calling model may not take images
+        result: {
+          tabId: ctx.tabId,
+          url: ctx.url,
+          title: ctx.title,
+          content: ctx.content,
+          refCount: ctx.refCount,
+          visual: { description: ctx.description, elements: ctx.elements }
+        },
+        parent_messages: compressPreviousReads(ctx.parent_messages)
+      })
+    }
+  ]
+};
+
 /**
  * CLICK_ELEMENT action
  */
@@ -209,6 +345,7 @@ export const CLICK_ELEMENT: Action = {
       'Open that link in a new tab'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -226,17 +363,18 @@ export const CLICK_ELEMENT: Action = {
   steps: [
     {
       type: 'function',
+      timeout_ms: NAVIGATION_TIMEOUT_MS,
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const clickResult = await clickElement(ctx.tabId, ctx.ref, {
           newTab: ctx.newTab || false,
           newTabActive: ctx.newTabActive || false,
           download: ctx.download || false
-        });
+        }, { signal: ctx.signal, runId: ctx.runId });
 
         // Auto-read if navigation detected and not disabled
         if (clickResult.navigated && ctx.autoReadOnNavigate !== false) {
           try {
-            const a11y = await extractA11yTree(ctx.tabId);
+            const a11y = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
             return {
               result: {
                 ...clickResult,
@@ -307,6 +445,7 @@ export const CHANGE_TAB_URL: Action = {
       'Navigate to https://github.com'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -321,6 +460,7 @@ export const CHANGE_TAB_URL: Action = {
   steps: [
     {
       type: 'function',
+      timeout_ms: NAVIGATION_TIMEOUT_MS,
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const navResult = await navigateTo(ctx.tabId, ctx.url);
 
@@ -331,7 +471,7 @@ export const CHANGE_TAB_URL: Action = {
 
         // Extract accessibility tree for better structure
         try {
-          const a11y = await extractA11yTree(ctx.tabId);
+          const a11y = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
           return {
             result: {
               ...navResult,
@@ -362,6 +502,7 @@ export const OPEN_URL_IN_NEW_TAB: Action = {
       'Open this link in new tab'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -376,6 +517,7 @@ export const OPEN_URL_IN_NEW_TAB: Action = {
   steps: [
     {
       type: 'function',
+      timeout_ms: NAVIGATION_TIMEOUT_MS,
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const result = await openInNewTab(ctx.url, ctx.active ?? true);
 
@@ -386,7 +528,7 @@ export const OPEN_URL_IN_NEW_TAB: Action = {
 
         // Extract accessibility tree for better structure
         try {
-          const a11y = await extractA11yTree(result.tabId);
+          const a11y = await extractA11yTree(result.tabId, { signal: ctx.signal, runId: ctx.runId });
           return {
             result: {
               ...result,
@@ -417,6 +559,7 @@ export const GET_PAGE_STATE: Action = {
       'Where am I on the page?'
     ]
   },
+  parallel_safe: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -452,6 +595,7 @@ export const FILL_FORM: Action = {
       'Fill in the search box with "test"'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -465,6 +609,7 @@ export const FILL_FORM: Action = {
             ref: { type: 'string', description: 'Element ref from READ_PAGE (e.g., "e1", "e34")' },
             value: { type: 'string', description: 'Value to set' }
           },
+          required: ['ref', 'value'],
           additionalProperties: false
         }
       },
@@ -483,7 +628,8 @@ export const FILL_FORM: Action = {
           ctx.tabId,
           ctx.form_fields,
           ctx.submit || false,
-          ctx.submit_ref
+          ctx.submit_ref,
+          { signal: ctx.signal, runId: ctx.runId }
         );
         return { result: fillResult };
       }
@@ -505,6 +651,7 @@ export const SELECT_OPTION: Action = {
       'Choose the medium size option'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -520,7 +667,7 @@ export const SELECT_OPTION: Action = {
     {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
-        const selectResult = await selectOption(ctx.tabId, ctx.ref, ctx.value);
+        const selectResult = await selectOption(ctx.tabId, ctx.ref, ctx.value, { signal: ctx.signal, runId: ctx.runId });
         return { result: selectResult };
       }
     }
@@ -541,6 +688,7 @@ export const CHECK_CHECKBOX: Action = {
       'Uncheck the newsletter subscription'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -556,7 +704,7 @@ export const CHECK_CHECKBOX: Action = {
     {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
-        const checkResult = await checkCheckbox(ctx.tabId, ctx.ref, ctx.checked);
+        const checkResult = await checkCheckbox(ctx.tabId, ctx.ref, ctx.checked, { signal: ctx.signal, runId: ctx.runId });
         return { result: checkResult };
       }
     }
@@ -577,6 +725,7 @@ export const SUBMIT_FORM: Action = {
       'Press the submit button'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -593,15 +742,15 @@ export const SUBMIT_FORM: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         // Get URL before submission to detect navigation
-        const urlBefore = (await extractA11yTree(ctx.tabId)).url;
-        const submitResult = await submitForm(ctx.tabId, ctx.ref);
+        const urlBefore = (await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId })).url;
+        const submitResult = await submitForm(ctx.tabId, ctx.ref, { signal: ctx.signal, runId: ctx.runId });
 
         // Check if navigation occurred by comparing URLs
         await new Promise(r => setTimeout(r, 500)); // Wait for potential navigation
 
         let navigated = false;
         try {
-          const urlAfter = (await extractA11yTree(ctx.tabId)).url;
+          const urlAfter = (await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId })).url;
           navigated = urlAfter !== urlBefore;
         } catch {
           // Tab may be navigating
@@ -611,7 +760,7 @@ export const SUBMIT_FORM: Action = {
         // Auto-read if navigation detected and not disabled
         if (navigated && ctx.autoReadOnNavigate !== false) {
           try {
-            const a11y = await extractA11yTree(ctx.tabId);
+            const a11y = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
             return {
               result: {
                 ...submitResult,
@@ -649,6 +798,7 @@ export const SCROLL_TO: Action = {
       'Go to the top of the page'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -669,7 +819,8 @@ export const SCROLL_TO: Action = {
           ctx.tabId,
           ctx.direction,
           ctx.pixels || 500,
-          ctx.wait_ms || 500
+          ctx.wait_ms || 500,
+          { signal: ctx.signal, runId: ctx.runId }
         );
         return { result: scrollResult };
       }
@@ -691,6 +842,7 @@ export const NAVIGATE_HISTORY: Action = {
       'Return to the previous page'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -705,6 +857,7 @@ export const NAVIGATE_HISTORY: Action = {
   steps: [
     {
       type: 'function',
+      timeout_ms: NAVIGATION_TIMEOUT_MS,
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const navResult = await navigateHistory(ctx.tabId, ctx.direction);
 
@@ -715,7 +868,7 @@ export const NAVIGATE_HISTORY: Action = {
 
         // Extract accessibility tree for better structure
         try {
-          const a11y = await extractA11yTree(ctx.tabId);
+          const a11y = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
           return {
             result: {
               ...navResult,
@@ -747,6 +900,7 @@ export const HOVER_ELEMENT: Action = {
       'Show the tooltip by hovering'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -761,7 +915,7 @@ export const HOVER_ELEMENT: Action = {
     {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
-        const result = await hoverElement(ctx.tabId, ctx.ref);
+        const result = await hoverElement(ctx.tabId, ctx.ref, { signal: ctx.signal, runId: ctx.runId });
         return { result };
       }
     }
@@ -782,6 +936,7 @@ export const PRESS_KEY: Action = {
       'Press Tab to move to next field'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -805,7 +960,7 @@ export const PRESS_KEY: Action = {
           metaKey: ctx.metaKey || false,
           shiftKey: ctx.shiftKey || false,
           altKey: ctx.altKey || false
-        });
+        }, { signal: ctx.signal, runId: ctx.runId });
         return { result };
       }
     }
@@ -827,6 +982,7 @@ export const HANDLE_DIALOG: Action = {
       'Enter text in the next prompt'
     ]
   },
+  mutates: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -842,7 +998,7 @@ export const HANDLE_DIALOG: Action = {
     {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
-        const result = await handleDialog(ctx.tabId, ctx.accept, ctx.promptText);
+        const result = await handleDialog(ctx.tabId, ctx.accept, ctx.promptText, { signal: ctx.signal, runId: ctx.runId });
         return { result };
       }
     }
@@ -862,6 +1018,7 @@ export const GET_DIALOGS: Action = {
       'What dialogs have appeared?'
     ]
   },
+  parallel_safe: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -875,7 +1032,7 @@ export const GET_DIALOGS: Action = {
     {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
-        const result = await getDialogs(ctx.tabId);
+        const result = await getDialogs(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
         return { result };
       }
     }
@@ -887,6 +1044,7 @@ export const GET_DIALOGS: Action = {
  */
 export const browserActions: Action[] = [
   READ_PAGE,
+  READ_PAGE_VISUAL,
   CLICK_ELEMENT,
   SWITCH_TAB,
   CHANGE_TAB_URL,
@@ -1055,10 +1213,12 @@ Decision:
 - If you encountered an error in the previous action, try ONE alternative approach.
 - If you encounter the SAME error AGAIN, use {{{stop_action}}} to report the issue.`,
       intelligence: 'HIGH',
+      timeout_ms: 30000,
       tool_choice: {
         available_actions: [
           REQUEST_INPUT_ACTION.name,
           READ_PAGE.name,
+          READ_PAGE_VISUAL.name,
           CLICK_ELEMENT.name,
           FILL_FORM.name,
           SELECT_OPTION.name,
@@ -0,0 +1,145 @@
+/**
+ * Command actions - What the chat's slash commands run (see slash-commands.js), bypassing the ROUTER
+ * Each one does a single job on the active tab (or the given one) and ends with a final_answer.
+ */
+import type { Action, JSONSchema, StepContext, StepResult } from './types/index.js';
+import { tabManager, resolveTargetTab } from '../content-bridge.js';
+import { READ_PAGE } from './browser-actions.js';
+import { KNOWLEDGE_BASE_ADAPTOR_ACTION, parseKnowledgeBase } from './knowledge-base-action.js';
+
+const PREFERENCES_KB_KEY = 'user_preferences_kb';
+// Page text shown by /read beyond this is cut; the trace has all of it
+const READ_DISPLAY_LENGTH = 20000;
+
+const TAB_SCHEMA: JSONSchema = { type: 'string', description: 'Tab ID (e.g., "t1"); default: the active tab' };
+
+// Alias of the requested tab, or of the active tab of the current window
+async function targetTab(ctx: StepContext): Promise<StepResult> {
+  const tab = await resolveTargetTab(ctx.tabId);
+  if (!tab?.id) throw new Error('No tab to read');
+  return { result: { tabId: tabManager.getAlias(tab.id) } };
+}
+
+/**
+ * READ_CURRENT_PAGE - /read: the page's accessibility tree, as READ_PAGE sees it
+ */
+export const READ_CURRENT_PAGE: Action = {
+  name: 'READ_CURRENT_PAGE',
+  description: 'Show the content of a tab as the agent reads it',
+  input_schema: {
+    type: 'object',
+    properties: { tabId: TAB_SCHEMA },
+    additionalProperties: true
+  },
+  steps: [
+    { type: 'function', handler: targetTab },
+    { type: 'action', action: READ_PAGE.name },
+    {
+      type: 'function',
+      handler: (ctx: StepContext): StepResult => {
+        const content = String(ctx.content ?? '');
+        const shown = content.length > READ_DISPLAY_LENGTH ? `${content.slice(0, READ_DISPLAY_LENGTH)}\n… (${content.length - READ_DISPLAY_LENGTH} more characters in the trace)` : content;
+        return { result: { final_answer: `**${ctx.title || 'Untitled'}** (${ctx.tabId})\n${ctx.url}\n\n\`\`\`\n${shown}\n\`\`\`` } };
+      }
+    }
+  ]
+};
+
+const SUMMARY_SCHEMA: JSONSchema = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Markdown summary of the page' }
+  },
+  required: ['summary'],
+  additionalProperties: false
+};
+
+/**
+ * SUMMARIZE_PAGE - /summarize [focus]: one LLM call over the page content
+ */
+export const SUMMARIZE_PAGE: Action = {
+  name: 'SUMMARIZE_PAGE',
+  description: 'Summarize the content of a tab',
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: TAB_SCHEMA,
+      focus: { type: 'string', description: 'What the summary should concentrate on' }
+    },
+    additionalProperties: true
+  },
+  steps: [
+    { type: 'function', handler: targetTab },
+    { type: 'action', action: READ_PAGE.name },
+    {
+      type: 'llm',
+      system_prompt: `You summarize web pages for the user who is looking at them.
+
+MUST:
+- Start with one sentence saying what the page is
+- Follow with the key points as a short bulleted list, most important first
+- Keep names, numbers, dates and prices exactly as on the page
+- When a focus is given, cover only what relates to it and say so if the page has nothing on it
+
+NEVER:
+- Describe navigation, menus, footers or other page chrome
+- Add facts that are not on the page`,
+      message: `Summarize this page.
+{{#focus}}
+Focus: {{{focus}}}
+{{/focus}}
+
+Title: {{{title}}}
+URL: {{{url}}}
+
+<page>
+{{{content}}}
+</page>`,
+      intelligence: 'MEDIUM',
+      output_schema: SUMMARY_SCHEMA,
+      stream: 'summary'
+    },
+    {
+      type: 'function',
+      handler: (ctx: StepContext): StepResult => ({ result: { final_answer: `**${ctx.title || ctx.url}**\n\n${ctx.summary}` } })
+    }
+  ]
+};
+
+/**
+ * REMEMBER_FACT - /kb <fact>: run the knowledge base update on one statement and keep the result
+ */
+export const REMEMBER_FACT: Action = {
+  name: 'REMEMBER_FACT',
+  description: 'Add a fact about the user to the preferences knowledge base',
+  input_schema: {
+    type: 'object',
+    properties: {
+      fact: { type: 'string', description: 'Fact to remember, e.g. "I prefer aisle seats"' }
+    },
+    required: ['fact'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const stored = await chrome.storage.local.get(PREFERENCES_KB_KEY);
+        return { result: { new_knowledge_chunk: ctx.fact, existing_knowledge_base: (stored[PREFERENCES_KB_KEY] as string) || '[]' } };
+      }
+    },
+    { type: 'action', action: KNOWLEDGE_BASE_ADAPTOR_ACTION.name },
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const changed = ctx.knowledge_updated || ctx.facts_incremented;
+        if (changed) await chrome.storage.local.set({ [PREFERENCES_KB_KEY]: ctx.updated_knowledge_base });
+        const count = parseKnowledgeBase(ctx.updated_knowledge_base as string).length;
+        const outcome = ctx.knowledge_updated ? 'Added to the knowledge base' : 'Already known: the knowledge base covers this';
+        return { result: { final_answer: `${outcome} (${count} facts). Use \`/kb\` to see them.` } };
+      }
+    }
+  ]
+};
+
+export const commandActions: Action[] = [READ_CURRENT_PAGE, SUMMARIZE_PAGE, REMEMBER_FACT];
@@ -4,18 +4,25 @@
  */
 import Mustache from 'mustache';
 import { getBrowserStateBundle } from '../content-bridge.js';
+import { getSessionMessages, sessionContext } from '../sessions.js';
 
 const PREFERENCES_KB_KEY = 'user_preferences_kb';
-const PREVIOUS_CHAT_KEY = 'previous_chat_context';
 
-type ContextFetcher = () => Promise<unknown>;
+// Run-level settings a fetcher may honour, e.g. the window a scheduled run works in
+export interface ContextScope {
+  windowId?: number;
+  sessionId?: string;
+  runId?: string;
+}
+
+type ContextFetcher = (scope: ContextScope) => Promise<unknown>;
 
 /**
  * Registry of context variable fetchers
  * Each fetcher is called fresh every time the variable is needed
  */
 const contextFetchers: Record<string, ContextFetcher> = {
-  browser_state: () => getBrowserStateBundle(),
+  browser_state: scope => getBrowserStateBundle(scope.windowId, { runId: scope.runId }),
 
   user_preferences: async () => {
     const storage = await chrome.storage.local.get(PREFERENCES_KB_KEY);
@@ -34,25 +41,10 @@ const contextFetchers: Record<string, ContextFetcher> = {
     })
   ),
 
-  previous_chat: async () => {
-    const storage = await chrome.storage.session.get(PREVIOUS_CHAT_KEY);
-    const ctx = storage[PREVIOUS_CHAT_KEY] as {
-      tabAlias: string | null;
-      tabUrl: string;
-      userInput: string;
-      modelResponse: string;
-      timestamp: number;
-    } | undefined;
-    if (!ctx) return null;
-
-    const timeSinceMinutes = Math.round((Date.now() - ctx.timestamp) / 60000);
-    return {
-      tabAlias: ctx.tabAlias,
-      tabUrl: ctx.tabUrl,
-      userInput: ctx.userInput,
-      modelResponse: ctx.modelResponse,
-      timeSinceMinutes
-    };
+  // The conversation the run belongs to (see sessions.js); runs outside a chat have none
+  chat_session: async scope => {
+    if (!scope.sessionId) return null;
+    return sessionContext(await getSessionMessages(scope.sessionId));
   }
 };
 
@@ -77,7 +69,7 @@ function extractTemplateVars(template: string): string[] {
  * Resolve context variables for a template
  * Fetches fresh values for all known context vars used in the template
  */
-export async function resolveContextForTemplate(template: string): Promise<Record<string, unknown>> {
+export async function resolveContextForTemplate(template: string, scope: ContextScope = {}): Promise<Record<string, unknown>> {
   const vars = extractTemplateVars(template);
   const knownVars = vars.filter(v => v in contextFetchers);
 
@@ -88,7 +80,7 @@ export async function resolveContextForTemplate(template: string): Promise<Recor
   const results = await Promise.all(
     knownVars.map(async key => {
       try {
-        const value = await contextFetchers[key]();
+        const value = await contextFetchers[key](scope);
         return [key, value] as const;
       } catch (e) {
         console.warn(`Failed to fetch context ${key}:`, e);
@@ -48,7 +48,7 @@ const SYSTEM_PROMPT = `You extract and combine relevant context for a task, and
 | datetime | Date, time, day of week | Time-sensitive tasks, scheduling, "today"/"now" references |
 | browser | Tabs with URLs, summaries, tab IDs | Browser interactions, page-specific actions, navigation |
 | preferences | User style, habits, saved settings | Personalized responses, user-specific choices |
-| previous_chat | Last user message and model response | Always check for continuation detection |
+| chat_session | Earlier messages of this conversation, oldest first | Always check for continuation detection; include what the task refers back to |
 
 # Extraction Rules
 
@@ -56,6 +56,7 @@ MUST:
 - Extract ONLY parts relevant to the specific task
 - For browser: include tab ID + URL + summary for relevant tabs, omit unrelated tabs entirely
 - For preferences: extract only preferences that affect this task
+- For chat_session: carry over the facts, results and choices from earlier turns that this task builds on (e.g. the item "it" refers to, the list being refined), not the whole transcript
 - Combine extracted parts into a single coherent context block
 
 SHOULD:
@@ -70,7 +71,7 @@ NEVER:
 
 # Continuation Detection
 
-Analyze if the current task continues from the previous chat.
+Analyze if the current task continues the conversation in chat_session (mostly its latest turns).
 
 ## is_continuation = true when:
 - Task references previous action ("now", "then", "also", "next")
@@ -79,10 +80,10 @@ Analyze if the current task continues from the previous chat.
 - Task asks for more of what was previously done
 
 ## is_continuation = false when:
-- No previous_chat context available
+- No chat_session context available
 - Task is unrelated to previous conversation
 - Task is self-contained with no implicit references
-- More than 30 minutes since previous chat
+- More than 30 minutes since the last message, unless the task clearly refers back to it
 
 ## continuation_type:
 | Type | When to use | Example |
@@ -155,7 +156,7 @@ export const CONTEXT_SELECTOR_ACTION: Action = {
     {
       type: 'llm',
       system_prompt: SYSTEM_PROMPT,
-      message: `Extract relevant context for this task and detect if it continues from previous chat.
+      message: `Extract relevant context for this task and detect if it continues the conversation.
 
 Task: {{{goal}}}
 
@@ -173,16 +174,20 @@ Available context to select from:
 {{{user_preferences}}}
 </user_preferences>
 
-{{#previous_chat}}
-<previous_chat>
-Time since: {{{timeSinceMinutes}}} minutes ago
-Tab: {{{tabAlias}}} ({{{tabUrl}}})
-User said: {{{userInput}}}
-Model responded: {{{modelResponse}}}
-</previous_chat>
-{{/previous_chat}}
+{{#chat_session}}
+<chat_session>
+Last message: {{{minutesSinceLast}}} minutes ago
+{{#omitted}}({{{omitted}}} earlier messages omitted)
+{{/omitted}}
+{{#messages}}
+[{{{role}}}, {{{minutesAgo}}} min ago{{#tab}}, tab {{{tab}}}{{/tab}}]
+{{{content}}}
 
-Return a single combined context block with only the relevant parts, or empty string if nothing is relevant. Also determine if this is a continuation of the previous conversation.`,
+{{/messages}}
+</chat_session>
+{{/chat_session}}
+
+Return a single combined context block with only the relevant parts, or empty string if nothing is relevant. Also determine if this is a continuation of the conversation.`,
       intelligence: 'MEDIUM',
       output_schema: OUTPUT_SCHEMA
     }
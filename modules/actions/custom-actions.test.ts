@@ -0,0 +1,114 @@
+/**
+ * Custom action tests - Run: npx tsx modules/actions/custom-actions.test.ts
+ */
+import { actionsRegistry, registerCustomActions, checkCustomActions } from './index.js';
+import { serializeCustomActions, parseCustomActionsFile } from './custom-actions.js';
+import type { CustomActionDef } from './custom-actions.js';
+import type { LLMStep } from './types/index.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const toolsOf = (name: string) => (actionsRegistry[name].steps.find(s => s.type === 'llm' && s.tool_choice) as LLMStep).tool_choice!.available_actions;
+
+const summarize: CustomActionDef = {
+  name: 'SUMMARIZE_TEXT',
+  description: 'Summarize text',
+  tool_doc: { use_when: ['Short summary of given text'] },
+  input_schema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  attach_to: ['ROUTER'],
+  steps: [{
+    type: 'llm',
+    system_prompt: 'You summarize. Today is {{{current_datetime}}}.',
+    message: 'Summarize: {{{text}}}',
+    intelligence: 'MEDIUM',
+    output_schema: { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'] }
+  }]
+};
+
+const readAndSummarize: CustomActionDef = {
+  name: 'READ_AND_SUMMARIZE',
+  description: 'Read a tab and summarize it',
+  input_schema: { type: 'object', properties: { tabId: { type: 'string' } }, required: ['tabId'] },
+  attach_to: ['BROWSER_ACTION'],
+  steps: [
+    { type: 'action', action: 'READ_PAGE' },
+    { type: 'llm', system_prompt: 'Summarize pages.', message: '{{{content}}}', intelligence: 'LOW', output_schema: { type: 'object', properties: { summary: { type: 'string' } } } }
+  ]
+};
+
+const errorsFor = (def: unknown) => checkCustomActions([def]);
+
+// Valid definitions register and join the tool lists they attach to
+{
+  const routerTools = [...toolsOf('ROUTER')];
+  const { registered, errors } = registerCustomActions([summarize, readAndSummarize]);
+  assert(errors.length === 0, `valid definitions: ${errors.join('; ')}`);
+  assert(registered.join() === 'SUMMARIZE_TEXT,READ_AND_SUMMARIZE', `registered: got ${registered.join()}`);
+  assert(actionsRegistry.SUMMARIZE_TEXT?.input_schema.required?.[0] === 'text', 'registered into actionsRegistry');
+  assert(toolsOf('ROUTER').includes('SUMMARIZE_TEXT') && !toolsOf('ROUTER').includes('READ_AND_SUMMARIZE'), 'attached to ROUTER only');
+  assert(toolsOf('BROWSER_ACTION').includes('READ_AND_SUMMARIZE'), 'attached to BROWSER_ACTION');
+
+  // Re-registering replaces the previous set
+  registerCustomActions([]);
+  assert(!actionsRegistry.SUMMARIZE_TEXT && !actionsRegistry.READ_AND_SUMMARIZE, 'removed from actionsRegistry');
+  assert(toolsOf('ROUTER').join() === routerTools.join(), 'ROUTER tool list restored');
+  assert(!toolsOf('BROWSER_ACTION').includes('READ_AND_SUMMARIZE'), 'BROWSER_ACTION tool list restored');
+}
+
+// Invalid definitions are skipped with their errors; valid ones still register
+{
+  const { registered, errors } = registerCustomActions([{ ...summarize, name: 'bad name' }, readAndSummarize]);
+  assert(registered.join() === 'READ_AND_SUMMARIZE', `only valid registered: got ${registered.join()}`);
+  assert(errors.length === 1 && errors[0].startsWith('bad name: $.name'), `error labelled by name: got ${errors.join('; ')}`);
+  registerCustomActions([]);
+}
+
+// Validation errors
+{
+  const has = (errors: string[], text: string) => errors.some(e => e.includes(text));
+  assert(has(errorsFor({ ...summarize, name: 'ROUTER' }), 'built-in action'), 'built-in name rejected');
+  assert(has(checkCustomActions([summarize, summarize]), 'defined twice'), 'duplicate name rejected');
+  assert(has(errorsFor({ ...summarize, steps: [] }), 'at least one step'), 'empty steps rejected');
+  assert(has(errorsFor({ ...summarize, attach_to: ['FINAL_RESPONSE'] }), 'attach_to'), 'unknown host rejected');
+  assert(has(errorsFor({ ...summarize, extra: true }), 'extra'), 'unknown top-level key rejected');
+  assert(has(errorsFor({ ...summarize, input_schema: { type: 'string' } }), 'type must be "object"'), 'non-object input_schema rejected');
+  assert(has(errorsFor({ ...summarize, input_schema: { type: 'object', properties: { a: { type: 'date' } } } }), 'properties.a'), 'nested schema type checked');
+
+  const llmStep = summarize.steps[0];
+  assert(has(errorsFor({ ...summarize, steps: [{ ...llmStep, output_schema: undefined }] }), 'needs output_schema'), 'llm step needs output_schema');
+  assert(has(errorsFor({ ...summarize, steps: [{ ...llmStep, message: '{{{missing}}}' }] }), 'unknown variable {{missing}}'), 'unknown template variable');
+  assert(has(errorsFor({ ...summarize, steps: [{ ...llmStep, message: '{{#open}}' }] }), 'invalid template'), 'broken template');
+  assert(has(errorsFor({ ...summarize, steps: [{ type: 'action', action: 'NOPE' }] }), 'unknown action "NOPE"'), 'unknown action reference');
+  assert(has(errorsFor({ ...summarize, steps: [{ type: 'action', action: 'ROUTER' }] }), 'while attached'), 'calling own host rejected');
+  assert(errorsFor(readAndSummarize).length === 0, 'variables after an action step are not checked');
+
+  // Custom actions may call ones defined before them, not after
+  const caller: CustomActionDef = { ...summarize, name: 'CALLER', attach_to: [], steps: [{ type: 'action', action: 'SUMMARIZE_TEXT' }] };
+  assert(checkCustomActions([summarize, caller]).length === 0, 'backward reference allowed');
+  assert(has(checkCustomActions([caller, summarize]), 'defined before them'), 'forward reference rejected');
+}
+
+// Export/import file format
+{
+  const file = serializeCustomActions([summarize]);
+  assert(JSON.parse(file).version === 1, 'file carries a version');
+  assert(JSON.stringify(parseCustomActionsFile(file)) === JSON.stringify([summarize]), 'round trip');
+  assert(parseCustomActionsFile(JSON.stringify(summarize)).length === 1, 'single definition accepted');
+  assert(parseCustomActionsFile(JSON.stringify([summarize, readAndSummarize])).length === 2, 'bare array accepted');
+  let threw = false;
+  try { parseCustomActionsFile(JSON.stringify({ version: 99, actions: [] })); } catch { threw = true; }
+  assert(threw, 'newer file version rejected');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All custom action tests passed');
+}
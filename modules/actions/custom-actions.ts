@@ -0,0 +1,191 @@
+/**
+ * User-defined actions - JSON definitions stored in settings, registered at runtime
+ * Steps are limited to what JSON can express: single-turn `llm` prompts and calls to existing actions.
+ * Registration into actionsRegistry lives in index.ts; this module validates, stores and (de)serializes.
+ */
+import Mustache from 'mustache';
+import type { JSONSchema, ToolDoc, Intelligence, ExecutionPolicy } from './types/index.js';
+import { validateSchema } from '../validate-schema.js';
+import { getKnownContextVars } from './context-provider.js';
+
+const STORAGE_KEY = 'customActions';
+const FILE_VERSION = 1;
+
+// Tool loops a custom action can be offered in
+export const ATTACHABLE_ACTIONS = ['ROUTER', 'BROWSER_ACTION'];
+
+export interface CustomLLMStep extends ExecutionPolicy {
+  type: 'llm';
+  system_prompt: string;
+  message: string;
+  intelligence: Intelligence;
+  output_schema: JSONSchema;
+}
+
+export interface CustomActionStep extends ExecutionPolicy {
+  type: 'action';
+  action: string;           // Built-in action, or a custom action defined earlier in the list
+}
+
+export interface CustomActionDef {
+  name: string;
+  description: string;
+  tool_doc?: ToolDoc;
+  input_schema: JSONSchema;
+  attach_to?: string[];     // Subset of ATTACHABLE_ACTIONS whose available_actions include this action
+  steps: Array<CustomLLMStep | CustomActionStep>;
+}
+
+const STRING_LIST: JSONSchema = { type: 'array', items: { type: 'string' } };
+
+// Structure only; nested JSON schemas and cross-references are checked in validateCustomActions
+const DEFINITION_SCHEMA: JSONSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    tool_doc: {
+      type: 'object',
+      properties: { use_when: STRING_LIST, must: STRING_LIST, never: STRING_LIST, examples: STRING_LIST },
+      required: ['use_when'],
+      additionalProperties: false
+    },
+    input_schema: { type: 'object' },
+    attach_to: { type: 'array', items: { type: 'string', enum: ATTACHABLE_ACTIONS } },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['llm', 'action'] },
+          system_prompt: { type: 'string' },
+          message: { type: 'string' },
+          intelligence: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'] },
+          output_schema: { type: 'object' },
+          action: { type: 'string' },
+          timeout_ms: { type: 'number' },
+          retries: { type: 'number' },
+          backoff: {
+            type: 'object',
+            properties: { type: { type: 'string', enum: ['fixed', 'exponential'] }, delay_ms: { type: 'number' }, max_delay_ms: { type: 'number' } },
+            additionalProperties: false
+          }
+        },
+        required: ['type'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['name', 'description', 'input_schema', 'steps'],
+  additionalProperties: false
+};
+
+const SCHEMA_TYPES = ['object', 'string', 'number', 'boolean', 'array'];
+
+// Nested schemas must stay within the subset validate-schema.ts understands
+function checkJSONSchema(schema: unknown, path: string, errors: string[]): void {
+  const s = schema as Partial<JSONSchema> | null;
+  if (!s || typeof s !== 'object' || !SCHEMA_TYPES.includes(s.type as string)) {
+    errors.push(`${path}: type must be one of ${SCHEMA_TYPES.join(', ')}`);
+    return;
+  }
+  for (const [key, child] of Object.entries(s.properties || {})) checkJSONSchema(child, `${path}.properties.${key}`, errors);
+  if (s.items) checkJSONSchema(s.items, `${path}.items`, errors);
+  for (const key of s.required || []) {
+    if (!s.properties?.[key]) errors.push(`${path}: required "${key}" is not in properties`);
+  }
+  if (s.enum !== undefined && !Array.isArray(s.enum)) errors.push(`${path}: enum must be an array`);
+}
+
+function templateVars(template: string, path: string, errors: string[]): string[] {
+  try {
+    return Mustache.parse(template).filter(t => ['name', '&', '#', '^'].includes(t[0] as string)).map(t => t[1] as string);
+  } catch (e) {
+    errors.push(`${path}: invalid template (${(e as Error).message})`);
+    return [];
+  }
+}
+
+/**
+ * Validate custom action definitions against the built-in action names
+ * @returns errors per definition, in list order (empty array = valid)
+ */
+export function validateCustomActions(defs: unknown[], builtinNames: string[]): string[][] {
+  const defined = new Set<string>();
+  return defs.map(raw => {
+    const errors: string[] = [];
+    const structure = validateSchema(raw, DEFINITION_SCHEMA, { coerce: false });
+    if (!structure.valid) return structure.errors;
+    const def = raw as CustomActionDef;
+
+    if (!/^[A-Z][A-Z0-9_]*$/.test(def.name)) errors.push('$.name: use UPPER_SNAKE_CASE (e.g. "SUMMARIZE_TABLE")');
+    if (builtinNames.includes(def.name)) errors.push(`$.name: "${def.name}" is a built-in action`);
+    else if (defined.has(def.name)) errors.push(`$.name: "${def.name}" is defined twice`);
+    if (def.input_schema.type !== 'object') errors.push('$.input_schema: type must be "object"');
+    checkJSONSchema(def.input_schema, '$.input_schema', errors);
+    if (!def.steps.length) errors.push('$.steps: at least one step is required');
+
+    // Template variables: inputs, context providers, and outputs of earlier llm steps;
+    // after an action step the context depends on that action, so checking stops there
+    const known = new Set([...Object.keys(def.input_schema.properties || {}), ...getKnownContextVars(), 'parent_messages']);
+    let checkVars = true;
+    def.steps.forEach((step, i) => {
+      const path = `$.steps[${i}]`;
+      if (step.type === 'llm') {
+        for (const key of ['system_prompt', 'message', 'intelligence', 'output_schema'] as const) {
+          if (step[key] === undefined) errors.push(`${path}: llm step needs ${key}`);
+        }
+        if ('action' in step) errors.push(`${path}: llm step cannot have action`);
+        if (step.output_schema) checkJSONSchema(step.output_schema, `${path}.output_schema`, errors);
+        for (const key of ['system_prompt', 'message'] as const) {
+          if (typeof step[key] !== 'string') continue;
+          for (const v of templateVars(step[key], `${path}.${key}`, errors)) {
+            if (checkVars && !known.has(v)) errors.push(`${path}.${key}: unknown variable {{${v}}}`);
+          }
+        }
+        Object.keys(step.output_schema?.properties || {}).forEach(k => known.add(k));
+      } else {
+        const extra = ['system_prompt', 'message', 'intelligence', 'output_schema'].filter(k => k in step);
+        if (extra.length) errors.push(`${path}: action step cannot have ${extra.join(', ')}`);
+        if (!step.action) errors.push(`${path}: action step needs action`);
+        else if (!builtinNames.includes(step.action) && !defined.has(step.action)) {
+          errors.push(`${path}: unknown action "${step.action}" (custom actions can only call ones defined before them)`);
+        } else if (def.attach_to?.includes(step.action)) {
+          errors.push(`${path}: cannot call ${step.action} while attached to it`);
+        }
+        checkVars = false;
+      }
+    });
+
+    if (!errors.length) defined.add(def.name);
+    return errors;
+  });
+}
+
+export async function getCustomActions(): Promise<CustomActionDef[]> {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return (stored[STORAGE_KEY] as CustomActionDef[] | undefined) || [];
+}
+
+export async function setCustomActions(defs: CustomActionDef[]): Promise<void> {
+  await chrome.storage.local.set({ [STORAGE_KEY]: defs });
+}
+
+// Shareable file: { version, actions }
+export function serializeCustomActions(defs: CustomActionDef[]): string {
+  return JSON.stringify({ version: FILE_VERSION, actions: defs }, null, 2);
+}
+
+/**
+ * Parse an exported file; also accepts a bare array or a single definition
+ */
+export function parseCustomActionsFile(text: string): unknown[] {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.actions)) {
+    if (data.version > FILE_VERSION) throw new Error(`Unsupported file version: ${data.version}`);
+    return data.actions;
+  }
+  if (data && typeof data === 'object') return [data];
+  throw new Error('Expected a custom action or a list of them');
+}
@@ -3,7 +3,7 @@
  *
  * Short-circuit optimization: If the last tool result already answers the query,
  * returns it directly (1 LLM call). Otherwise, generates extraction prompt and
- * extracts/summarizes (2 LLM calls).
+ * extracts/summarizes (2 LLM calls). Either way final_answer streams to the chat as it is written.
  */
 import type { Action, JSONSchema, StepContext, StepResult } from './types/index.js';
 
@@ -201,7 +201,8 @@ If last result answers the query → final_answer + method, extraction_prompt =
 If synthesis/formatting needed → extraction_prompt only, final_answer = "", method = "".
 Prefer final_answer to avoid extra LLM call.`,
       intelligence: 'LOW',
-      output_schema: DECISION_OUTPUT_SCHEMA
+      output_schema: DECISION_OUTPUT_SCHEMA,
+      stream: 'final_answer'
     },
     {
       type: 'llm',
@@ -221,7 +222,8 @@ Return:
 - final_answer: Clean, user-friendly response (no JSON, no internal details)
 - method: 1-2 sentence summary of steps taken`,
       intelligence: 'MEDIUM',
-      output_schema: FINAL_OUTPUT_SCHEMA
+      output_schema: FINAL_OUTPUT_SCHEMA,
+      stream: 'final_answer'
     }
   ]
 };
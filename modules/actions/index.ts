@@ -10,12 +10,17 @@ import { knowledgeBaseActions } from './knowledge-base-action.js';
 import { REQUEST_INPUT_ACTION } from './clarification-actions.js';
 import { TRACE_ANALYZER_ACTION } from './trace-analyzer-action.js';
 import { CONTEXT_SELECTOR_ACTION } from './context-selector-action.js';
+import { workflowActions } from './workflow-actions.js';
+import { commandActions } from './command-actions.js';
+import { validateCustomActions, getCustomActions, ATTACHABLE_ACTIONS } from './custom-actions.js';
+import type { CustomActionDef } from './custom-actions.js';
 import logger from '../logger.js';
 
 export type { ClarificationAnswer } from './clarification-actions.js';
 
 // Re-export types
 export type { Action, ActionsRegistry, StepResult, StepContext, Message } from './types/index.js';
+export type { CustomActionDef } from './custom-actions.js';
 
 // Build registry from all actions
 const allActions: Action[] = [
@@ -27,7 +32,9 @@ const allActions: Action[] = [
   TRACE_ANALYZER_ACTION,
   ...knowledgeBaseActions,
   REQUEST_INPUT_ACTION,
-  CONTEXT_SELECTOR_ACTION
+  CONTEXT_SELECTOR_ACTION,
+  ...workflowActions,
+  ...commandActions
 ];
 
 export const actionsRegistry: ActionsRegistry = Object.fromEntries(
@@ -37,3 +44,65 @@ export const actionsRegistry: ActionsRegistry = Object.fromEntries(
 logger.info(`Loaded ${Object.keys(actionsRegistry).length} actions`);
 
 export const getAction = (name: string): Action | undefined => actionsRegistry[name];
+
+// ============ Custom Actions ============
+
+const builtinNames = Object.keys(actionsRegistry);
+// Tool loop steps custom actions can join, with their built-in tool lists
+const hostToolChoices = ATTACHABLE_ACTIONS.map(name => {
+  const step = actionsRegistry[name].steps.find(s => s.type === 'llm' && s.tool_choice);
+  const toolChoice = step?.type === 'llm' ? step.tool_choice! : null;
+  return { name, toolChoice, builtin: [...(toolChoice?.available_actions || [])] };
+});
+let customNames: string[] = [];
+
+const labelOf = (def: unknown, index: number): string => {
+  const name = (def as CustomActionDef | null)?.name;
+  return typeof name === 'string' && name ? name : `#${index + 1}`;
+};
+
+/**
+ * Replace the registered custom actions; invalid definitions are skipped
+ * @returns names registered and errors ("NAME: message") for the skipped ones
+ */
+export function registerCustomActions(defs: unknown[]): { registered: string[]; errors: string[] } {
+  for (const name of customNames) delete actionsRegistry[name];
+  customNames = [];
+
+  const errors: string[] = [];
+  const attached = new Map<string, string[]>();
+  validateCustomActions(defs, builtinNames).forEach((defErrors, i) => {
+    const def = defs[i] as CustomActionDef;
+    if (defErrors.length) {
+      errors.push(...defErrors.map(e => `${labelOf(def, i)}: ${e}`));
+      return;
+    }
+    actionsRegistry[def.name] = {
+      name: def.name,
+      description: def.description,
+      tool_doc: def.tool_doc,
+      input_schema: def.input_schema,
+      steps: def.steps.map(step => ({ ...step }))
+    };
+    customNames.push(def.name);
+    for (const host of def.attach_to || []) attached.set(host, [...(attached.get(host) || []), def.name]);
+  });
+
+  for (const { name, toolChoice, builtin } of hostToolChoices) {
+    if (toolChoice) toolChoice.available_actions = [...builtin, ...(attached.get(name) || [])];
+  }
+  if (errors.length) logger.warn('Skipped invalid custom actions', { errors });
+  return { registered: [...customNames], errors };
+}
+
+/**
+ * Validate definitions without registering them
+ * @returns errors as "NAME: message" (empty = all valid)
+ */
+export function checkCustomActions(defs: unknown[]): string[] {
+  return validateCustomActions(defs, builtinNames).flatMap((defErrors, i) => defErrors.map(e => `${labelOf(defs[i], i)}: ${e}`));
+}
+
+export async function loadCustomActions(): Promise<{ registered: string[]; errors: string[] }> {
+  return registerCustomActions(await getCustomActions());
+}
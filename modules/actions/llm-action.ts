@@ -135,6 +135,7 @@ Output a single system prompt under 100 words. Match domain and complexity.`,
       system_prompt: '{{{generated_prompt}}}',
       message: `{{{instruction}}}`,
       intelligence: 'HIGH',
+      timeout_ms: 30000,
       output_schema: RESPONSE_OUTPUT_SCHEMA
     }
   ]
@@ -23,6 +23,10 @@ export const ROUTER_ACTION: Action = {
       goal: {
         type: 'string',
         description: 'The goal to accomplish'
+      },
+      target: {
+        type: 'object',
+        description: 'What the user pointed at in the page (context menu entry, element picker): { tab, ref?, role?, name?, selection?, url?, src? }'
       }
     },
     required: ['goal'],
@@ -132,6 +136,22 @@ Context:
 {{{context}}}
 
 Goal: {{{goal}}}
+{{#target}}
+
+The user pointed at this in tab {{{tab}}}:
+{{#ref}}
+- Element {{{ref}}}{{#role}} ({{{role}}}){{/role}}{{#name}} "{{{name}}}"{{/name}}: READ_PAGE of {{{tab}}} gives it this ref while the page is unchanged. Act on exactly this element.
+{{/ref}}
+{{#selection}}
+- Selected text: {{{selection}}}
+{{/selection}}
+{{#url}}
+- Link: {{{url}}}
+{{/url}}
+{{#src}}
+- Image: {{{src}}}
+{{/src}}
+{{/target}}
 
 Select ONE tool. Use {{{stop_action}}} when objective complete or after 2 failed attempts.`,
       continuation_message: `Previous action completed. Review the result above. Note user does not see this message, they only see output of {{{stop_action}}}.
@@ -145,6 +165,7 @@ Decision:
 - If you encountered an error in the previous action, try ONE alternative approach.
 - If you encounter the SAME error AGAIN, use {{{stop_action}}} to report the issue.`,
       intelligence: 'HIGH',
+      timeout_ms: 30000,
       tool_choice: {
         available_actions: [
           REQUEST_INPUT_ACTION.name,
@@ -2,11 +2,12 @@
  * Action system type definitions
  */
 
-// JSON Schema subset for input validation
+// JSON Schema subset for input validation (enforced by validate-schema.ts)
 export interface JSONSchema {
   type: 'object' | 'string' | 'number' | 'boolean' | 'array';
-  properties?: Record<string, JSONSchema & { description?: string; enum?: string[] }>;
+  properties?: Record<string, JSONSchema>;
   items?: JSONSchema;
+  enum?: Array<string | number | boolean>;
   required?: string[];
   additionalProperties?: boolean;
   description?: string;
@@ -21,9 +22,14 @@ export interface ToolDoc {
 }
 
 // Message types for conversation
+// Part of a message with images (see withImages in llm/api.js)
+export type ContentPart =
+  | { type: 'text'; text: string }
+  | { type: 'image_url'; image_url: { url: string } };
+
 export interface Message {
   role: 'system' | 'user' | 'assistant' | 'tool';
-  content: string | null;
+  content: string | ContentPart[] | null;
   tool_calls?: ToolCall[];
   tool_call_id?: string;
 }
@@ -41,6 +47,8 @@ export interface ToolCall {
 export interface StepContext {
   parent_messages?: Message[];
   tabId?: number;
+  signal?: AbortSignal;   // Run cancellation, injected for function step handlers only
+  runId?: string;         // Run the step belongs to, injected with signal; pass both to content-bridge calls
   [key: string]: unknown;
 }
 
@@ -60,14 +68,27 @@ export interface ToolChoice {
   max_iterations: number;
 }
 
+// Declarative timeout/retry policy. Set on a step, or on an action as the default for its steps.
+export interface ExecutionPolicy {
+  timeout_ms?: number;    // function/action step: whole attempt; llm step: each model request
+  retries?: number;       // Extra attempts after a failure (default: 0); validation errors are not retried
+  backoff?: Backoff;
+}
+
+export interface Backoff {
+  type?: 'fixed' | 'exponential';  // default: exponential
+  delay_ms?: number;               // First retry delay (default: 1000)
+  max_delay_ms?: number;           // Cap for exponential growth (default: 30000)
+}
+
 // Step type definitions
-export interface FunctionStep {
+export interface FunctionStep extends ExecutionPolicy {
   type: 'function';
   handler: (ctx: StepContext) => StepResult | Promise<StepResult>;
 }
 
 // Base LLM step fields
-interface LLMStepBase {
+interface LLMStepBase extends ExecutionPolicy {
   type: 'llm';
   system_prompt: string;
   message: string;
@@ -78,6 +99,10 @@ interface LLMStepBase {
 // Single-turn LLM step with structured output
 export interface SingleTurnLLMStep extends LLMStepBase {
   output_schema: JSONSchema;
+  /** String field of the output streamed to the chat as it is generated (partial_answer progress events); only in the root action and its stop action */
+  stream?: string;
+  /** Context field with an image URL (or a list of them) sent with the message; only models that accept images are tried */
+  images?: string;
   tool_choice?: never;
   continuation_message?: never;
 }
@@ -88,26 +113,59 @@ export interface MultiTurnLLMStep extends LLMStepBase {
   /** Message used after first turn in multi-turn loops. Required for tool_choice steps. */
   continuation_message: string;
   output_schema?: never;
+  stream?: never;
+  images?: never;
 }
 
 export type LLMStep = SingleTurnLLMStep | MultiTurnLLMStep;
 
-export interface ActionStep {
+export interface ActionStep extends ExecutionPolicy {
   type: 'action';
   action: string;
   condition?: (ctx: StepContext) => boolean;  // Only execute if returns true
 }
 
-export type Step = FunctionStep | LLMStep | ActionStep;
+// Control flow steps - sub-steps run in the action's context and their results merge into it
+
+export interface BranchCase {
+  when: (ctx: StepContext) => boolean;
+  steps: Step[];
+}
+
+export interface BranchStep {
+  type: 'branch';
+  cases: BranchCase[];    // The first case whose `when` returns true runs
+  otherwise?: Step[];     // Runs when no case matches (step is skipped if omitted)
+}
+
+export interface MapStep extends ExecutionPolicy {  // Policy applies per item
+  type: 'map';
+  action: string;                                  // Run once per item
+  items: (ctx: StepContext) => unknown[];
+  params?: (item: unknown, index: number, ctx: StepContext) => Record<string, unknown>;  // Default: { ...ctx, item, index }
+  output_key: string;                              // Item results (in item order) are stored under this key
+  concurrency?: number;                            // Max items in flight (default: 1)
+}
+
+export interface LoopStep {
+  type: 'loop';
+  steps: Step[];
+  until: (ctx: StepContext) => boolean;   // Checked after each iteration
+  max_iterations: number;
+}
+
+export type Step = FunctionStep | LLMStep | ActionStep | BranchStep | MapStep | LoopStep;
 
 // Full action definition
-export interface Action {
+export interface Action extends ExecutionPolicy {
   name: string;
   description: string;
   tool_doc?: ToolDoc;     // All tool documentation in one place
   input_schema: JSONSchema;
   steps: Step[];
   post_steps?: Step[];  // Fire-and-forget steps run after result returned (root actions only)
+  parallel_safe?: boolean;  // Read-only: may run concurrently with adjacent parallel_safe calls from the same LLM turn
+  mutates?: boolean;        // Changes the page or navigates: simulated instead of run in dry-run mode
 }
 
 // Action registry type
@@ -0,0 +1,166 @@
+/**
+ * Workflow actions - Replay a recorded demonstration (see workflows.js) through the browser actions
+ * Each step's target is re-resolved by role + name in a fresh READ_PAGE; only steps whose target
+ * cannot be found (or that need a password that was never recorded) are handed to BROWSER_ACTION.
+ */
+import type { Action, StepContext, StepResult } from './types/index.js';
+import { tabManager, extractA11yTree, resolveTargetTab } from '../content-bridge.js';
+import { REQUEST_INPUT_ACTION } from './clarification-actions.js';
+import { getWorkflow, resolveTarget, describeWorkflowStep } from '../workflows.js';
+
+interface WorkflowStep {
+  type: 'click' | 'fill' | 'select' | 'check' | 'submit' | 'navigate';
+  target?: { role: string | null; name: string; nth?: number };
+  value?: string;
+  checked?: boolean;
+  url?: string;
+  secret?: boolean;
+}
+
+const sleep = (ms: number) => new Promise(r => setTimeout(r, ms));
+
+// Pages that render after load get a moment before a step falls back to the LLM
+const RESOLVE_ATTEMPTS = 3;
+const RESOLVE_DELAY_MS = 1000;
+
+async function findTarget(ctx: StepContext, step: WorkflowStep): Promise<string | null> {
+  for (let attempt = 1; attempt <= RESOLVE_ATTEMPTS; attempt++) {
+    const page = await extractA11yTree(ctx.tabId, { signal: ctx.signal, runId: ctx.runId });
+    const ref = page.success ? resolveTarget(page.content, step.target) : null;
+    if (ref || attempt === RESOLVE_ATTEMPTS) return ref;
+    await sleep(RESOLVE_DELAY_MS);
+  }
+  return null;
+}
+
+function fallbackGoal(step: WorkflowStep): string {
+  const goal = `Perform this single recorded step on the current page: ${describeWorkflowStep(step)}.`;
+  if (step.secret) return `${goal} The password was not recorded: ask the user for it with ${REQUEST_INPUT_ACTION.name} before typing it. Do nothing else.`;
+  return `${goal} The recorded element was not found by its exact role and name; find the equivalent element (it may have been renamed or moved) and do only this step.`;
+}
+
+// Tool call that replays one step; `tool` picks the branch below
+async function planStep(ctx: StepContext): Promise<Record<string, unknown>> {
+  const step = ctx.step as WorkflowStep;
+  if (step.type === 'navigate') return { tool: 'CHANGE_TAB_URL', url: step.url };
+
+  const ref = step.secret ? null : await findTarget(ctx, step);
+  if (!ref) return { tool: 'BROWSER_ACTION', goal: fallbackGoal(step) };
+  switch (step.type) {
+    case 'click': return { tool: 'CLICK_ELEMENT', ref };
+    case 'fill': return { tool: 'FILL_FORM', form_fields: [{ ref, value: step.value ?? '' }] };
+    case 'select': return { tool: 'SELECT_OPTION', ref, value: step.value };
+    case 'check': return { tool: 'CHECK_CHECKBOX', ref, checked: step.checked !== false };
+    case 'submit': return { tool: 'SUBMIT_FORM', ref };
+    default: throw new Error(`Unknown workflow step type: ${step.type}`);
+  }
+}
+
+// Browser actions report some failures in their result instead of throwing
+function replayError(ctx: StepContext): string | null {
+  if (ctx.success === false || ctx.selected === false || ctx.submitted === false || ctx.filled_fields === 0) {
+    return String(ctx.error || ctx.message || 'the page rejected the action');
+  }
+  return null;
+}
+
+const replayStep = (tool: string) => ({
+  when: (ctx: StepContext) => ctx.tool === tool,
+  steps: [{ type: 'action' as const, action: tool }]
+});
+
+/**
+ * REPLAY_WORKFLOW_STEP - one recorded step (internal, run by RUN_WORKFLOW)
+ */
+export const REPLAY_WORKFLOW_STEP: Action = {
+  name: 'REPLAY_WORKFLOW_STEP',
+  description: 'Replay one recorded workflow step on a tab',
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'string', description: 'Tab ID (e.g., "t1")' },
+      step: { type: 'object', description: 'Recorded workflow step' },
+      index: { type: 'number', description: 'Position of the step in the workflow' }
+    },
+    required: ['tabId', 'step', 'index'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => ({ result: await planStep(ctx) })
+    },
+    {
+      type: 'branch',
+      cases: ['CHANGE_TAB_URL', 'CLICK_ELEMENT', 'FILL_FORM', 'SELECT_OPTION', 'CHECK_CHECKBOX', 'SUBMIT_FORM', 'BROWSER_ACTION'].map(replayStep)
+    },
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const step = ctx.step as WorkflowStep;
+        const error = replayError(ctx);
+        if (error) throw new Error(`Step ${(ctx.index as number) + 1} (${describeWorkflowStep(step)}) failed: ${error}`);
+        return { result: { index: ctx.index, via: ctx.tool, fallback: ctx.tool === 'BROWSER_ACTION' } };
+      }
+    }
+  ]
+};
+
+/**
+ * RUN_WORKFLOW - replay a saved workflow on the active tab (or the given one)
+ */
+export const RUN_WORKFLOW: Action = {
+  name: 'RUN_WORKFLOW',
+  description: 'Replay a workflow the user recorded, step by step, on a browser tab',
+  input_schema: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Name of the saved workflow' },
+      tabId: { type: 'string', description: 'Tab to replay on (default: the active tab)' }
+    },
+    required: ['name'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const workflow = await getWorkflow(ctx.name);
+        if (!workflow) throw new Error(`No workflow named "${ctx.name}"`);
+
+        const tab = await resolveTargetTab(ctx.tabId);
+        if (!tab?.id) throw new Error('No tab to replay the workflow on');
+
+        // Start where the recording started unless the workflow navigates first
+        const steps: WorkflowStep[] = workflow.steps;
+        const opensPage = steps[0]?.type === 'navigate' || tab.url === workflow.startUrl;
+        return {
+          result: {
+            tabId: tabManager.getAlias(tab.id),
+            workflow_steps: opensPage ? steps : [{ type: 'navigate', url: workflow.startUrl }, ...steps]
+          }
+        };
+      }
+    },
+    {
+      type: 'map',
+      action: REPLAY_WORKFLOW_STEP.name,
+      items: (ctx: StepContext) => ctx.workflow_steps as WorkflowStep[],
+      params: (item, index, ctx) => ({ tabId: ctx.tabId, step: item, index }),
+      output_key: 'replayed'
+    },
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const steps = ctx.workflow_steps as WorkflowStep[];
+        const replayed = ctx.replayed as Array<{ fallback: boolean }>;
+        const lines = steps.map((step, i) => `${i + 1}. ${describeWorkflowStep(step)}${replayed[i]?.fallback ? ' *(found by the agent)*' : ''}`);
+        const fallbacks = replayed.filter(r => r?.fallback).length;
+        const note = fallbacks ? `\n\n${fallbacks} step(s) could not be matched to the recording and were completed by the agent.` : '';
+        return { result: { final_answer: `Ran workflow **${ctx.name}**:\n\n${lines.join('\n')}${note}` } };
+      }
+    }
+  ]
+};
+
+export const workflowActions: Action[] = [REPLAY_WORKFLOW_STEP, RUN_WORKFLOW];
@@ -0,0 +1,61 @@
+/**
+ * Approval gate - Pauses high-risk tool calls until the user approves, denies or edits them in the side panel
+ * Registered by the service worker; the rules live in risk-policy.js. The panel shows the prompt in the
+ * clarification modal (clarification-ui.js) and answers with an approvalResponse message.
+ */
+import { INSPECTED_TOOLS, classifyToolCall, describeToolCall } from './risk-policy.js';
+import { tabManager, describeElement } from './content-bridge.js';
+
+// One prompt at a time, even when a turn runs several tool calls concurrently
+let pending = Promise.resolve();
+
+// Page URL and the role/name of the element the call targets; lookups that fail leave them unknown
+async function inspectTarget(args, signal) {
+  const tabId = tabManager.resolveAlias(args.tabId);
+  const ref = args.ref || (args.submit ? args.submit_ref : null);
+  const [url, element] = await Promise.all([
+    tabId ? chrome.tabs.get(tabId).then(tab => tab.url, () => null) : null,
+    tabId && ref ? describeElement(tabId, ref, { signal }).then(d => (d?.found ? d : null), () => null) : null
+  ]);
+  return { url, element };
+}
+
+function askUser(request, signal) {
+  return new Promise((resolve, reject) => {
+    const finish = (settle, value) => {
+      chrome.runtime.onMessage.removeListener(onResponse);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+    const onResponse = message => {
+      if (message.action === 'approvalResponse' && message.id === request.id) finish(resolve, message);
+    };
+    const onAbort = () => finish(reject, signal.reason);
+
+    signal?.throwIfAborted();
+    chrome.runtime.onMessage.addListener(onResponse);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // No panel to ask: nothing risky runs unattended
+    chrome.runtime.sendMessage({ action: 'showApproval', request })
+      .catch(() => finish(resolve, { decision: 'deny', reason: 'the side panel is closed' }));
+  });
+}
+
+export const approvalMiddleware = {
+  async beforeToolCall({ tool, args, options }) {
+    if (!INSPECTED_TOOLS.has(tool) || !args) return;
+    const signal = options?.signal;
+    const { url, element } = await inspectTarget(args, signal);
+    const { level, reasons } = classifyToolCall({ tool, args, element, url });
+    if (level !== 'high') return;
+
+    const request = { id: crypto.randomUUID(), tool, args, url, element, reasons, summary: describeToolCall({ tool, args, elements: element ? [element] : [] }) };
+    const asked = pending.then(() => askUser(request, signal));
+    pending = asked.catch(() => {});
+    const response = await asked;
+
+    if (response.decision === 'approve') return;
+    if (response.decision === 'edit' && response.args) return { args: response.args };
+    return { veto: `the user denied ${tool}${response.reason ? ` (${response.reason})` : ''}. Do not retry it; continue without this step or tell the user.` };
+  }
+};
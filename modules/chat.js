@@ -2,6 +2,12 @@
 import { elements } from './dom.js';
 import { marked } from 'marked';
 import { getEndpoints } from './llm/index.js';
+import { hideClarification } from './clarification-ui.js';
+import { getTasks, getTask, parseTaskCommand, taskArguments, formatTaskCommand } from './tasks.js';
+import { createSession, getSession, listSessions, renameSession, deleteSession, getSessionMessages, sessionTitle } from './sessions.js';
+import { showTrace } from './debug/index.js';
+import { parseSlashCommand, getCommand, matchCommands } from './slash-commands.js';
+import { EXPORT_FORMATS, toMarkdown, toJSON, toHTML, findTables, tableToCSV, exportFileName, downloadFile } from './export.js';
 // @ts-ignore - DOMPurify has different exports in different module systems
 import DOMPurify from 'dompurify';
 
@@ -15,6 +21,9 @@ marked.use({
   }
 });
 
+// Chat bubbles and exported HTML render answers the same way
+const renderMarkdown = markdown => DOMPurify.sanitize(/** @type {string} */ (marked.parse(markdown, { breaks: true })), { ADD_ATTR: ['target'] });
+
 const messageHistory = [];
 let historyIndex = -1;
 let currentDraft = '';
@@ -81,7 +90,7 @@ export function addMessage(role, content, { timeout = null } = {}) {
   if (isError) {
     bubbleDiv.innerHTML = `<span class="error-content">${content}</span>`;
   } else {
-    bubbleDiv.innerHTML = DOMPurify.sanitize(/** @type {string} */ (marked.parse(content, { breaks: true })), { ADD_ATTR: ['target'] });
+    bubbleDiv.innerHTML = renderMarkdown(content);
   }
   messageDiv.appendChild(bubbleDiv);
 
@@ -105,8 +114,98 @@ function removeTypingIndicator() {
   document.getElementById('typing-indicator')?.remove();
 }
 
-async function sendMessageToBackground(message) {
-  return chrome.runtime.sendMessage({ action: 'processMessage', message });
+// --- Activity feed (live executor progress under the pending message) ---
+
+const ARGS_PREVIEW_LENGTH = 120;
+
+function formatProgress(event) {
+  switch (event.type) {
+    case 'step':
+      return `${event.action} › step ${event.step} (${event.stepType})`;
+    case 'tool_call': {
+      const args = typeof event.args === 'string' ? event.args : JSON.stringify(event.args ?? {});
+      const preview = args.length > ARGS_PREVIEW_LENGTH ? args.slice(0, ARGS_PREVIEW_LENGTH) + '…' : args;
+      return `→ ${event.tool} ${preview}`;
+    }
+    case 'navigation':
+      return `↪ ${event.url || 'navigated'}`;
+    case 'model_fallback':
+      return `⚠ ${event.model} failed (${event.phase}), trying next model`;
+    default:
+      return null;
+  }
+}
+
+function getActivityFeed() {
+  const indicator = document.getElementById('typing-indicator');
+  if (!indicator) return null;
+  return indicator.querySelector('.activity-feed') ?? indicator.appendChild(Object.assign(document.createElement('details'), {
+    className: 'chat-footer activity-feed',
+    innerHTML: '<summary class="activity-summary">Activity <span class="activity-count">0</span></summary><ol class="activity-list"></ol>'
+  }));
+}
+
+function addProgressEvent(event) {
+  if (event.type === 'partial_answer') return showPartialAnswer(event.text);
+  const text = formatProgress(event);
+  const feed = text && getActivityFeed();
+  if (!feed) return;
+
+  const item = Object.assign(document.createElement('li'), {
+    className: `activity-item activity-${event.type}`,
+    textContent: text,
+    title: text
+  });
+  feed.querySelector('.activity-list').appendChild(item);
+  const count = feed.querySelectorAll('.activity-item').length;
+  feed.querySelector('.activity-count').textContent = String(count);
+  if (feed.open) item.scrollIntoView({ block: 'nearest' });
+  elements.chatContainer.scrollTop = elements.chatContainer.scrollHeight;
+}
+
+// The answer as it streams in, in place of the typing dots; the finished answer replaces it
+let partialAnswer = null;
+
+function showPartialAnswer(text) {
+  // Rendered once per frame, however fast the events arrive
+  if (partialAnswer === null) {
+    requestAnimationFrame(() => {
+      const bubble = document.querySelector('#typing-indicator .chat-bubble');
+      if (bubble) {
+        bubble.innerHTML = renderMarkdown(partialAnswer);
+        elements.chatContainer.scrollTop = elements.chatContainer.scrollHeight;
+      }
+      partialAnswer = null;
+    });
+  }
+  partialAnswer = text;
+}
+
+// Keep the finished run's feed (collapsed) under the answer it produced
+function detachActivityFeed() {
+  const feed = document.getElementById('typing-indicator')?.querySelector('.activity-feed');
+  if (!feed) return null;
+  feed.open = false;
+  return feed;
+}
+
+// target: what the user pointed at in the page (see context-menus.js), handed to the ROUTER
+async function sendMessageToBackground(message, sessionId, target = null) {
+  return chrome.runtime.sendMessage({ action: 'processMessage', message, target, sessionId, dryRun: elements.dryRunToggle.checked });
+}
+
+// Swap Send for Stop while a task is running
+function setRunning(running) {
+  elements.sendButton.classList.toggle('hidden', running);
+  elements.stopButton.classList.toggle('hidden', !running);
+  elements.stopButton.disabled = false;
+}
+
+async function stopTask() {
+  elements.stopButton.disabled = true;
+  hideClarification();
+  await setStatus('Stopping', true);
+  chrome.runtime.sendMessage({ action: 'cancelTask' }).catch(() => {});
 }
 
 async function sendMessage() {
@@ -117,27 +216,553 @@ async function sendMessage() {
   historyIndex = -1;
   currentDraft = '';
 
-  addMessage('user', message);
   elements.messageInput.value = '';
   elements.messageInput.style.height = 'auto';
+  setCommandMenu([]);
+  const slash = parseSlashCommand(message);
+  const builtin = slash && getCommand(slash.name);
+  if (builtin) return builtin.run(slash.args, commandChat, message);
+  // `/word` that names no task ("/etc is broken") is an ordinary message
+  const command = parseTaskCommand(message);
+  if (command && await getTask(command.name)) return launchTask(command.name, command);
+  // The picked element goes with the next chat message only
+  const target = pickedTarget;
+  setPickedTarget(null);
+  await runTask(message, sessionId => sendMessageToBackground(message, sessionId, target), target);
+}
+
+// Set the message box to text the user completes before sending
+function prefillInput(text) {
+  elements.messageInput.value = text;
+  elements.messageInput.dispatchEvent(new Event('input'));
+  elements.messageInput.focus();
+}
+
+/**
+ * Show the user turn, run the request in the background and render its outcome
+ * @param {function} request - (sessionId) => Promise of the background's response; the service worker adds the exchange to that session
+ * @param {object|null} [target] - page element the message is about, shown under it
+ */
+async function runTask(userText, request, target = null) {
+  const question = { role: 'user', content: userText, timestamp: Date.now() };
+  addTargetFooter(addMessage('user', userText), target);
   elements.sendButton.disabled = true;
+  setRunning(true);
 
   await setStatus('Processing', true);
   addTypingIndicator();
 
   try {
-    const response = await sendMessageToBackground(message);
+    const response = await request(await ensureSession(userText));
+    const feed = detachActivityFeed();
     removeTypingIndicator();
-    addMessage(response.error ? 'error' : 'assistant', response.error || response.result);
+    if (response.traceId) lastTraceId = response.traceId;
+    if (response.cancelled) addMessage('system', 'Task stopped');
+    else {
+      const message = { role: response.error ? 'error' : 'assistant', content: response.error || response.result, timestamp: Date.now(), traceId: response.traceId };
+      const messageDiv = addMessage(message.role, message.content);
+      addMessageFooter(messageDiv, message, question);
+      if (feed) messageDiv.appendChild(feed);
+    }
   } catch (error) {
     removeTypingIndicator();
     addMessage('error', error.message);
   } finally {
     elements.sendButton.disabled = false;
+    setRunning(false);
     await setStatus('Ready', false);
   }
 }
 
+// Replay a recorded workflow as a run of its own (dry run applies as for chat messages)
+export function runWorkflow(name) {
+  return runTask(`Run workflow "${name}"`, sessionId => chrome.runtime.sendMessage({
+    action: 'processMessage', message: `Run workflow "${name}"`, workflow: name, sessionId, dryRun: elements.dryRunToggle.checked
+  }));
+}
+
+/**
+ * Run a saved task; when parameters are missing the command is left in the message box to complete
+ * @param {{args?: Record<string, string>, rest?: string}} [input] - parsed `/name key=value` arguments
+ */
+export async function launchTask(name, input = {}) {
+  const task = await getTask(name);
+  if (!task) return addMessage('system', `✗ No task named /${name}`);
+  const { args, missing } = taskArguments(task, input);
+  if (missing.length) {
+    prefillInput(formatTaskCommand(name, args, missing));
+    return addMessage('system', `/${name} needs ${missing.join(', ')}`);
+  }
+  const command = formatTaskCommand(name, args);
+  return runTask(command, sessionId => chrome.runtime.sendMessage({
+    action: 'processMessage', message: command, task: { name, args }, sessionId, dryRun: elements.dryRunToggle.checked
+  }));
+}
+
+// --- Sessions ---
+
+const ACTIVE_SESSION_KEY = 'activeSession';
+let activeSessionId = null;  // null until the first message of a new chat
+let emptyState = null;
+let lastTraceId = null;
+
+/**
+ * Footer links of a reply: its execution trace in debug mode, and export of an answer with its question
+ * @param {object} message - the reply, as stored in the session
+ * @param {object|null} question - the user message it answers
+ */
+function addMessageFooter(messageDiv, message, question) {
+  const footer = Object.assign(document.createElement('div'), { className: 'chat-footer message-footer' });
+  if (message.traceId) {
+    const link = Object.assign(document.createElement('button'), { type: 'button', className: 'trace-link', textContent: 'trace', title: 'Open this run in debug mode' });
+    link.addEventListener('click', () => showTrace(message.traceId));
+    footer.appendChild(link);
+  }
+  if (message.role === 'assistant') {
+    const link = Object.assign(document.createElement('button'), { type: 'button', className: 'trace-link', textContent: 'export', title: 'Save this answer as a file' });
+    link.setAttribute('aria-haspopup', 'menu');
+    const messages = question ? [question, message] : [message];
+    link.addEventListener('click', () => toggleExportMenu(link, () => ({ title: sessionTitle(messages[0].content), messages })));
+    footer.appendChild(link);
+  }
+  if (footer.children.length) messageDiv.appendChild(footer);
+}
+
+async function setActiveSession(id) {
+  activeSessionId = id;
+  if (id) await chrome.storage.local.set({ [ACTIVE_SESSION_KEY]: id });
+  else await chrome.storage.local.remove(ACTIVE_SESSION_KEY);
+}
+
+// The session a message is sent in, started by the first message of a new chat
+async function ensureSession(firstMessage) {
+  if (!activeSessionId || !(await getSession(activeSessionId))) {
+    await setActiveSession((await createSession(sessionTitle(firstMessage))).id);
+  }
+  return activeSessionId;
+}
+
+function clearChat() {
+  elements.chatContainer.replaceChildren(emptyState.cloneNode(true));
+  messageHistory.length = 0;
+  historyIndex = -1;
+}
+
+// Show a stored session; null starts a new chat
+async function openSession(id) {
+  const messages = id ? await getSessionMessages(id) : [];
+  clearChat();
+  await setActiveSession(id);
+  lastTraceId = null;
+  let question = null;
+  for (const message of messages) {
+    const messageDiv = addMessage(message.role, message.content);
+    if (message.role === 'user') {
+      question = message;
+      addTargetFooter(messageDiv, message.target);
+      if (messageHistory[messageHistory.length - 1] !== message.content) messageHistory.push(message.content);
+    } else addMessageFooter(messageDiv, message, question);
+    if (message.traceId) lastTraceId = message.traceId;
+  }
+}
+
+function startNewChat() {
+  if (elements.sendButton.disabled) return addMessage('system', '✗ Wait for the running task to finish');
+  return openSession(null);
+}
+
+function setSessionMenuOpen(open) {
+  elements.sessionMenu.classList.toggle('hidden', !open);
+  elements.sessionsToggle.setAttribute('aria-expanded', String(open));
+}
+
+async function renderSessionList() {
+  const sessions = await listSessions();
+  if (!sessions.length) {
+    elements.sessionList.innerHTML = '<li class="opacity-50 p-2">No saved chats yet</li>';
+    return;
+  }
+  elements.sessionList.replaceChildren(...sessions.map(session => {
+    const el = /** @type {HTMLElement} */ (elements.tplSessionItem.content.cloneNode(true)).firstElementChild;
+    el.dataset.id = session.id;
+    el.classList.toggle('active', session.id === activeSessionId);
+    el.querySelector('.session-title').textContent = session.title;
+    el.querySelector('.session-date').textContent = new Date(session.updatedAt).toLocaleString();
+    return el;
+  }));
+}
+
+function startRename(row) {
+  const title = row.querySelector('.session-title');
+  const input = Object.assign(document.createElement('input'), { type: 'text', className: 'input input-xs input-bordered w-full', value: title.textContent });
+  input.setAttribute('aria-label', 'Chat name');
+  const finish = async save => {
+    if (save) await renameSession(row.dataset.id, input.value);
+    await renderSessionList();
+  };
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') finish(true);
+    else if (e.key === 'Escape') { e.stopPropagation(); finish(false); }
+  });
+  input.addEventListener('blur', () => finish(true), { once: true });
+  row.querySelector('.session-open').replaceWith(input);
+  input.select();
+}
+
+function setupSessions() {
+  elements.sessionsToggle.addEventListener('click', async () => {
+    const open = elements.sessionMenu.classList.contains('hidden');
+    if (open) await renderSessionList();
+    setSessionMenuOpen(open);
+  });
+  elements.newSessionBtn.addEventListener('click', () => {
+    setSessionMenuOpen(false);
+    startNewChat();
+  });
+  elements.sessionList.addEventListener('click', async e => {
+    const btn = e.target.closest('button');
+    const row = btn?.closest('.session-item');
+    if (!row) return;
+    const id = row.dataset.id;
+    if (btn.classList.contains('rename')) startRename(row);
+    else if (btn.classList.contains('export')) {
+      toggleExportMenu(btn, async () => ({ title: (await getSession(id))?.title ?? 'Chat', messages: await getSessionMessages(id) }));
+    } else if (btn.classList.contains('delete')) {
+      await deleteSession(id);
+      if (id === activeSessionId && !elements.sendButton.disabled) await openSession(null);
+      await renderSessionList();
+    } else if (btn.classList.contains('session-open')) {
+      setSessionMenuOpen(false);
+      if (elements.sendButton.disabled) return addMessage('system', '✗ Wait for the running task to finish');
+      if (id !== activeSessionId) openSession(id);
+    }
+  });
+  elements.sessionMenu.addEventListener('keydown', e => {
+    if (e.key === 'Escape') { setSessionMenuOpen(false); elements.sessionsToggle.focus(); }
+  });
+  // The path is taken at dispatch, so clicks on rows the handler re-renders still count as inside
+  document.addEventListener('click', e => {
+    if (!e.composedPath().includes(elements.sessionMenu.parentElement)) setSessionMenuOpen(false);
+  });
+}
+
+// --- Export (see export.js) ---
+
+let exportAnchor = null;
+
+function closeExportMenu() {
+  elements.exportMenu.classList.add('hidden');
+  exportAnchor?.setAttribute('aria-expanded', 'false');
+  exportAnchor = null;
+}
+
+function exportMenuItem(label, detail, onSelect) {
+  const item = document.createElement('li');
+  const btn = Object.assign(document.createElement('button'), { type: 'button' });
+  btn.setAttribute('role', 'menuitem');
+  btn.append(label, Object.assign(document.createElement('span'), { className: 'opacity-50 truncate', textContent: detail }));
+  btn.addEventListener('click', async () => {
+    closeExportMenu();
+    try {
+      await onSelect();
+    } catch (e) {
+      addMessage('system', `✗ Export failed: ${e.message}`);
+    }
+  });
+  item.appendChild(btn);
+  return item;
+}
+
+/**
+ * Open the export menu under a button (or close it when it is already open there)
+ * @param {function} load - () => conversation ({title, messages}) to export
+ */
+async function toggleExportMenu(anchor, load) {
+  if (exportAnchor === anchor) return closeExportMenu();
+  closeExportMenu();
+  const conversation = await load();
+  if (!conversation.messages.length) return addMessage('system', '✗ Nothing to export in this chat yet');
+
+  const save = (content, extension, type) => downloadFile(exportFileName(conversation.title, extension), content, type);
+  const formats = {
+    markdown: () => toMarkdown(conversation),
+    html: () => toHTML(conversation, renderMarkdown),
+    json: () => toJSON(conversation)
+  };
+  const tables = conversation.messages.filter(m => m.role === 'assistant').flatMap(m => findTables(m.content));
+  elements.exportMenu.replaceChildren(
+    ...Object.entries(EXPORT_FORMATS).map(([key, format]) =>
+      exportMenuItem(format.label, `.${format.extension}`, () => save(formats[key](), format.extension, format.type))),
+    ...tables.map((table, i) =>
+      // The byte order mark makes spreadsheet apps read the file as UTF-8
+      exportMenuItem(`Table ${i + 1}`, `${table.header.slice(0, 3).join(', ')} · .csv`, () => save(`\uFEFF${tableToCSV(table)}`, `table-${i + 1}.csv`, 'text/csv')))
+  );
+
+  // Fixed to the viewport, so it is not cut off by the chat's scrolling or the session menu
+  const menu = elements.exportMenu;
+  menu.classList.remove('hidden');
+  const rect = anchor.getBoundingClientRect();
+  const below = rect.bottom + menu.offsetHeight + 4 <= window.innerHeight;
+  menu.style.top = `${below ? rect.bottom + 4 : Math.max(4, rect.top - menu.offsetHeight - 4)}px`;
+  menu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4))}px`;
+  exportAnchor = anchor;
+  anchor.setAttribute('aria-expanded', 'true');
+  menu.querySelector('button')?.focus();
+}
+
+function setupExportMenu() {
+  elements.exportMenu.addEventListener('keydown', e => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    const anchor = exportAnchor;
+    closeExportMenu();
+    anchor?.focus();
+  });
+  document.addEventListener('click', e => {
+    const path = e.composedPath();
+    if (exportAnchor && !path.includes(exportAnchor) && !path.includes(elements.exportMenu)) closeExportMenu();
+  });
+  elements.chatContainer.addEventListener('scroll', closeExportMenu);
+}
+
+// --- Slash commands (see slash-commands.js) ---
+
+// What a command can do in the chat
+const commandChat = {
+  runAction: (text, action, params) => runTask(text, sessionId => chrome.runtime.sendMessage({
+    action: 'processMessage', message: text, command: { action, params }, sessionId, dryRun: elements.dryRunToggle.checked
+  })),
+  say: markdown => addMessage('assistant', markdown),
+  notify: text => addMessage('system', text),
+  newChat: startNewChat,
+  lastTraceId: () => lastTraceId,
+  showTrace
+};
+
+let commandMatches = [];
+let commandIndex = 0;
+
+function setCommandMenu(matches, index = 0) {
+  commandMatches = matches;
+  commandIndex = index;
+  const menu = elements.commandMenu;
+  menu.classList.toggle('hidden', !matches.length);
+  elements.messageInput.setAttribute('aria-expanded', String(matches.length > 0));
+  menu.replaceChildren(...matches.map((entry, i) => {
+    const item = document.createElement('li');
+    const btn = Object.assign(document.createElement('button'), { type: 'button', id: `command-option-${i}`, className: i === index ? 'menu-active' : '', tabIndex: -1 });
+    btn.setAttribute('role', 'option');
+    btn.setAttribute('aria-selected', String(i === index));
+    btn.dataset.index = String(i);
+    btn.append(
+      Object.assign(document.createElement('span'), { className: 'font-mono', textContent: `/${entry.name}` }),
+      Object.assign(document.createElement('span'), { className: 'opacity-50 font-mono', textContent: entry.args }),
+      Object.assign(document.createElement('span'), { className: 'opacity-50 truncate flex-1 text-right', textContent: entry.task ? `task · ${entry.description}` : entry.description })
+    );
+    item.appendChild(btn);
+    return item;
+  }));
+  if (matches.length) {
+    elements.messageInput.setAttribute('aria-activedescendant', `command-option-${index}`);
+    menu.querySelector('.menu-active')?.scrollIntoView({ block: 'nearest' });
+  } else elements.messageInput.removeAttribute('aria-activedescendant');
+}
+
+// Offer completions while the input is a slash and a (partial) name
+async function updateCommandMenu() {
+  const match = elements.messageInput.value.match(/^\/([a-z0-9-]*)$/);
+  if (!match) return setCommandMenu([]);
+  const matches = matchCommands(match[1], await getTasks());
+  // The input may have changed while tasks were loading
+  if (elements.messageInput.value === match[0]) setCommandMenu(matches);
+}
+
+function completeCommand(entry) {
+  prefillInput(`/${entry.name} `);
+  setCommandMenu([]);
+}
+
+/**
+ * Keys for the open command menu
+ * @returns {boolean} true when the key was handled here
+ */
+function handleCommandMenuKey(e) {
+  if (!commandMatches.length) return false;
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    setCommandMenu(commandMatches, (commandIndex + step + commandMatches.length) % commandMatches.length);
+  } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+    const entry = commandMatches[commandIndex];
+    // A command without arguments typed in full runs right away
+    if (e.key === 'Enter' && !entry.args && !entry.task && elements.messageInput.value === `/${entry.name}`) return false;
+    completeCommand(entry);
+  } else if (e.key === 'Escape') {
+    setCommandMenu([]);
+  } else return false;
+  e.preventDefault();
+  return true;
+}
+
+function setupCommandMenu() {
+  elements.messageInput.addEventListener('input', updateCommandMenu);
+  elements.messageInput.addEventListener('blur', () => setCommandMenu([]));
+  // mousedown keeps the focus in the input, so blur does not close the menu before the click
+  elements.commandMenu.addEventListener('mousedown', e => {
+    const btn = e.target.closest('[data-index]');
+    if (!btn) return;
+    e.preventDefault();
+    completeCommand(commandMatches[Number(btn.dataset.index)]);
+  });
+}
+
+// --- Task picker ---
+
+function setPickerOpen(open) {
+  elements.taskPickerList.classList.toggle('hidden', !open);
+  elements.taskPickerBtn.setAttribute('aria-expanded', String(open));
+}
+
+async function openTaskPicker() {
+  const tasks = await getTasks();
+  const list = elements.taskPickerList;
+  list.replaceChildren(...(tasks.length ? tasks.map(task => {
+    const item = document.createElement('li');
+    const btn = Object.assign(document.createElement('button'), { type: 'button', title: task.goal });
+    btn.setAttribute('role', 'menuitem');
+    btn.dataset.task = task.name;
+    btn.append(
+      Object.assign(document.createElement('span'), { className: 'font-mono', textContent: `/${task.name}` }),
+      Object.assign(document.createElement('span'), { className: 'opacity-50 truncate', textContent: task.goal })
+    );
+    item.appendChild(btn);
+    return item;
+  }) : [Object.assign(document.createElement('li'), { className: 'opacity-50 p-2', textContent: 'No saved tasks yet (Settings → Library)' })]));
+  setPickerOpen(true);
+  list.querySelector('button')?.focus();
+}
+
+function setupTaskPicker() {
+  elements.taskPickerBtn.addEventListener('click', () => {
+    if (elements.taskPickerList.classList.contains('hidden')) openTaskPicker();
+    else setPickerOpen(false);
+  });
+  elements.taskPickerList.addEventListener('click', e => {
+    const name = e.target.closest('[data-task]')?.dataset.task;
+    if (!name) return;
+    setPickerOpen(false);
+    if (!elements.sendButton.disabled) launchTask(name);
+  });
+  elements.taskPickerList.addEventListener('keydown', e => {
+    if (e.key === 'Escape') { setPickerOpen(false); elements.taskPickerBtn.focus(); }
+  });
+  document.addEventListener('click', e => {
+    if (!e.target.closest('.dropdown')) setPickerOpen(false);
+  });
+}
+
+// --- Element picker (the user clicks the element a message is about) ---
+
+// Tab alias while the page is in picking mode
+let pickingTab = null;
+// { tab, ref, role, name } sent as the ROUTER target with the next message
+let pickedTarget = null;
+
+// button "Search" · e12
+const targetLabel = ({ role, name, ref }) => [role, name && `"${name}"`, ref].filter(Boolean).join(' · ');
+
+function targetChip(target, onRemove = null) {
+  const chip = Object.assign(document.createElement('span'), { className: 'target-chip', title: `${targetLabel(target)} in tab ${target.tab}` });
+  chip.appendChild(Object.assign(document.createElement('span'), { className: 'truncate', textContent: targetLabel(target) }));
+  if (onRemove) {
+    const remove = Object.assign(document.createElement('button'), { type: 'button', className: 'target-chip-remove', textContent: '✕', title: 'Remove' });
+    remove.setAttribute('aria-label', 'Remove picked element');
+    remove.addEventListener('click', onRemove);
+    chip.appendChild(remove);
+  }
+  return chip;
+}
+
+// The element a user message is about (picked, or right-clicked with a context menu entry)
+function addTargetFooter(messageDiv, target) {
+  if (!target?.ref) return;
+  const footer = Object.assign(document.createElement('div'), { className: 'chat-footer message-footer' });
+  footer.appendChild(targetChip(target));
+  messageDiv.appendChild(footer);
+}
+
+function setPickedTarget(target) {
+  pickedTarget = target;
+  elements.targetChipBar.replaceChildren(...(target ? [targetChip(target, () => setPickedTarget(null))] : []));
+  elements.targetChipBar.classList.toggle('hidden', !target);
+}
+
+function setPicking(tab) {
+  pickingTab = tab;
+  elements.pickElementBtn.classList.toggle('active', Boolean(tab));
+  elements.pickElementBtn.setAttribute('aria-pressed', String(Boolean(tab)));
+  elements.pickElementBtn.textContent = tab ? 'Picking… (Esc)' : 'Pick element';
+}
+
+async function togglePicking() {
+  if (pickingTab) {
+    chrome.runtime.sendMessage({ action: 'stopElementPicker', tab: pickingTab }).catch(() => {});
+    return setPicking(null);
+  }
+  const { tab, error } = await chrome.runtime.sendMessage({ action: 'startElementPicker' }).catch(e => ({ error: e.message }));
+  if (error) return addMessage('system', `✗ Cannot pick on this page: ${error}`);
+  setPicking(tab);
+}
+
+// element: { ref, role, name }, or null when the user pressed Escape or clicked outside any element with a ref
+function elementPicked(element) {
+  if (!pickingTab) return;
+  const tab = pickingTab;
+  setPicking(null);
+  if (!element) return;
+  setPickedTarget({ tab, ...element });
+  elements.messageInput.focus();
+}
+
+function setupElementPicker() {
+  elements.pickElementBtn.addEventListener('click', togglePicking);
+}
+
+// --- Runs started outside the panel (task shortcuts, context menus) ---
+
+const PENDING_LAUNCH_KEY = 'pendingLaunch';
+let launching = Promise.resolve();
+
+// Serialized so the startup check and the background's nudge cannot both take the same launch
+function takePendingLaunch() {
+  launching = launching.then(async () => {
+    const { [PENDING_LAUNCH_KEY]: launch } = await chrome.storage.session.get(PENDING_LAUNCH_KEY);
+    if (!launch) return;
+    await chrome.storage.session.remove(PENDING_LAUNCH_KEY);
+    if (elements.sendButton.disabled) return addMessage('system', '✗ A task is already running');
+    if (launch.task) launchTask(launch.task);
+    else if (launch.message) runTask(launch.message, sessionId => sendMessageToBackground(launch.message, sessionId, launch.target), launch.target);
+  }).catch(() => {});
+}
+
+// Offer runs that a service worker restart interrupted
+async function showInterruptedRuns() {
+  const { runs = [] } = await chrome.runtime.sendMessage({ action: 'getInterruptedRuns' }).catch(() => ({}));
+  for (const run of runs) {
+    clearEmptyState();
+    const card = /** @type {HTMLElement} */ (elements.tplInterruptedRun.content.cloneNode(true)).firstElementChild;
+    card.querySelector('.interrupted-goal').textContent = run.goal;
+    card.querySelector('.resume').addEventListener('click', () => {
+      card.remove();
+      runTask(run.goal, sessionId => chrome.runtime.sendMessage({ action: 'resumeRun', runId: run.runId, sessionId }));
+    });
+    card.querySelector('.discard').addEventListener('click', () => {
+      card.remove();
+      chrome.runtime.sendMessage({ action: 'discardRun', runId: run.runId }).catch(() => {});
+    });
+    elements.chatContainer.appendChild(card);
+  }
+}
+
 function setupAutoResize() {
   elements.messageInput.addEventListener('input', () => {
     elements.messageInput.style.height = 'auto';
@@ -147,6 +772,7 @@ function setupAutoResize() {
 
 function setupKeyboardShortcuts() {
   elements.messageInput.addEventListener('keydown', (e) => {
+    if (handleCommandMenuKey(e)) return;
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       return sendMessage();
@@ -175,13 +801,30 @@ function setupKeyboardShortcuts() {
 function setupMessageListener() {
   chrome.runtime.onMessage.addListener((msg) => {
     if (msg.action === 'addMessage') addMessage(msg.role, msg.content);
+    if (msg.action === 'taskProgress') addProgressEvent(msg.event);
+    if (msg.action === 'pendingLaunch') takePendingLaunch();
+    if (msg.action === 'elementPicked') elementPicked(msg.element);
   });
 }
 
-export function initChat(hasValidKey) {
+export async function initChat(hasValidKey) {
+  emptyState = elements.chatContainer.querySelector('.empty-state').cloneNode(true);
+  const { [ACTIVE_SESSION_KEY]: sessionId } = await chrome.storage.local.get(ACTIVE_SESSION_KEY);
+  await openSession(sessionId && (await getSession(sessionId)) ? sessionId : null);
   setupAutoResize();
   setupKeyboardShortcuts();
   setupMessageListener();
   elements.sendButton.addEventListener('click', sendMessage);
+  elements.stopButton.addEventListener('click', stopTask);
+  elements.dryRunToggle.addEventListener('change', () => {
+    elements.messageInput.classList.toggle('textarea-warning', elements.dryRunToggle.checked);
+  });
+  setupTaskPicker();
+  setupElementPicker();
+  setupCommandMenu();
+  setupExportMenu();
+  setupSessions();
+  showInterruptedRuns();
+  takePendingLaunch();
   setStatus(hasValidKey ? 'Ready' : 'No API Key', false);
 }
@@ -0,0 +1,38 @@
+/**
+ * Execution checkpoints - In-flight run state in chrome.storage.session
+ * Survives MV3 service worker restarts so interrupted runs can be resumed
+ */
+
+const KEY_PREFIX = 'checkpoint:';
+
+/**
+ * Save the latest state of a run (overwrites the previous checkpoint)
+ * @param {string} runId - Run identifier, stable across resumes
+ * @param {object} checkpoint - { goal, frames, dryRun, spent, workflow, task, command, target } where frames is the executor stack, root first,
+ *   dryRun the simulated steps so far (null for a normal run), spent the budget used so far (see llm/budget.js), workflow the name of a replayed workflow,
+ *   task the saved task ({ name, args }) the goal was rendered from, command the slash command ({ action, params }) run
+ *   and target the page element the message was about (see context-menus.js)
+ */
+export async function saveCheckpoint(runId, checkpoint) {
+  try {
+    await chrome.storage.session.set({ [KEY_PREFIX + runId]: { ...checkpoint, runId, updatedAt: Date.now() } });
+  } catch (e) { console.warn('Failed to save checkpoint:', e.message); }
+}
+
+export async function getCheckpoint(runId) {
+  const result = await chrome.storage.session.get(KEY_PREFIX + runId);
+  return result[KEY_PREFIX + runId] || null;
+}
+
+export async function clearCheckpoint(runId) {
+  try { await chrome.storage.session.remove(KEY_PREFIX + runId); } catch {}
+}
+
+// All checkpoints, newest first
+export async function getCheckpoints() {
+  const all = await chrome.storage.session.get(null);
+  return Object.entries(all)
+    .filter(([key]) => key.startsWith(KEY_PREFIX))
+    .map(([, value]) => value)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
@@ -5,6 +5,9 @@
  * 1. showClarificationLoading(questions) - show modal with question, no options yet
  * 2. updateClarificationOptions(config) - add options and start timer
  * 3. User clicks option OR timer expires → promise resolves
+ *
+ * Approval mode reuses the modal for a paused high-risk tool call (see approval.js):
+ * showApproval(request) resolves with { decision: 'approve' | 'deny' | 'edit', args? }. No timer - the run waits.
  */
 
 import { elements } from './dom.js';
@@ -19,6 +22,7 @@ class ClarificationUI {
     this.questions = null;  // [{question, complexity, options, timeout_ms}]
     this.questionIndex = 0;
     this.responses = [];    // Collected responses for each question
+    this.approval = null;   // Pending approval request, when in approval mode
   }
 
   init() {
@@ -28,9 +32,10 @@ class ClarificationUI {
     this.overlay = elements.clarificationOverlay;
     if (!this.overlay) return false;
 
-    // Backdrop click = select default
+    // Backdrop click = select default (approval: deny)
     this.overlay.querySelector('.modal-backdrop')?.addEventListener('click', (e) => {
       e.preventDefault();
+      if (this.approval) return this.decide({ decision: 'deny' });
       const q = this.questions?.[this.questionIndex];
       if (q?.options?.length > 0) {
         this.select(q.options[0].label, true);
@@ -60,9 +65,35 @@ class ClarificationUI {
       }
     });
 
+    // Escape must not leave a paused tool call without an answer
+    this.overlay.addEventListener('cancel', (e) => {
+      if (!this.approval) return;
+      e.preventDefault();
+      this.decide({ decision: 'deny' });
+    });
+
+    this.overlay.querySelector('.approval-run-btn')?.addEventListener('click', () => {
+      const errorEl = this.overlay.querySelector('.approval-error');
+      try {
+        const args = JSON.parse(this.overlay.querySelector('.approval-args').value);
+        if (!args || typeof args !== 'object' || Array.isArray(args)) throw new Error('Arguments must be a JSON object');
+        this.decide({ decision: 'edit', args });
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
     return true;
   }
 
+  setMode(mode) {
+    const panel = this.overlay.querySelector('.clarification-panel');
+    if (mode === 'approval') panel.dataset.mode = mode;
+    else delete panel.dataset.mode;
+    this.overlay.querySelector('.options-label').textContent = mode === 'approval' ? 'Allow this action?' : 'Choose an option';
+    this.overlay.querySelector('.approval-edit').classList.add('hidden');
+  }
+
   // Merge input questions with generated options
   mergeConfig(config) {
     const { questions = [], generated = [] } = config;
@@ -90,7 +121,9 @@ class ClarificationUI {
     }));
     this.questionIndex = 0;
     this.responses = [];
+    this.approval = null;
 
+    this.setMode('question');
     this.renderQuestion();
     this.overlay.showModal();
   }
@@ -163,6 +196,57 @@ class ClarificationUI {
     });
   }
 
+  /**
+   * Ask the user to approve, deny or edit a paused tool call
+   * @param {{summary: string, reasons: string[], url?: string, args: object}} request
+   * @returns {Promise<{decision: 'approve'|'deny'|'edit', args?: object}>}
+   */
+  showApproval(request) {
+    if (!this.init()) return Promise.resolve({ decision: 'deny', reason: 'approval prompt unavailable' });
+
+    this.stopTimer();
+    this.questions = null;
+    this.approval = request;
+    this.setMode('approval');
+
+    let host = '';
+    try { host = new URL(request.url).hostname; } catch { /* unknown page */ }
+    this.overlay.querySelector('.question-text').textContent = `${request.summary}?`;
+    this.overlay.querySelector('.question-context').textContent = [...request.reasons, host].filter(Boolean).join(' · ');
+    this.overlay.querySelector('.approval-args').value = JSON.stringify(request.args, null, 2);
+    this.overlay.querySelector('.approval-error').textContent = '';
+
+    const container = this.overlay.querySelector('.clarification-options');
+    container.innerHTML = '';
+    const choices = [
+      { label: 'Approve', onClick: () => this.decide({ decision: 'approve' }) },
+      { label: 'Edit arguments', onClick: () => this.overlay.querySelector('.approval-edit').classList.remove('hidden') },
+      { label: 'Deny', onClick: () => this.decide({ decision: 'deny' }) }
+    ];
+    choices.forEach(({ label, onClick }, idx) => {
+      const frag = elements.tplClarificationOption.content.cloneNode(true);
+      const btn = frag.querySelector('.clarification-option');
+      btn.querySelector('.option-rank').textContent = idx + 1;
+      btn.querySelector('.option-label').textContent = label;
+      btn.querySelector('.option-confidence')?.remove();
+      btn.onclick = onClick;
+      container.appendChild(frag);
+    });
+
+    this.overlay.showModal();
+    return this.getPromise();
+  }
+
+  decide(response) {
+    if (!this.approval || !this.overlay?.open) return;
+    this.approval = null;
+    this.overlay.close();
+    if (this.resolve) {
+      this.resolve(response);
+      this.resolve = null;
+    }
+  }
+
   startTimer(ms) {
     this.stopTimer();
 
@@ -227,6 +311,7 @@ const ui = new ClarificationUI();
 export const showClarificationLoading = (questions) => ui.showLoading(questions);
 export const updateClarificationOptions = (config) => ui.updateOptions(config);
 export const getClarificationResponse = () => ui.getPromise();
-export const hideClarification = () => { ui.stopTimer(); ui.overlay?.close(); };
+export const showApproval = (request) => ui.showApproval(request);
+export const hideClarification = () => { ui.stopTimer(); ui.approval = null; ui.overlay?.close(); };
 export const clarificationUI = ui;
 export default ui;
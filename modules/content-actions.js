@@ -8,7 +8,15 @@ export const ContentAction = {
   HANDLE_DIALOG: 'handleDialog',
   GET_DIALOGS: 'getDialogs',
   EXTRACT_ACCESSIBILITY_TREE: 'extractAccessibilityTree',
+  GET_VIEWPORT_MARKS: 'getViewportMarks',
   SELECT_OPTION: 'selectOption',
   CHECK_CHECKBOX: 'checkCheckbox',
-  SUBMIT_FORM: 'submitForm'
+  SUBMIT_FORM: 'submitForm',
+  DESCRIBE_ELEMENT: 'describeElement',
+  RESOLVE_CONTEXT_TARGET: 'resolveContextTarget',
+  START_ELEMENT_PICKER: 'startElementPicker',
+  STOP_ELEMENT_PICKER: 'stopElementPicker',
+  SET_AGENT_ACTIVE: 'setAgentActive',
+  START_RECORDING: 'startRecording',
+  STOP_RECORDING: 'stopRecording'
 };
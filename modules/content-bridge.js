@@ -136,12 +136,36 @@ export const tabManager = {
   }
 };
 
-export async function getBrowserStateBundle() {
+// --- Call Interception ---
+// Page-facing calls go through the interceptor of the run that makes them: tracing records them, offline replay
+// serves them from a fixture. Runs are told apart by the runId in the trailing { signal, runId } options.
+const interceptors = new Map();
+
+/**
+ * Install an interceptor `(call, next) => result` for the bridge calls of one run (executeAction's options.runId);
+ * call is { method, args } with args JSON-safe (the trailing options are dropped).
+ * Returns a function that restores the run's previous interceptor.
+ */
+export function setBridgeInterceptor(runId, fn) {
+  const previous = interceptors.get(runId);
+  interceptors.set(runId, fn);
+  return () => { if (previous) interceptors.set(runId, previous); else interceptors.delete(runId); };
+}
+
+const isRunOptions = arg => arg !== null && typeof arg === 'object' && ('signal' in arg || 'runId' in arg);
+const plainArgs = args => JSON.parse(JSON.stringify(args.filter(arg => !isRunOptions(arg))));
+const intercepted = (method, fn) => (...args) => {
+  const interceptor = interceptors.get(args.find(isRunOptions)?.runId);
+  return interceptor ? interceptor({ method, args: plainArgs(args) }, () => fn(...args)) : fn(...args);
+};
+
+// windowId: describe that window instead of the focused one (scheduled runs work in a window of their own); { runId } follows it
+export const getBrowserStateBundle = intercepted('getBrowserStateBundle', async (windowId) => {
   await tabManager.ready();
-  const win = await chrome.windows.getCurrent();
+  const win = windowId ? { id: windowId } : await chrome.windows.getCurrent();
   const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
   return tabManager.formatForChat(win.id, tab?.id, tab?.url);
-}
+});
 
 // --- Content Script Bridge ---
 const sleep = ms => new Promise(r => setTimeout(r, ms));
@@ -157,7 +181,19 @@ function isRestricted(url) {
   return null;
 }
 
-export async function sendToContent(tabIdOrAlias, action, params = {}) {
+// Reject as soon as the signal aborts; the underlying chrome call cannot be cancelled
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export async function sendToContent(tabIdOrAlias, action, params = {}, { signal, runId } = {}) {
+  signal?.throwIfAborted();
   const tabId = tabManager.resolveAlias(tabIdOrAlias);
   if (!tabId) throw new Error(`Invalid tab: ${tabIdOrAlias}`);
   try { await chrome.tabs.get(tabId); } catch { throw new Error('Tab no longer exists'); }
@@ -167,18 +203,22 @@ export async function sendToContent(tabIdOrAlias, action, params = {}) {
   const url = await getTabUrl(tabId);
   const restricted = isRestricted(url);
   if (restricted) throw new Error(restricted);
+  signal?.throwIfAborted();
+  showAgentBanner(tabId, runId);
 
   try {
-    return await chrome.tabs.sendMessage(tabId, { action, ...params });
+    return await abortable(chrome.tabs.sendMessage(tabId, { action, ...params }), signal);
   } catch (e) {
+    if (signal?.aborted) throw e;
     const pageError = tabManager.getPageError(tabId);
     const isErrPage = /ERR_CERT|ERR_SSL|ERR_CONNECTION|ERR_NAME|ERR_INTERNET|ERR_NETWORK|error page/i.test(e.message);
     if (isErrPage) throw Object.assign(new Error(`Cannot read page: ${pageError || e.message}`), { code: 'BROWSER_ERROR_PAGE', url });
     if (e.message.includes('Could not establish connection') || e.message.includes('Receiving end does not exist')) {
       try {
         await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
-        return await chrome.tabs.sendMessage(tabId, { action, ...params });
+        return await abortable(chrome.tabs.sendMessage(tabId, { action, ...params }), signal);
       } catch (e2) {
+        if (signal?.aborted) throw e2;
         if (/ERR_|error page/i.test(e2.message) || pageError) throw Object.assign(new Error(`Cannot read page: ${pageError || e2.message}`), { code: 'BROWSER_ERROR_PAGE', url });
         throw e2;
       }
@@ -187,11 +227,11 @@ export async function sendToContent(tabIdOrAlias, action, params = {}) {
   }
 }
 
-export async function sendWithNavDetect(tabIdOrAlias, action, params = {}) {
+export async function sendWithNavDetect(tabIdOrAlias, action, params = {}, { signal, runId } = {}) {
   const tabId = tabManager.resolveAlias(tabIdOrAlias);
   if (!tabId) throw new Error(`Invalid tab: ${tabIdOrAlias}`);
   const urlBefore = await getTabUrl(tabId);
-  const result = await sendToContent(tabId, action, params);
+  const result = await sendToContent(tabId, action, params, { signal, runId });
   await sleep(100);
   let urlAfter = await getTabUrl(tabId);
   if (urlAfter === urlBefore) { await sleep(400); urlAfter = await getTabUrl(tabId); }
@@ -201,6 +241,7 @@ export async function sendWithNavDetect(tabIdOrAlias, action, params = {}) {
   const start = Date.now();
   while (Date.now() - start < 10000) {
     await sleep(200);
+    signal?.throwIfAborted();
     const cur = await getTabUrl(tabId);
     if (cur !== urlAfter) { urlAfter = cur; tabManager.ensureTab(tabId, urlAfter); }
     try { if ((await chrome.tabs.get(tabId)).status === 'complete') return { ...result, navigated: true, new_url: urlAfter }; } catch { return { ...result, navigated: true, new_url: urlAfter }; }
@@ -210,22 +251,105 @@ export async function sendWithNavDetect(tabIdOrAlias, action, params = {}) {
 
 export function setLastActivatedTab(tabId) { lastActivatedTabId = tabId; }
 
+/**
+ * The given tab, or the active tab of the current window when none is given; registered with the tab manager
+ * @returns {Promise<chrome.tabs.Tab|null>} null when there is no such tab
+ */
+export async function resolveTargetTab(tabIdOrAlias) {
+  let tabId = tabIdOrAlias ? tabManager.resolveAlias(tabIdOrAlias) : null;
+  if (!tabId) {
+    const win = await chrome.windows.getCurrent();
+    const [active] = await chrome.tabs.query({ active: true, windowId: win.id });
+    tabId = active?.id ?? null;
+  }
+  if (!tabId) return null;
+  const tab = await chrome.tabs.get(tabId);
+  tabManager.ensureTab(tabId, tab.url, tab.windowId);
+  return tab;
+}
+
+// --- Agent banner ---
+// While a run is in progress, tabs it works in show an "agent is active" banner (content.js).
+// Only calls made by a started run (options.runId) show it; every such call renews it, which also brings it back after a navigation.
+// runId → tabs that run has shown the banner in
+const bannerTabs = new Map();
+
+const setAgentActive = (tabId, active) =>
+  chrome.tabs.sendMessage(tabId, { action: ContentAction.SET_AGENT_ACTIVE, active }, { frameId: 0 }).catch(() => {});
+
+function showAgentBanner(tabId, runId) {
+  const tabs = bannerTabs.get(runId);
+  if (!tabs) return;
+  tabs.add(tabId);
+  setAgentActive(tabId, true);
+}
+
+export function agentRunStarted(runId) {
+  if (!bannerTabs.has(runId)) bannerTabs.set(runId, new Set());
+}
+
+// A run's banners go when it ends, except in tabs another run in progress still works in (chat and scheduled runs can overlap)
+export function agentRunEnded(runId) {
+  const tabs = bannerTabs.get(runId);
+  bannerTabs.delete(runId);
+  const stillActive = new Set([...bannerTabs.values()].flatMap(set => [...set]));
+  for (const tabId of tabs || []) if (!stillActive.has(tabId)) setAgentActive(tabId, false);
+}
+
 // --- Content Action Wrappers ---
-export const extractA11yTree = tabId => sendToContent(tabId, ContentAction.EXTRACT_ACCESSIBILITY_TREE);
-export const clickElement = (tabId, ref, modifiers = {}) => sendWithNavDetect(tabId, ContentAction.CLICK_ELEMENT, { ref, modifiers });
-export const fillForm = (tabId, fields, submit = false, submitRef) => sendToContent(tabId, ContentAction.FILL_FORM, { fields, submit, submitRef });
-export const selectOption = (tabId, ref, value) => sendToContent(tabId, ContentAction.SELECT_OPTION, { ref, value });
-export const checkCheckbox = (tabId, ref, checked) => sendToContent(tabId, ContentAction.CHECK_CHECKBOX, { ref, checked });
-export const submitForm = (tabId, ref) => sendWithNavDetect(tabId, ContentAction.SUBMIT_FORM, { ref });
-export const scrollAndWait = (tabId, direction, pixels = 500, waitMs = 500) => sendToContent(tabId, ContentAction.SCROLL_AND_WAIT, { direction, pixels, waitMs });
-export const hoverElement = (tabId, ref) => sendToContent(tabId, ContentAction.HOVER_ELEMENT, { ref });
-export const pressKey = (tabId, key, modifiers = {}) => sendToContent(tabId, ContentAction.PRESS_KEY, { key, modifiers });
-export const handleDialog = (tabId, accept, promptText) => sendToContent(tabId, ContentAction.HANDLE_DIALOG, { accept, promptText });
-export const getDialogs = tabId => sendToContent(tabId, ContentAction.GET_DIALOGS);
-
-export async function getPageState(tabIdOrAlias) {
+// Each wrapper takes optional { signal, runId } last so a cancelled run stops waiting on the page
+// and the call is attributed to the run that made it
+export const extractA11yTree = intercepted('extractA11yTree', (tabId, opts) => sendToContent(tabId, ContentAction.EXTRACT_ACCESSIBILITY_TREE, {}, opts));
+export const clickElement = intercepted('clickElement', (tabId, ref, modifiers = {}, opts) => sendWithNavDetect(tabId, ContentAction.CLICK_ELEMENT, { ref, modifiers }, opts));
+export const fillForm = intercepted('fillForm', (tabId, fields, submit = false, submitRef, opts) => sendToContent(tabId, ContentAction.FILL_FORM, { fields, submit, submitRef }, opts));
+export const selectOption = intercepted('selectOption', (tabId, ref, value, opts) => sendToContent(tabId, ContentAction.SELECT_OPTION, { ref, value }, opts));
+export const checkCheckbox = intercepted('checkCheckbox', (tabId, ref, checked, opts) => sendToContent(tabId, ContentAction.CHECK_CHECKBOX, { ref, checked }, opts));
+export const submitForm = intercepted('submitForm', (tabId, ref, opts) => sendWithNavDetect(tabId, ContentAction.SUBMIT_FORM, { ref }, opts));
+export const scrollAndWait = intercepted('scrollAndWait', (tabId, direction, pixels = 500, waitMs = 500, opts) => sendToContent(tabId, ContentAction.SCROLL_AND_WAIT, { direction, pixels, waitMs }, opts));
+export const hoverElement = intercepted('hoverElement', (tabId, ref, opts) => sendToContent(tabId, ContentAction.HOVER_ELEMENT, { ref }, opts));
+export const pressKey = intercepted('pressKey', (tabId, key, modifiers = {}, opts) => sendToContent(tabId, ContentAction.PRESS_KEY, { key, modifiers }, opts));
+export const handleDialog = intercepted('handleDialog', (tabId, accept, promptText, opts) => sendToContent(tabId, ContentAction.HANDLE_DIALOG, { accept, promptText }, opts));
+export const getDialogs = intercepted('getDialogs', (tabId, opts) => sendToContent(tabId, ContentAction.GET_DIALOGS, {}, opts));
+export const getViewportMarks = intercepted('getViewportMarks', (tabId, opts) => sendToContent(tabId, ContentAction.GET_VIEWPORT_MARKS, {}, opts));
+// Not intercepted: a screenshot is too big to keep in a trace fixture
+export async function captureViewport(tabIdOrAlias) {
+  const tabId = tabManager.resolveAlias(tabIdOrAlias);
+  if (!tabId) throw new Error(`Invalid tab: ${tabIdOrAlias}`);
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.active) throw new Error(`Tab ${tabIdOrAlias} is not the active tab of its window`);
+  return chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 80 });
+}
+// Not intercepted: used by the approval gate, outside the recorded run
+export const describeElement = (tabId, ref, opts) => sendToContent(tabId, ContentAction.DESCRIBE_ELEMENT, { ref }, opts);
+// Straight to the top frame without re-injecting: only the script that saw the right-click knows the target
+export const resolveContextTarget = tabId => chrome.tabs.sendMessage(tabId, { action: ContentAction.RESOLVE_CONTEXT_TARGET }, { frameId: 0 });
+// Element picker of the side panel; the pick comes back from the page as an elementPicked message.
+// The user is already looking at the tab: the picker neither switches tabs nor counts as agent activity.
+export async function startElementPicker(tabIdOrAlias) {
+  const tabId = tabManager.resolveAlias(tabIdOrAlias);
+  if (!tabId) throw new Error(`Invalid tab: ${tabIdOrAlias}`);
+  const restricted = isRestricted(await getTabUrl(tabId));
+  if (restricted) throw new Error(restricted);
+  const message = { action: ContentAction.START_ELEMENT_PICKER };
+  try {
+    return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+  } catch (e) {
+    if (!/Could not establish connection|Receiving end does not exist/.test(e.message)) throw e;
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+    return chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+  }
+}
+
+// Nothing to stop in a page without the content script
+export async function stopElementPicker(tabIdOrAlias) {
+  const tabId = tabManager.resolveAlias(tabIdOrAlias);
+  if (!tabId) throw new Error(`Invalid tab: ${tabIdOrAlias}`);
+  return chrome.tabs.sendMessage(tabId, { action: ContentAction.STOP_ELEMENT_PICKER }, { frameId: 0 });
+}
+
+export const getPageState = intercepted('getPageState', async (tabIdOrAlias) => {
   const tabId = tabManager.resolveAlias(tabIdOrAlias);
   if (!tabId) throw new Error(`Invalid tab: ${tabIdOrAlias}`);
   const r = await chrome.scripting.executeScript({ target: { tabId }, func: () => ({ scroll_y: scrollY, scroll_x: scrollX, viewport_height: innerHeight, viewport_width: innerWidth, page_height: document.documentElement.scrollHeight, page_width: document.documentElement.scrollWidth, loaded: document.readyState === 'complete' }) });
   return r[0].result;
-}
+});
@@ -0,0 +1,70 @@
+/**
+ * Context menus - Right-click entries that open the side panel with a run about what was clicked
+ * The selection, link or image goes to the ROUTER as its `target` parameter, together with the
+ * accessibility ref of the right-clicked element (as READ_PAGE numbers it), so the agent acts on exactly it.
+ *
+ * Target: { tab, ref?, role?, name?, selection?, url?, src? }   tab: alias such as "t3"
+ */
+import { tabManager, resolveContextTarget } from './content-bridge.js';
+
+const SELECTION_LENGTH = 2000;
+
+const MENU_ITEMS = [
+  { id: 'vishpr-ask-selection', title: 'Ask vishpr about “%s”', contexts: ['selection'] },
+  { id: 'vishpr-summarize-link', title: 'Summarize this link', contexts: ['link'] },
+  { id: 'vishpr-ask-image', title: 'Ask vishpr about this image', contexts: ['image'] },
+  { id: 'vishpr-fill-form', title: 'Fill this form with…', contexts: ['editable'] }
+];
+
+const quote = text => text.split('\n').map(line => `> ${line}`).join('\n');
+
+/**
+ * The chat message and ROUTER target for a clicked entry
+ * @param {object} info - chrome.contextMenus.OnClickData
+ * @param {string} tab - alias of the tab that was right-clicked
+ * @param {{ref: string, role: string|null, name: string}|null} element - the right-clicked element, when resolved
+ * @returns {{message: string, target: {tab: string, ref?: string, role?: string|null, name?: string, selection?: string, url?: string, src?: string}}|null}
+ *   null for an entry that is not ours
+ */
+export function contextMenuLaunch(info, tab, element) {
+  const target = { tab, ...(element && { ref: element.ref, role: element.role, name: element.name }) };
+  switch (info.menuItemId) {
+    case 'vishpr-ask-selection': {
+      const selection = String(info.selectionText || '').trim().slice(0, SELECTION_LENGTH);
+      return { message: `Tell me about this text from the page:\n\n${quote(selection)}`, target: { ...target, selection } };
+    }
+    case 'vishpr-summarize-link':
+      return { message: `Summarize the page at ${info.linkUrl}`, target: { ...target, url: info.linkUrl } };
+    case 'vishpr-ask-image':
+      return { message: `What does this image show? ${info.srcUrl}`, target: { ...target, src: info.srcUrl } };
+    case 'vishpr-fill-form':
+      return { message: 'Fill this form with my details. Ask me for anything you do not know.', target };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Register the menu entries and handle clicks; called once when the service worker loads
+ * @param {function} launch - (info, tab, pending) => void; pending resolves to contextMenuLaunch's result.
+ *   Called before any await, so the click's user gesture can still open the side panel.
+ */
+export function initContextMenus(launch) {
+  chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+      for (const { id, title, contexts } of MENU_ITEMS) chrome.contextMenus.create({ id, title, contexts });
+    });
+  });
+
+  chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id || !MENU_ITEMS.some(item => item.id === info.menuItemId)) return;
+    launch(info, tab, resolveLaunch(info, tab));
+  });
+}
+
+async function resolveLaunch(info, tab) {
+  tabManager.ensureTab(tab.id, tab.url, tab.windowId);
+  // The content script runs in the top frame only; a click inside a frame goes without a ref
+  const element = info.frameId ? null : await resolveContextTarget(tab.id).catch(() => null);
+  return contextMenuLaunch(info, tabManager.getAlias(tab.id), element?.found ? element : null);
+}
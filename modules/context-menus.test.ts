@@ -0,0 +1,49 @@
+/**
+ * Context menu tests - Run: npx tsx modules/context-menus.test.ts
+ */
+import { contextMenuLaunch } from './context-menus.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const link = { ref: 'e42', role: 'link', name: 'Pricing' };
+
+// Selection
+{
+  const launch = contextMenuLaunch({ menuItemId: 'vishpr-ask-selection', selectionText: '  Line one\nLine two ' }, 't3', { ref: 'e7', role: 'paragraph', name: '' });
+  assert(launch?.message === 'Tell me about this text from the page:\n\n> Line one\n> Line two', `selection quoted: ${launch?.message}`);
+  assert(launch?.target.selection === 'Line one\nLine two' && launch.target.tab === 't3', 'selection and tab in the target');
+  assert(launch?.target.ref === 'e7' && launch.target.role === 'paragraph', 'element ref in the target');
+  const long = contextMenuLaunch({ menuItemId: 'vishpr-ask-selection', selectionText: 'x'.repeat(5000) }, 't1', null);
+  assert(long?.target.selection?.length === 2000, 'long selections clipped');
+}
+
+// Link, image, form
+{
+  const summarize = contextMenuLaunch({ menuItemId: 'vishpr-summarize-link', linkUrl: 'https://example.com/pricing' }, 't3', link);
+  assert(summarize?.message === 'Summarize the page at https://example.com/pricing', 'link message');
+  assert(JSON.stringify(summarize?.target) === JSON.stringify({ tab: 't3', ref: 'e42', role: 'link', name: 'Pricing', url: 'https://example.com/pricing' }), 'link target');
+
+  const image = contextMenuLaunch({ menuItemId: 'vishpr-ask-image', srcUrl: 'https://example.com/a.png' }, 't2', null);
+  assert(image?.target.src === 'https://example.com/a.png' && !('ref' in image.target), 'image without a resolved element');
+
+  const form = contextMenuLaunch({ menuItemId: 'vishpr-fill-form' }, 't5', { ref: 'e3', role: 'textbox', name: 'Email' });
+  assert(/^Fill this form/.test(form?.message || '') && form?.target.ref === 'e3', 'form field ref');
+}
+
+// Unknown entries
+{
+  assert(contextMenuLaunch({ menuItemId: 'something-else' }, 't1', null) === null, 'unknown entry');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All context menu tests passed');
+}
@@ -0,0 +1,106 @@
+/**
+ * Cron schedules - Five-field expressions (minute hour day-of-month month day-of-week) in local time
+ * Fields take *, numbers, ranges (1-5), lists (1,15), steps (0-59/15, 9-17/2) and month/day names (jan, mon).
+ * Day of week is 0-7 with 0 and 7 both Sunday. As in cron, when both day fields are restricted a day
+ * matches either of them. Shorthands: @hourly, @daily, @weekly, @monthly, @yearly.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { label: 'minute', min: 0, max: 59 },
+  { label: 'hour', min: 0, max: 23 },
+  { label: 'day of month', min: 1, max: 31 },
+  { label: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { label: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// Searching further than this means the expression never matches (e.g. 0 0 31 2 *)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value = index !== -1 ? index + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) throw new Error(`${field.label}: "${text}" is not between ${field.min} and ${field.max}`);
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`${field.label}: invalid step in "${part}"`);
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+      if (from > to) throw new Error(`${field.label}: range "${range}" runs backwards`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {{minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} describing the first invalid field
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const parts = (SHORTHANDS[text] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error('Use five fields: minute hour day-of-month month day-of-week (e.g. "0 8 * * 1-5")');
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2].startsWith('*'), anyWeekday: parts[4].startsWith('*') };
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * First time strictly after `after` that matches the expression
+ * @param {string|ReturnType<typeof parseCron>} cron
+ * @param {Date} [after]
+ * @returns {Date|null} null when nothing matches within a few years
+ */
+export function nextCronTime(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = new Date(after).setFullYear(after.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match before stepping minute by minute
+  while (t.getTime() <= limit) {
+    if (!parsed.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0);
+    } else if (!dayMatches(parsed, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0);
+    } else if (!parsed.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0);
+    } else if (!parsed.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
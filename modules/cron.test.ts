@@ -0,0 +1,84 @@
+/**
+ * Cron tests - Run: npx tsx modules/cron.test.ts
+ */
+import { parseCron, nextCronTime } from './cron.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const throws = (expression: string): string | null => {
+  try { parseCron(expression); return null; } catch (e) { return (e as Error).message; }
+};
+
+// Local times, so the tests hold in any time zone
+const at = (y: number, mo: number, d: number, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+const same = (a: Date | null, b: Date) => a?.getTime() === b.getTime();
+
+// Parsing
+{
+  const cron = parseCron('*/15 9-17/2 1,15 jan-mar mon-fri');
+  assert([...cron.minutes].join() === '0,15,30,45', 'minute step over *');
+  assert([...cron.hours].join() === '9,11,13,15,17', 'hour step over range');
+  assert([...cron.days].join() === '1,15', 'day list');
+  assert([...cron.months].join() === '1,2,3', 'month names');
+  assert([...cron.weekdays].join() === '1,2,3,4,5', 'weekday names');
+  assert(!cron.anyDay && !cron.anyWeekday, 'restricted day fields');
+}
+
+{
+  assert(parseCron('0 0 * * 7').weekdays.has(0), '7 is Sunday');
+  assert(parseCron('0 0 * * 5-7').weekdays.has(0), 'range ending at 7 includes Sunday');
+  assert([...parseCron('5/20 * * * *').minutes].join() === '5,25,45', 'start/step runs to the end of the field');
+  assert([...parseCron('@daily').hours].join() === '0', '@daily shorthand');
+  assert(parseCron('0 8 * * MON').weekdays.has(1), 'names are case-insensitive');
+}
+
+{
+  assert(throws('* * * *')?.includes('five fields') === true, 'wrong field count');
+  assert(throws('60 * * * *')?.includes('minute') === true, 'minute out of range');
+  assert(throws('0 24 * * *')?.includes('hour') === true, 'hour out of range');
+  assert(throws('0 0 0 * *')?.includes('day of month') === true, 'day 0');
+  assert(throws('0 0 * foo *')?.includes('month') === true, 'unknown month name');
+  assert(throws('*/0 * * * *')?.includes('step') === true, 'zero step');
+  assert(throws('0 17-9 * * *')?.includes('backwards') === true, 'backwards range');
+  assert(throws('') !== null, 'empty expression');
+}
+
+// Next run
+{
+  assert(same(nextCronTime('0 8 * * *', at(2024, 5, 1, 7, 30)), at(2024, 5, 1, 8, 0)), 'later the same day');
+  assert(same(nextCronTime('0 8 * * *', at(2024, 5, 1, 8, 0)), at(2024, 5, 2, 8, 0)), 'strictly after');
+  assert(same(nextCronTime('*/15 * * * *', at(2024, 5, 1, 10, 7)), at(2024, 5, 1, 10, 15)), 'next quarter hour');
+  assert(same(nextCronTime('59 23 31 12 *', at(2024, 6, 1)), at(2024, 12, 31, 23, 59)), 'end of year');
+  assert(same(nextCronTime('0 0 1 * *', at(2024, 12, 15)), at(2025, 1, 1)), 'rolls into next year');
+}
+
+{
+  // 2024-05-04 is a Saturday
+  assert(same(nextCronTime('0 9 * * 1-5', at(2024, 5, 4, 12)), at(2024, 5, 6, 9)), 'weekdays skip the weekend');
+  // Both day fields restricted: the 1st of the month or any Friday
+  assert(same(nextCronTime('0 0 1 * 5', at(2024, 5, 4)), at(2024, 5, 10)), 'day fields match either (Friday first)');
+  assert(same(nextCronTime('0 0 1 * 5', at(2024, 5, 25)), at(2024, 5, 31)), 'day fields match either (Friday again)');
+  assert(same(nextCronTime('0 0 1 * 1', at(2024, 6, 28)), at(2024, 7, 1)), 'day fields match either (the 1st)');
+  // Day of month with * weekday: only the day
+  assert(same(nextCronTime('0 0 13 * *', at(2024, 5, 1)), at(2024, 5, 13)), 'day of month alone');
+  assert(same(nextCronTime('0 0 29 2 *', at(2025, 1, 1)), at(2028, 2, 29)), 'leap day');
+  assert(nextCronTime('0 0 31 2 *', at(2024, 1, 1)) === null, 'impossible date never runs');
+}
+
+{
+  const parsed = parseCron('30 6 * * *');
+  assert(same(nextCronTime(parsed, at(2024, 5, 1)), at(2024, 5, 1, 6, 30)), 'accepts a parsed expression');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All cron tests passed');
+}
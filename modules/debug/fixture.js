@@ -0,0 +1,60 @@
+/**
+ * Replay fixtures - A stored trace reduced to what a deterministic re-run needs
+ * Pure data transform (no executor imports) so the debug UI can export fixtures; replay.js runs them.
+ *
+ * Fixture shape:
+ *   { version, action, params,
+ *     llm: [{ action, step, response }],          successful LLM responses in call order
+ *     bridge: [{ method, args, result, error }],   content-bridge calls of the run in call order
+ *     expected: { status, output },
+ *     warnings: [] }                               e.g. values truncated when the trace was stored
+ */
+
+export const FIXTURE_VERSION = 1;
+
+// Markers left by the trace collector's sanitize() when it shortens a value
+const TRUNCATION_MARKERS = [/\.\.\. \[truncated \d+ chars\]/, /\.\.\. \[\d+ more items\]/, /"_truncated":true/];
+
+/**
+ * Turn a stored trace into a replay fixture
+ * @param {object} traceData - getTraceById() result, or its `trace` tree
+ */
+export function traceToFixture(traceData) {
+  const root = traceData?.trace ?? traceData;
+  if (root?.type !== 'action') throw new Error('Not an action trace');
+
+  const llm = [];
+  // Child traces are attached in start order, so a depth-first walk visits LLM calls in call order
+  const visit = (node, actionName, step) => {
+    for (const child of node.children || []) {
+      if (child.type === 'action') {
+        // Post-step traces (e.g. TRACE_ANALYZER) ran after the result was returned; replays skip post_steps
+        if (!child.id?.startsWith(`${root.id}_post_`)) visit(child, child.name, null);
+      } else if (child.type === 'llm') {
+        if (child.status !== 'error') llm.push({ action: actionName, step, response: child.output });
+      } else if (child.type === 'step' || child.type === 'iteration') {
+        visit(child, actionName, child.id);
+      }
+    }
+  };
+  visit(root, root.name, null);
+
+  const fixture = {
+    version: FIXTURE_VERSION,
+    action: root.name,
+    params: root.input,
+    llm,
+    bridge: (root.bridgeCalls || []).map(({ method, args, result, error }) => ({ method, args, result, error })),
+    expected: { status: root.status, output: root.output },
+    warnings: []
+  };
+
+  const json = JSON.stringify(fixture);
+  if (TRUNCATION_MARKERS.some(marker => marker.test(json))) {
+    fixture.warnings.push('Some recorded values were truncated when the trace was stored; the replay may diverge');
+  }
+  if (root.status === 'running') {
+    fixture.warnings.push('Trace was still running when exported');
+  }
+  return fixture;
+}
@@ -6,6 +6,7 @@ import { renderModelStats, renderActionStats, setupStatsTimeFilter, getStatsTime
 import { getModelStatsCounter, getActionStatsCounter } from './time-bucket-counter.js';
 import { getChatStatus } from '../chat.js';
 import { getTraces, getTraceById, deleteTrace } from './trace-collector.js';
+import { traceToFixture } from './fixture.js';
 import { getBrowserStateBundle } from '../content-bridge.js';
 
 // SVG icons for consistent rendering
@@ -21,7 +22,7 @@ const ICONS = {
 };
 
 // Node type icons for trace rendering
-const NODE_ICONS = { action: 'A', step: 'S', function: 'F', llm: 'L', chrome: 'C', context: '{}', warning: '!', iteration: '↻' };
+const NODE_ICONS = { action: 'A', step: 'S', function: 'F', llm: 'L', chrome: 'C', context: '{}', warning: '!', iteration: '↻', attempt: '#' };
 
 // Content length threshold for showing maximize button
 const MAXIMIZE_THRESHOLD = 5000;
@@ -115,6 +116,8 @@ export async function initDebug() {
     if (copyBtn?.dataset.copyId) { e.stopPropagation(); return handleCopy(copyBtn); }
     const maxBtn = e.target.closest('.content-maximize-btn');
     if (maxBtn?.dataset.maximizeId) { e.stopPropagation(); return handleMaximize(maxBtn); }
+    const fixtureBtn = e.target.closest('.trace-fixture-btn');
+    if (fixtureBtn) { e.stopPropagation(); return handleCopyFixture(fixtureBtn); }
     const toolSum = e.target.closest('.tool-call-summary');
     if (toolSum) { e.stopPropagation(); const p = toolSum.closest('.tool-call-inline'); p.dataset.expanded = p.dataset.expanded !== 'true'; return; }
     const header = e.target.closest('.trace-header');
@@ -199,6 +202,18 @@ function toggleMode() {
   }
 }
 
+/**
+ * Open debug mode on a stored trace (e.g. from a task's run history)
+ */
+export async function showTrace(traceId) {
+  if (elements.debugContainer.classList.contains('hidden')) toggleMode();
+  await switchDebugTab('trace');
+  await loadStoredTraces();
+  const index = state.history.findIndex(run => run.id === traceId);
+  if (index === -1) return showPlaceholder('empty');
+  await selectHistory(index);
+}
+
 function renderTimeline(run) {
   if (!run) return;
 
@@ -212,6 +227,7 @@ function renderTimeline(run) {
           <span class="timeline-block-icon timeline-block-icon-trace">◈</span>
           <span class="timeline-block-title">EXECUTION TRACE</span>
           <span class="timeline-block-meta">${run.trace.duration ? formatDuration(run.trace.duration) : ''}</span>
+          <button class="trace-fixture-btn btn btn-ghost btn-xs btn-square" title="Copy as replay fixture">${ICONS.copy}</button>
         </div>
         <div class="timeline-block-content">
           ${renderNode(run.trace, 0)}
@@ -231,7 +247,7 @@ function renderNode(node, depth = 0) {
   const hasDetails = node.input || node.output || node.error || node.context || node.model || node.prompt || node.status === 'skipped';
   const icon = NODE_ICONS[node.type] || '?';
   if (icon === '?') console.warn('Unknown node type:', node);
-  const statusIcon = { success: ICONS.check, error: ICONS.x, running: ICONS.dot, skipped: '⏭' }[node.status] || '';
+  const statusIcon = { success: ICONS.check, error: ICONS.x, running: ICONS.dot, skipped: '⏭', cancelled: '⏹' }[node.status] || '';
   const statusClass = `trace-status-${node.status || 'pending'}`;
   const expandedClass = depth === 0 ? 'expanded' : '';
 
@@ -347,7 +363,7 @@ function renderHistory() {
     return run.action || 'Action';  // Fallback for old traces without inputPreview
   };
   elements.debugHistory.innerHTML = state.history.map((run, i) => `
-    <div class="p-1.5 rounded text-xs cursor-pointer ${i === state.selected ? 'bg-primary/20' : 'hover:bg-base-300'} ${run.status === 'error' ? 'border-l-2 border-error' : ''}" data-idx="${i}">
+    <div class="p-1.5 rounded text-xs cursor-pointer ${i === state.selected ? 'bg-primary/20' : 'hover:bg-base-300'} ${run.status === 'error' ? 'border-l-2 border-error' : run.status === 'cancelled' ? 'border-l-2 border-warning' : ''}" data-idx="${i}">
       <div class="flex items-center gap-1">
         <span class="truncate flex-1">${escapeHtml(getLabel(run))}</span>
         <button class="opacity-40 hover:opacity-100 hover:text-error text-xs" data-delete="${i}" title="Delete">×</button>
@@ -744,6 +760,19 @@ async function handleCopy(btn) {
   }
 }
 
+// Copy the selected trace as a replay fixture (see fixture.js; replay with debug/replay.js under npm test)
+async function handleCopyFixture(btn) {
+  const run = state.history[state.selected];
+  if (!run?.trace) return;
+  try {
+    await navigator.clipboard.writeText(JSON.stringify(traceToFixture(run.trace), null, 2));
+    btn.innerHTML = ICONS.copied;
+    setTimeout(() => { btn.innerHTML = ICONS.copy; }, 1500);
+  } catch (err) {
+    console.error('Failed to copy fixture:', err);
+  }
+}
+
 // ==========================================================================
 // State Tab - Runtime state inspector
 // ==========================================================================
@@ -0,0 +1,117 @@
+/**
+ * Built-in executor middleware - Execution traces and action stats
+ * Registered by executor.js; see ../middleware.js for the hook contract
+ */
+import { tracer } from './trace-collector.js';
+import { getActionStatsCounter } from './time-bucket-counter.js';
+import { setBridgeInterceptor } from '../content-bridge.js';
+
+const isAbortError = error => error?.name === 'AbortError';
+
+// Trace start times, keyed by the event object shared by a before/after pair
+const startTimes = new WeakMap();
+// Root actions record the content-bridge calls of their run; restores the run's previous interceptor when the root ends
+const bridgeRecorders = new WeakMap();
+
+const recordBridgeCalls = event => async (call, next) => {
+  try {
+    const result = await next();
+    event.track(tracer.traceBridge(event.actionUUID, call, result));
+    return result;
+  } catch (error) {
+    event.track(tracer.traceBridge(event.actionUUID, call, undefined, error));
+    throw error;
+  }
+};
+
+// Images are shown as placeholders; a data URL would fill the trace
+const formatContent = content => (Array.isArray(content) ? content.map(part => (part.type === 'text' ? part.text : `[${part.type}]`)).join('\n') : content);
+
+const formatMessage = (m) => {
+  if (m.content) return `[${m.role}]: ${formatContent(m.content)}`;
+  if (m.tool_calls) return `[${m.role}]: ${m.tool_calls.map(tc => `${tc.function.name}(${tc.function.arguments})`).join(', ')}`;
+  return `[${m.role}]: (empty)`;
+};
+
+export const tracingMiddleware = {
+  beforeAction(event) {
+    const { startTime, writePromise } = tracer.startAction(event.actionUUID, event.action.name, event.params, event.isRoot);
+    startTimes.set(event, startTime);
+    event.track(writePromise);
+    if (event.isRoot) bridgeRecorders.set(event, setBridgeInterceptor(event.runId, recordBridgeCalls(event)));
+  },
+
+  afterAction(event) {
+    bridgeRecorders.get(event)?.();
+    const output = event.error ? null : event.output;
+    event.track(tracer.endAction(event.actionUUID, startTimes.get(event), output, event.error).writePromise);
+  },
+
+  beforeStep(event) {
+    const { startTime, writePromise } = tracer.startStep(event.actionUUID, event.stepKey, event.stepType, event.stepInfo, event.context);
+    startTimes.set(event, startTime);
+    event.track(writePromise);
+  },
+
+  afterStep(event) {
+    event.track(tracer.endStep(event.actionUUID, event.stepKey, startTimes.get(event), event.error ? null : event.output, event.error));
+  },
+
+  async aroundLLM(event, next) {
+    const startTime = performance.now();
+    let response, error;
+    try {
+      response = await next();
+    } catch (err) {
+      error = err;
+    }
+
+    const duration = performance.now() - startTime;
+    const { request } = event;
+    const promptStr = request.messages
+      ? request.messages.map(formatMessage).join('\n')
+      : request.prompt || '';
+    event.track(tracer.traceLLM(event.actionUUID, event.stepKey, response?.model || 'unknown', promptStr, response, duration, event.turn, event.maxTurns, error));
+
+    if (error) throw error;
+    return response;
+  },
+
+  onWarning(event) {
+    event.track(tracer.traceWarning(event.actionUUID, event.stepKey, event.message, event.details));
+  },
+
+  afterAttempt(event) {
+    event.track(tracer.traceAttempt(event.actionUUID, event.stepKey, event.attempt));
+  },
+};
+
+export const statsMiddleware = {
+  onStat({ key, stat, amount }) {
+    getActionStatsCounter().increment(key, stat, amount).catch(() => {});
+  },
+
+  afterAttempt({ actionName, attempt }) {
+    if (attempt.error && attempt.attempt < attempt.attempts) getActionStatsCounter().increment(actionName, 'retries').catch(() => {});
+  },
+
+  afterAction({ action, error }) {
+    const counter = getActionStatsCounter();
+    if (!error) counter.increment(action.name, 'executions').catch(() => {});
+    // Cancellation is not a failure, and invalid input params are the caller's mistake
+    else if (!isAbortError(error) && !error.isValidationError) counter.increment(action.name, 'errors').catch(() => {});
+  },
+
+  afterToolCall({ actionName, tool, outcome }) {
+    const counter = getActionStatsCounter();
+    // Track which tool was chosen by this action
+    counter.increment(actionName, `choice:${tool}`).catch(() => {});
+    if (outcome.errorType === 'invalid_json') {
+      counter.increment(actionName, 'errors').catch(() => {});
+      counter.increment(actionName, 'invalidJsonArgs').catch(() => {});
+    } else if (outcome.errorType === 'unknown_action') {
+      counter.increment(actionName, 'errors').catch(() => {});
+      counter.increment(actionName, 'unknownAction').catch(() => {});
+    }
+  },
+};
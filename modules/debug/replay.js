@@ -0,0 +1,117 @@
+/**
+ * Offline replay - Re-run a recorded root action deterministically from a fixture (see fixture.js)
+ * LLM calls are answered with the recorded responses of the same action/step, and content-bridge
+ * calls with the recorded results of the same method/args. Anything the recording cannot answer,
+ * answers out of order, or leaves unused is reported as a divergence.
+ * Runs under Node (npx tsx): storage falls back to memory and tracing/stats middleware is suspended.
+ */
+import { executeAction } from '../executor.js';
+import { actionsRegistry } from '../actions/index.js';
+import { registerMiddleware, suspendMiddleware } from '../middleware.js';
+import { setBridgeInterceptor } from '../content-bridge.js';
+import { tracingMiddleware, statsMiddleware } from './middleware.js';
+import { FIXTURE_VERSION } from './fixture.js';
+
+const normalize = value => JSON.parse(JSON.stringify(value ?? null));
+const sameJSON = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+// Left-out optional arguments record as trailing nulls, or not at all
+const trimArgs = args => {
+  const trimmed = normalize(args);
+  while (trimmed.length && trimmed.at(-1) === null) trimmed.pop();
+  return trimmed;
+};
+
+// Node has no extension APIs; context fetchers and counters only need storage
+function ensureOfflineStorage() {
+  if (globalThis.chrome?.storage) return;
+  const memoryArea = () => {
+    const data = {};
+    const keyList = keys => keys == null ? Object.keys(data) : typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    return {
+      get: async keys => Object.fromEntries(keyList(keys).filter(k => k in data).map(k => [k, data[k]])),
+      set: async items => { Object.assign(data, items); },
+      remove: async keys => { for (const k of [].concat(keys)) delete data[k]; }
+    };
+  };
+  globalThis.chrome = { ...globalThis.chrome, storage: { local: memoryArea(), session: memoryArea() } };
+}
+
+/**
+ * Replay a fixture against the current action definitions
+ * @param {object} fixture - From traceToFixture()
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the replay
+ * @returns {Promise<{ok: boolean, output: object|null, error: Error|null, divergences: Array<{type: string, message: string}>}>}
+ */
+export async function replayFixture(fixture, { signal } = {}) {
+  if (fixture?.version !== FIXTURE_VERSION) throw new Error(`Unsupported fixture version: ${fixture?.version}`);
+  const action = actionsRegistry[fixture.action];
+  if (!action) throw new Error(`Unknown action: ${fixture.action}`);
+  ensureOfflineStorage();
+
+  const divergences = [];
+  const diverge = (type, message, details = {}) => {
+    divergences.push({ type, message, ...details });
+    return new Error(`Replay diverged: ${message}`);
+  };
+
+  const llm = fixture.llm.map(entry => ({ ...entry, used: false }));
+  const replayMiddleware = {
+    async aroundLLM(event) {
+      const step = String(event.stepKey);
+      const index = llm.findIndex(e => !e.used && e.action === event.actionName && String(e.step) === step);
+      if (index === -1) throw diverge('llm_missing', `no recorded LLM response left for ${event.actionName} step ${step}`);
+      const firstUnused = llm.findIndex(e => !e.used);
+      if (index !== firstUnused) {
+        const expected = llm[firstUnused];
+        diverge('llm_order', `${event.actionName} step ${step} called before ${expected.action} step ${expected.step}`);
+      }
+      llm[index].used = true;
+      return structuredClone(llm[index].response);
+    }
+  };
+
+  const bridge = fixture.bridge.map(entry => ({ ...entry, used: false }));
+  const serveBridgeCall = async ({ method, args }) => {
+    const candidates = bridge.filter(e => !e.used && e.method === method);
+    const entry = candidates.find(e => sameJSON(trimArgs(e.args), trimArgs(args)));
+    if (!entry) {
+      throw candidates.length
+        ? diverge('bridge_args', `${method} called with different arguments`, { recorded: candidates[0].args, actual: args })
+        : diverge('bridge_missing', `no recorded result left for ${method}`, { actual: args });
+    }
+    entry.used = true;
+    if (entry.error) throw new Error(entry.error.message || String(entry.error));
+    return structuredClone(entry.result);
+  };
+
+  const resumeMiddleware = suspendMiddleware(tracingMiddleware, statsMiddleware);
+  const unregister = registerMiddleware(replayMiddleware);
+  const runId = crypto.randomUUID();
+  const restoreBridge = setBridgeInterceptor(runId, serveBridgeCall);
+  let output = null;
+  let error = null;
+  try {
+    // post_steps (trace analysis) are not part of the recorded run
+    output = await executeAction({ ...action, post_steps: undefined }, fixture.params, null, null, { signal, runId });
+  } catch (e) {
+    error = e;
+  } finally {
+    restoreBridge();
+    unregister();
+    resumeMiddleware();
+  }
+
+  for (const e of llm.filter(e => !e.used)) diverge('llm_unused', `recorded LLM response for ${e.action} step ${e.step} was not requested`);
+  for (const e of bridge.filter(e => !e.used)) diverge('bridge_unused', `recorded ${e.method} call was not made`, { recorded: e.args });
+
+  const status = error ? (error.name === 'AbortError' ? 'cancelled' : 'error') : 'success';
+  if (fixture.expected?.status && status !== fixture.expected.status) {
+    diverge('status', `run ended with ${status}, recorded ${fixture.expected.status}`, { error: error?.message });
+  } else if (output && fixture.expected?.output !== undefined && !fixture.warnings?.length) {
+    const { _traceUUID, _duration, ...actual } = output;
+    if (!sameJSON(actual, fixture.expected.output)) diverge('output', 'final output differs from the recording');
+  }
+
+  return { ok: divergences.length === 0, output, error, divergences };
+}
@@ -0,0 +1,122 @@
+/**
+ * Record/replay tests - Run: npx tsx modules/debug/replay.test.ts
+ *
+ * Replays recorded fixtures offline: LLM responses and content-bridge results come from the fixture,
+ * so a change to an action that alters what it asks the model or the page shows up as a divergence.
+ */
+import { readFileSync, readdirSync } from 'fs';
+import { replayFixture } from './replay.js';
+import { traceToFixture } from './fixture.js';
+import { buildTraceTree } from './trace-collector.js';
+import { setBridgeInterceptor, extractA11yTree } from '../content-bridge.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const fixturesDir = new URL('./fixtures/', import.meta.url);
+const loadFixture = (name: string) => JSON.parse(readFileSync(new URL(name, fixturesDir), 'utf8'));
+type Divergence = { type: string; message: string };
+const describe = (divergences: Divergence[]) => divergences.map(d => `${d.type}: ${d.message}`).join('; ');
+
+// Every stored fixture replays against the current actions without divergence
+for (const name of readdirSync(fixturesDir).filter(f => f.endsWith('.json'))) {
+  const { ok, divergences, error } = await replayFixture(loadFixture(name));
+  assert(ok, `${name}: ${describe(divergences) || error?.message}`);
+}
+
+// Page calls with different arguments than recorded are flagged
+{
+  const fixture = loadFixture('read-page-summary.json');
+  fixture.bridge.find((c: { method: string }) => c.method === 'extractA11yTree').args = ['t2'];
+  const { ok, divergences } = await replayFixture(fixture);
+  assert(!ok, 'changed bridge args: replay not ok');
+  assert(divergences.some((d: Divergence) => d.type === 'bridge_args'), `changed bridge args: got ${describe(divergences)}`);
+  assert(divergences.some((d: Divergence) => d.type === 'bridge_unused'), 'changed bridge args: recorded call reported unused');
+}
+
+// Running out of recorded LLM responses fails the run and is flagged
+{
+  const fixture = loadFixture('read-page-summary.json');
+  fixture.llm.pop();
+  const { ok, divergences, error } = await replayFixture(fixture);
+  assert(!ok && !!error, 'missing LLM response: run fails');
+  assert(divergences.some((d: Divergence) => d.type === 'llm_missing'), `missing LLM response: got ${describe(divergences)}`);
+  assert(divergences.some((d: Divergence) => d.type === 'status'), 'missing LLM response: status divergence');
+}
+
+// A different final answer than recorded is flagged
+{
+  const fixture = loadFixture('read-page-summary.json');
+  fixture.expected.output.result.final_answer = 'Something else';
+  const { divergences } = await replayFixture(fixture);
+  assert(describe(divergences) === 'output: final output differs from the recording', `changed output: got ${describe(divergences)}`);
+}
+
+// Bridge interceptors only see the calls of their own run, so overlapping runs keep separate recordings
+{
+  const seen: string[] = [];
+  const restoreA = setBridgeInterceptor('run-a', async ({ args }: { args: string[] }) => { seen.push(`a:${args[0]}`); return 'from a'; });
+  const restoreB = setBridgeInterceptor('run-b', async ({ args }: { args: string[] }) => { seen.push(`b:${args[0]}`); return 'from b'; });
+  const results = await Promise.all([extractA11yTree('t1', { runId: 'run-a' }), extractA11yTree('t2', { signal: undefined, runId: 'run-b' })]);
+  assert(JSON.stringify(results) === '["from a","from b"]' && seen.join() === 'a:t1,b:t2', `calls routed by run: got ${seen.join()}`);
+  restoreA();
+  const later = await extractA11yTree('t3', { runId: 'run-b' });
+  assert(later === 'from b' && seen.at(-1) === 'b:t3', 'ending one run leaves the other recording');
+  restoreB();
+}
+
+// traceToFixture: LLM responses in call order with their action/step, bridge calls, post-steps skipped
+{
+  type TraceNode = { children: TraceNode[]; output?: { result: { answer: string } } };
+  const tree = (events: object[], id: string) => buildTraceTree(events, id) as unknown as TraceNode;
+  const llmEvent = (stepIndex: string, answer: string, status = 'success') =>
+    ({ type: 'llm', stepIndex, turn: null, status, output: { result: { answer }, model: 'm' } });
+  const root = tree([
+    { type: 'action_start', name: 'ROUTER', input: { goal: 'g' } },
+    { type: 'step_start', stepIndex: '0', stepType: 'action' },
+    { type: 'step_end', stepIndex: '0', status: 'success' },
+    { type: 'step_start', stepIndex: '1', stepType: 'llm' },
+    llmEvent('1', 'failed', 'error'),
+    llmEvent('1', 'router'),
+    { type: 'bridge', method: 'getBrowserStateBundle', args: [], result: 'state', status: 'success' },
+    { type: 'step_end', stepIndex: '1', status: 'success' },
+    { type: 'action_end', output: { result: { answer: 'router' } }, status: 'success' },
+  ], 'root');
+  const child = tree([
+    { type: 'action_start', name: 'CONTEXT_SELECTOR', input: { goal: 'g' }, timestamp: 1 },
+    { type: 'step_start', stepIndex: '0', stepType: 'llm' },
+    llmEvent('0', 'context'),
+    { type: 'action_end', status: 'success' },
+  ], 'root_0_x');
+  const post = tree([
+    { type: 'action_start', name: 'TRACE_ANALYZER', input: {} },
+    { type: 'step_start', stepIndex: '0', stepType: 'llm' },
+    llmEvent('0', 'analysis'),
+  ], 'root_post_y');
+  root.children[0].children.push(child);
+  root.children.push(post);
+
+  const fixture = traceToFixture({ traceId: 'root', trace: root });
+  assert(fixture.action === 'ROUTER' && fixture.params.goal === 'g', 'fixture root action and params');
+  assert(JSON.stringify(fixture.llm.map((e: { action: string; step: string }) => `${e.action}@${e.step}`)) === '["CONTEXT_SELECTOR@0","ROUTER@1"]',
+    `fixture llm order: got ${JSON.stringify(fixture.llm.map((e: { action: string; step: string }) => `${e.action}@${e.step}`))}`);
+  assert(fixture.llm[1].response.result.answer === 'router', 'failed LLM attempts are skipped');
+  assert(fixture.bridge.length === 1 && fixture.bridge[0].result === 'state', 'bridge calls copied');
+  assert(fixture.expected.status === 'success' && fixture.expected.output.result.answer === 'router', 'expected outcome copied');
+  assert(fixture.warnings.length === 0, 'no warnings for complete trace');
+
+  root.children[1].children[1].output!.result.answer = 'long... [truncated 10 chars]';
+  assert(traceToFixture(root).warnings.length === 1, 'truncated values produce a warning');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All replay tests passed');
+}
@@ -2,6 +2,7 @@
  * Tracer - Execution tracing with IndexedDB persistence
  */
 import { getActionStatsCounter } from './time-bucket-counter.js';
+import { withoutImageData, getUsageStats } from '../llm/api.js';
 
 const DB_NAME = 'vishpr_traces';
 const DB_VERSION = 1;
@@ -110,10 +111,10 @@ export async function getTraceById(traceId) {
     if (!childResult?.trace) continue;
 
     const suffix = childMeta.traceId.slice(traceId.length + 1);
-    const firstPart = suffix.split('_')[0];
+    // Step key: index, or dotted path for steps nested in branch/map/loop
+    const stepKey = suffix.split('_')[0];
 
-    const stepIndex = parseInt(firstPart, 10);
-    const step = !isNaN(stepIndex) && trace.children.find(s => s.id === `${stepIndex}`);
+    const step = findStepNode(trace, stepKey);
     if (step) {
       step.children.push(childResult.trace);
     } else {
@@ -123,16 +124,31 @@ export async function getTraceById(traceId) {
   }
 
   // Sort step children by timestamp so child actions appear in correct order
-  for (const step of trace.children) {
+  forEachStepNode(trace, step => {
     if (step.children?.length > 1) {
       step.children.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
     }
-  }
+  });
 
   collectStats(trace);
   return { ...meta, trace };
 }
 
+// Step nodes of one action's tree, including steps nested in branch/map/loop (child actions excluded)
+function forEachStepNode(node, fn) {
+  for (const child of node.children || []) {
+    if (child.type !== 'step' && child.type !== 'iteration') continue;
+    fn(child);
+    forEachStepNode(child, fn);
+  }
+}
+
+function findStepNode(trace, stepKey) {
+  let found = null;
+  forEachStepNode(trace, step => { if (step.id === stepKey) found ??= step; });
+  return found;
+}
+
 export async function getTraces(limit = 20) {
   const db = await getDB();
   const metas = await new Promise((resolve, reject) => {
@@ -255,10 +271,10 @@ function truncateValue(value, maxLen = MAX_STRING_LENGTH) {
 function sanitize(value) {
   if (value == null) return value;
   try {
-    // First pass: handle functions and errors
-    const cleaned = JSON.parse(JSON.stringify(value, (_, v) =>
+    // First pass: handle functions, errors and images
+    const cleaned = JSON.parse(JSON.stringify(value, (k, v) =>
       typeof v === 'function' ? '[Function]' :
-      v instanceof Error ? { message: v.message, name: v.name } : v
+      v instanceof Error ? { message: v.message, name: v.name } : withoutImageData(k, v)
     ));
     // Second pass: truncate large strings
     const truncated = truncateValue(cleaned);
@@ -274,6 +290,9 @@ function sanitize(value) {
 
 function sanitizeError(e) { return typeof e === 'string' ? e : e instanceof Error ? { message: e.message, name: e.name } : String(e); }
 
+// Aborted runs (user pressed Stop) are recorded as 'cancelled' rather than 'error'
+const errorStatus = e => e?.name === 'AbortError' ? 'cancelled' : 'error';
+
 // Extract first input value for display in history list
 function getInputPreview(input) {
   if (!input || typeof input !== 'object') return null;
@@ -285,11 +304,9 @@ function getInputPreview(input) {
 }
 
 export const tracer = {
-  // traceId is passed in - parent creates composite ID, or null for root
-  // Returns { uuid, startTime, writePromise }
-  startAction(traceId, name, input) {
-    const isRoot = !traceId;
-    const uuid = traceId || crypto.randomUUID();
+  // uuid is created by the executor - composite ID from the parent, or a fresh UUID for root
+  // Returns { startTime, writePromise }
+  startAction(uuid, name, input, isRoot) {
     const startTime = performance.now();
     // Track action name for oversized event logging
     setTraceActionName(uuid, name);
@@ -297,13 +314,13 @@ export const tracer = {
       createTraceMeta(uuid, isRoot, name, input),
       persistEvent(uuid, { type: 'action_start', name, input: sanitize(input), startTime })
     ]);
-    return { uuid, startTime, writePromise };
+    return { startTime, writePromise };
   },
 
   // Returns { duration, writePromise }
   endAction(uuid, startTime, output, error = null) {
     const duration = performance.now() - startTime;
-    const status = error ? 'error' : 'success';
+    const status = error ? errorStatus(error) : 'success';
     const writePromise = Promise.all([
       persistEvent(uuid, { type: 'action_end', duration, output: sanitize(output), status, error: error ? sanitizeError(error) : undefined }),
       updateTrace(uuid, { status, duration })
@@ -314,13 +331,13 @@ export const tracer = {
   // Returns { startTime, writePromise }
   startStep(actionUUID, stepIndex, stepType, stepInfo = {}, context = null) {
     const startTime = performance.now();
-    const writePromise = persistEvent(actionUUID, { type: 'step_start', stepIndex, stepType, handler: stepInfo.handler, action: stepInfo.action, input: sanitize(context), startTime });
+    const writePromise = persistEvent(actionUUID, { type: 'step_start', stepIndex, stepType, handler: stepInfo.handler, action: stepInfo.action, label: stepInfo.label, input: sanitize(context), startTime });
     return { startTime, writePromise };
   },
 
   // Returns writePromise
   endStep(actionUUID, stepIndex, startTime, output, error = null) {
-    const status = error ? 'error' : output?.skipped ? 'skipped' : 'success';
+    const status = error ? errorStatus(error) : output?.skipped ? 'skipped' : 'success';
     return persistEvent(actionUUID, { type: 'step_end', stepIndex, duration: performance.now() - startTime, output: sanitize(output), status, error: error ? sanitizeError(error) : undefined });
   },
 
@@ -329,6 +346,16 @@ export const tracer = {
     return persistEvent(actionUUID, { type: 'llm', stepIndex, model, prompt, output: sanitize(response), duration, turn, maxTurns, status: error ? 'error' : 'success', error: error ? sanitizeError(error) : undefined });
   },
 
+  // Returns writePromise - one event per attempt of a step with a retry policy
+  traceAttempt(actionUUID, stepIndex, { attempt, attempts, duration, error = null }) {
+    return persistEvent(actionUUID, { type: 'attempt', stepIndex, attempt, attempts, duration, status: error ? errorStatus(error) : 'success', error: error ? sanitizeError(error) : undefined });
+  },
+
+  // Returns writePromise - one event per content-bridge call made during a root run (replayed from fixtures)
+  traceBridge(actionUUID, { method, args }, result, error = null) {
+    return persistEvent(actionUUID, { type: 'bridge', method, args: sanitize(args), result: sanitize(result), status: error ? errorStatus(error) : 'success', error: error ? sanitizeError(error) : undefined });
+  },
+
   // Returns writePromise
   traceWarning(actionUUID, stepIndex, message, details = null) {
     return persistEvent(actionUUID, { type: 'warning', stepIndex, message, details: details ? sanitize(details) : undefined });
@@ -337,18 +364,6 @@ export const tracer = {
 
 // ============ Tree Builder ============
 
-function getUsageStats(usage) {
-  if (!usage) return { tokens: { input: 0, output: 0 }, cost: 0, upstreamCost: 0 };
-  return {
-    tokens: {
-      input: usage.input_tokens || usage.prompt_tokens || 0,
-      output: usage.output_tokens || usage.completion_tokens || 0,
-    },
-    cost: usage.cost || 0,
-    upstreamCost: usage.cost_details?.upstream_inference_cost || 0,
-  };
-}
-
 function collectStats(node) {
   const stats = { tokens: { input: 0, output: 0 }, cost: 0, upstreamCost: 0, llmCalls: 0 };
   const collect = (n) => {
@@ -384,9 +399,12 @@ export function buildTraceTree(events, actionUUID) {
         if (action) Object.assign(action, { duration: e.duration, output: e.output, status: e.status, error: e.error });
         break;
       case 'step_start':
-        const sNode = { id: stepKey, type: 'step', name: `Step ${e.stepIndex + 1}`, stepType: e.stepType, handler: e.handler, action: e.action, input: e.input, timestamp: e.timestamp, startTime: e.startTime, status: 'running', children: [] };
+        // Nested steps (branch/map/loop) have dotted keys like "2.0.1" and hang under their parent step
+        const keyParts = stepKey.split('.');
+        const parentNode = keyParts.length > 1 ? steps.get(keyParts.slice(0, -1).join('.')) : action;
+        const sNode = { id: stepKey, type: e.stepType === 'iteration' ? 'iteration' : 'step', name: e.label || `Step ${Number(keyParts.at(-1)) + 1}`, stepType: e.stepType, handler: e.handler, action: e.action, input: e.input, timestamp: e.timestamp, startTime: e.startTime, status: 'running', children: [] };
         steps.set(stepKey, sNode);
-        action?.children.push(sNode);
+        (parentNode || action)?.children.push(sNode);
         break;
       case 'step_end':
         Object.assign(steps.get(stepKey) || {}, { duration: e.duration, output: e.output, status: e.status, error: e.error });
@@ -396,6 +414,13 @@ export function buildTraceTree(events, actionUUID) {
         const usageStats = getUsageStats(e.output?.usage);
         steps.get(stepKey)?.children.push({ type: 'llm', name: llmName, model: e.model, prompt: e.prompt, output: e.output, usageStats, duration: e.duration, timestamp: e.timestamp, status: e.status, error: e.error });
         break;
+      case 'attempt':
+        steps.get(stepKey)?.children.push({ type: 'attempt', name: `Attempt ${e.attempt}/${e.attempts}`, duration: e.duration, timestamp: e.timestamp, status: e.status, error: e.error });
+        break;
+      case 'bridge':
+        // Kept off the timeline; debug/fixture.js reads them to build replay fixtures
+        if (action) (action.bridgeCalls ??= []).push({ method: e.method, args: e.args, result: e.result, status: e.status, error: e.error });
+        break;
       case 'warning':
         steps.get(stepKey)?.children.push({ type: 'warning', name: e.message, details: e.details, timestamp: e.timestamp, status: 'warning' });
         break;
@@ -15,17 +15,31 @@ export const elements = {
   get chatContainer() { return lazy('chatContainer')(); },
   get messageInput() { return lazy('messageInput')(); },
   get sendButton() { return lazy('sendButton')(); },
+  get stopButton() { return lazy('stopButton')(); },
+  get dryRunToggle() { return lazy('dryRunToggle')(); },
+  get taskPickerBtn() { return lazy('taskPickerBtn')(); },
+  get taskPickerList() { return lazy('taskPickerList')(); },
+  get commandMenu() { return lazy('commandMenu')(); },
+  get pickElementBtn() { return lazy('pickElementBtn')(); },
+  get targetChipBar() { return lazy('targetChipBar')(); },
 
   // Header
   get headerTitle() { return lazy('headerTitle')(); },
   get statusDot() { return lazy('statusDot')(); },
   get statusText() { return lazy('statusText')(); },
+  get sessionsToggle() { return lazy('sessionsToggle')(); },
+  get sessionMenu() { return lazy('sessionMenu')(); },
+  get newSessionBtn() { return lazy('newSessionBtn')(); },
+  get sessionList() { return lazy('sessionList')(); },
+  get exportMenu() { return lazy('exportMenu')(); },
 
   // Settings panel
   get settingsPanel() { return lazy('settingsPanel')(); },
   get settingsToggle() { return lazy('settingsToggle')(); },
   get settingsModelsTab() { return lazy('settingsModelsTab')(); },
   get settingsUiTab() { return lazy('settingsUiTab')(); },
+  get settingsActionsTab() { return lazy('settingsActionsTab')(); },
+  get settingsLibraryTab() { return lazy('settingsLibraryTab')(); },
 
   // Endpoints
   get endpointsList() { return lazy('endpointsList')(); },
@@ -38,6 +52,56 @@ export const elements = {
   get modelListLow() { return lazy('modelListLow')(); },
   get resetModelsBtn() { return lazy('resetModelsBtn')(); },
 
+  // Budget
+  get budgetSection() { return lazy('budgetSection')(); },
+  get budgetMaxTokens() { return lazy('budgetMaxTokens')(); },
+  get budgetMaxCost() { return lazy('budgetMaxCost')(); },
+
+  // Custom actions
+  get customActionsList() { return lazy('customActionsList')(); },
+  get addCustomActionBtn() { return lazy('addCustomActionBtn')(); },
+  get importCustomActionsBtn() { return lazy('importCustomActionsBtn')(); },
+  get exportCustomActionsBtn() { return lazy('exportCustomActionsBtn')(); },
+  get customActionsFile() { return lazy('customActionsFile')(); },
+  get customActionEditor() { return lazy('customActionEditor')(); },
+  get customActionJson() { return lazy('customActionJson')(); },
+  get saveCustomActionBtn() { return lazy('saveCustomActionBtn')(); },
+  get cancelCustomActionBtn() { return lazy('cancelCustomActionBtn')(); },
+  get customActionErrors() { return lazy('customActionErrors')(); },
+
+  // Tasks
+  get tasksList() { return lazy('tasksList')(); },
+  get addTaskBtn() { return lazy('addTaskBtn')(); },
+  get taskEditor() { return lazy('taskEditor')(); },
+  get taskNameInput() { return lazy('taskNameInput')(); },
+  get taskShortcutSelect() { return lazy('taskShortcutSelect')(); },
+  get taskGoalInput() { return lazy('taskGoalInput')(); },
+  get taskErrors() { return lazy('taskErrors')(); },
+  get saveTaskBtn() { return lazy('saveTaskBtn')(); },
+  get cancelTaskBtn() { return lazy('cancelTaskBtn')(); },
+
+  // Schedules
+  get schedulesList() { return lazy('schedulesList')(); },
+  get addScheduleBtn() { return lazy('addScheduleBtn')(); },
+  get scheduleEditor() { return lazy('scheduleEditor')(); },
+  get scheduleNameInput() { return lazy('scheduleNameInput')(); },
+  get scheduleCronInput() { return lazy('scheduleCronInput')(); },
+  get scheduleCronPreview() { return lazy('scheduleCronPreview')(); },
+  get scheduleGoalInput() { return lazy('scheduleGoalInput')(); },
+  get scheduleUrlInput() { return lazy('scheduleUrlInput')(); },
+  get scheduleErrors() { return lazy('scheduleErrors')(); },
+  get saveScheduleBtn() { return lazy('saveScheduleBtn')(); },
+  get cancelScheduleBtn() { return lazy('cancelScheduleBtn')(); },
+
+  // Workflows
+  get workflowsList() { return lazy('workflowsList')(); },
+  get recordWorkflowBtn() { return lazy('recordWorkflowBtn')(); },
+  get recordingBar() { return lazy('recordingBar')(); },
+  get recordingStepCount() { return lazy('recordingStepCount')(); },
+  get workflowNameInput() { return lazy('workflowNameInput')(); },
+  get saveRecordingBtn() { return lazy('saveRecordingBtn')(); },
+  get discardRecordingBtn() { return lazy('discardRecordingBtn')(); },
+
   // UI settings
   get themeSelector() { return lazy('themeSelector')(); },
   get openPositionSettings() { return lazy('openPositionSettings')(); },
@@ -80,4 +144,6 @@ export const elements = {
   get tplStatsCard() { return lazy('tpl-stats-card')(); },
   get tplStatsSummary() { return lazy('tpl-stats-summary')(); },
   get tplClarificationOption() { return lazy('tpl-clarification-option')(); },
+  get tplInterruptedRun() { return lazy('tpl-interrupted-run')(); },
+  get tplSessionItem() { return lazy('tpl-session-item')(); },
 };
@@ -0,0 +1,50 @@
+/**
+ * Dry run - Plans a task without touching the page
+ * A run started with options.dryRun = { steps: [] } simulates every call of an action that `mutates`
+ * (clicks, form input, navigation, key presses, ...), whether the model calls it as a tool or a step runs it
+ * (custom actions, workflow replay), and records it with the role/name of the elements it targets.
+ * Reads such as READ_PAGE and GET_PAGE_STATE still run for real.
+ * Registered by the service worker ahead of the approval gate, so simulated calls are never prompted.
+ */
+import { actionsRegistry } from './actions/index.js';
+import { describeElement } from './content-bridge.js';
+import { describeToolCall } from './risk-policy.js';
+
+const SIMULATED = {
+  success: true,
+  dry_run: true,
+  note: 'Dry run: this action was recorded but not performed, so the page is unchanged. Continue planning as if it succeeded; do not repeat it.'
+};
+
+const targetRefs = args => [
+  args.ref,
+  ...(Array.isArray(args.form_fields) ? args.form_fields.map(f => f?.ref) : []),
+  args.submit ? args.submit_ref : null
+].filter(ref => typeof ref === 'string');
+
+export const dryRunMiddleware = {
+  async beforeToolCall({ tool, args, options }) {
+    const plan = options?.dryRun;
+    if (!plan || !args || !actionsRegistry[tool]?.mutates) return;
+
+    // Refs are still valid because nothing ran; unknown targets are listed by ref alone
+    const elements = args.tabId
+      ? (await Promise.all(targetRefs(args).map(ref =>
+        describeElement(args.tabId, ref, { signal: options.signal }).then(d => (d?.found ? d : null), () => null)
+      ))).filter(Boolean)
+      : [];
+    plan.steps.push({ tool, args, elements });
+    return { result: { ...SIMULATED } };
+  }
+};
+
+/**
+ * Markdown list of the simulated steps, appended to the final answer of a dry run
+ * @param {Array<{tool: string, args: object, elements: object[]}>} steps
+ * @returns {string}
+ */
+export function formatDryRunPlan(steps) {
+  if (!steps.length) return '**Dry run:** no page-changing actions were needed.';
+  const lines = steps.map((step, i) => `${i + 1}. ${describeToolCall(step)}`);
+  return `**Dry run:** nothing on the page was changed. Intended actions:\n\n${lines.join('\n')}`;
+}
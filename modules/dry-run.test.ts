@@ -0,0 +1,81 @@
+/**
+ * Dry-run tests - Run: npx tsx modules/dry-run.test.ts
+ */
+import { dryRunMiddleware, formatDryRunPlan } from './dry-run.js';
+import { executeAction } from './executor.js';
+import { registerMiddleware, suspendMiddleware } from './middleware.js';
+import { setBridgeInterceptor } from './content-bridge.js';
+import { tracingMiddleware, statsMiddleware } from './debug/middleware.js';
+import { REPLAY_WORKFLOW_STEP } from './actions/workflow-actions.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+type Step = { tool: string; args: Record<string, unknown>; elements: Array<{ ref: string; role?: string; name?: string }> };
+const call = (tool: string, args: Record<string, unknown>, dryRun: { steps: Step[] } | null) =>
+  dryRunMiddleware.beforeToolCall({ tool, args, options: { dryRun } });
+
+// Mutating calls are simulated and recorded; reads and normal runs pass through
+{
+  const plan = { steps: [] as Step[] };
+  const decision = await call('OPEN_URL_IN_NEW_TAB', { url: 'https://example.com' }, plan);
+  assert(decision?.result?.dry_run === true && decision.result.success === true, 'mutating call gets a simulated success');
+  assert(plan.steps.length === 1 && plan.steps[0].tool === 'OPEN_URL_IN_NEW_TAB', 'simulated call recorded');
+  assert(await call('READ_PAGE', { tabId: 't1' }, plan) === undefined, 'READ_PAGE runs for real');
+  assert(await call('GET_PAGE_STATE', { tabId: 't1' }, plan) === undefined, 'GET_PAGE_STATE runs for real');
+  assert(await call('OPEN_URL_IN_NEW_TAB', { url: 'https://example.com' }, null) === undefined, 'no plan, no simulation');
+  assert(plan.steps.length === 1, 'pass-through calls are not recorded');
+}
+
+// The plan lists each intended step with its refs and element names
+{
+  const text = formatDryRunPlan([
+    { tool: 'CLICK_ELEMENT', args: { tabId: 't1', ref: 'e4' }, elements: [{ ref: 'e4', role: 'button', name: 'Delete user' }] },
+    { tool: 'HANDLE_DIALOG', args: { tabId: 't1', accept: true }, elements: [] }
+  ]);
+  assert(text.includes('1. Click button "Delete user" (e4)\n2. Accept the next dialog'), `numbered steps: got ${text}`);
+  assert(formatDryRunPlan([]).includes('no page-changing actions'), 'empty plan is stated');
+}
+
+// A dry-run workflow replay reads the page to find its targets but makes no page-changing calls
+{
+  const PAGE = '[e1] main\n  [e2] textbox "Email"\n  [e3] button "Send"';
+  const bridgeCalls: string[] = [];
+  const runId = 'dry-run-replay';
+  const restoreBridge = setBridgeInterceptor(runId, async ({ method }: { method: string }) => {
+    bridgeCalls.push(method);
+    return method === 'extractA11yTree' ? { success: true, content: PAGE } : { success: true };
+  });
+  const resumeMiddleware = suspendMiddleware(tracingMiddleware, statsMiddleware);
+  const off = registerMiddleware(dryRunMiddleware);
+  const plan = { steps: [] as Step[] };
+  const recorded = [
+    { type: 'fill', target: { role: 'textbox', name: 'Email' }, value: 'me@example.com' },
+    { type: 'click', target: { role: 'button', name: 'Send' } },
+    { type: 'navigate', url: 'https://example.com/sent' }
+  ];
+  const vias: unknown[] = [];
+  for (const [index, step] of recorded.entries()) {
+    const output = await executeAction(REPLAY_WORKFLOW_STEP, { tabId: 't1', step, index }, null, undefined, { runId, dryRun: plan });
+    vias.push(output.result.via);
+  }
+  off();
+  resumeMiddleware();
+  restoreBridge();
+  assert(bridgeCalls.every(method => method === 'extractA11yTree'), `only page reads: got ${bridgeCalls.join(', ')}`);
+  assert(vias.join() === 'FILL_FORM,CLICK_ELEMENT,CHANGE_TAB_URL', `steps replayed through the browser actions: got ${vias.join()}`);
+  assert(plan.steps.map(s => s.tool).join() === 'FILL_FORM,CLICK_ELEMENT,CHANGE_TAB_URL', `every step in the plan: got ${plan.steps.map(s => s.tool).join()}`);
+  assert(plan.steps[1]?.args.ref === 'e3', 'targets resolved from the page');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All dry-run tests passed');
+}
@@ -1,22 +1,29 @@
 /**
  * Action executor - Params in, result out
- * Uses tracer singleton for tracing and persistence
+ * Tracing and stats are middleware (debug/middleware.js) on the registry in middleware.js
  */
 // @ts-ignore - mustache module format differs from types
 import Mustache from 'mustache';
-import { generate } from './llm/index.js';
+import { generate, partialJSONString, withImages, withoutImageData, IMAGE_PLACEHOLDER } from './llm/index.js';
 import { actionsRegistry } from './actions/index.js';
-import { tracer, getTraceById } from './debug/trace-collector.js';
-import { getActionStatsCounter } from './debug/time-bucket-counter.js';
+import { getTraceById } from './debug/trace-collector.js';
+import { tracingMiddleware, statsMiddleware } from './debug/middleware.js';
+import { registerMiddleware, runHooks, runBeforeToolCall, runAfterToolCall, runAroundLLM } from './middleware.js';
 import { resolveContextForTemplate } from './actions/context-provider.js';
+import { validateSchema } from './validate-schema.js';
+
+registerMiddleware(tracingMiddleware);
+registerMiddleware(statsMiddleware);
 
 /**
  * Render Mustache template with fresh context
  * Fetches context variables (browser_state, user_preferences, etc.) at render time
+ * @param {object} [config] - Mustache render config, e.g. { escape } for text that is not HTML
+ * @param {object} [scope] - Run settings for the context fetchers ({ windowId, sessionId, runId })
  */
-async function renderWithContext(template, baseContext) {
-  const freshContext = await resolveContextForTemplate(template);
-  return Mustache.render(template, { ...baseContext, ...freshContext });
+export async function renderWithContext(template, baseContext, config, scope) {
+  const freshContext = await resolveContextForTemplate(template, scope);
+  return Mustache.render(template, { ...baseContext, ...freshContext }, undefined, config);
 }
 
 /**
@@ -67,31 +74,35 @@ function buildExamplesSection(availableActions) {
   ).join('\n');
 }
 
-const TIMEOUT_MS = 20000;
+// Function steps without a timeout_ms; LLM requests default to the API layer's timeout
+const DEFAULT_STEP_TIMEOUT_MS = 20000;
+const DEFAULT_BACKOFF = { type: 'exponential', delay_ms: 1000, max_delay_ms: 30000 };
 
-const TYPE_CHECKS = {
-  string: v => typeof v === 'string',
-  number: v => typeof v === 'number',
-  boolean: v => typeof v === 'boolean',
-  array: v => Array.isArray(v),
-  object: v => typeof v === 'object' && !Array.isArray(v)
-};
+/**
+ * Resolve a step's timeout/retry policy; fields set on the step override the action's defaults
+ */
+function resolvePolicy(action, step) {
+  return {
+    timeout_ms: step.timeout_ms ?? action.timeout_ms,
+    retries: step.retries ?? action.retries ?? 0,
+    backoff: { ...DEFAULT_BACKOFF, ...action.backoff, ...step.backoff },
+  };
+}
 
-function validateParams(params, schema) {
-  const errors = [];
-  for (const field of schema.required || []) {
-    if (!(field in params) || params[field] === undefined) errors.push(`Missing required field: ${field}`);
-  }
-  for (const [key, prop] of Object.entries(schema.properties || {})) {
-    if (key in params && params[key] !== undefined && TYPE_CHECKS[prop.type] && !TYPE_CHECKS[prop.type](params[key])) {
-      errors.push(`Field ${key} must be a ${prop.type}`);
-    }
-  }
-  return { valid: !errors.length, errors };
+/**
+ * Validate and coerce action params against input_schema
+ * additionalProperties is only enforced for LLM tool calls; pipeline steps pass their whole context through
+ */
+function validateParams(params, schema, fromToolCall) {
+  return validateSchema(params, schema, { coerce: true, checkAdditional: fromToolCall });
 }
 
-// Fire-and-forget post-steps runner
-async function runPostSteps(postSteps, actionUUID) {
+// Fire-and-forget post-steps runner; they spend from the root run's budget
+async function runPostSteps(postSteps, actionUUID, budget) {
+  if (budget?.exceeded()) {
+    console.warn(`Post-steps skipped: budget exhausted (${budget.summary()})`);
+    return;
+  }
   try {
     const traceData = await getTraceById(actionUUID);
     if (!traceData?.trace) return;
@@ -102,7 +113,7 @@ async function runPostSteps(postSteps, actionUUID) {
       if (step.type === 'action') {
         const postStepUUID = `${actionUUID}_post_${crypto.randomUUID()}`;
         try {
-          await executeAction(actionsRegistry[step.action], context, null, postStepUUID);
+          await executeAction(actionsRegistry[step.action], context, null, postStepUUID, { budget });
         } catch (e) {
           console.error(`Post-step ${step.action} failed:`, e.message);
         }
@@ -119,72 +130,76 @@ async function runPostSteps(postSteps, actionUUID) {
  * @param {object} params - Input parameters
  * @param {array} parent_messages - Conversation history for multi-turn
  * @param {string} traceUUID - Composite trace ID from parent (format: parentUUID_stepIndex_uuid), or null for root
+ * @param {object} options - Run options shared with child actions
+ * @param {AbortSignal} [options.signal] - Cancels the run; remaining steps and tool calls are not executed
+ * @param {function} [options.onProgress] - Receives live progress events (run, step, tool_call, navigation, model_fallback, partial_answer)
+ * @param {function} [options.onCheckpoint] - Receives a serializable action stack snapshot after each step start and tool result
+ * @param {array} [options.resume] - Checkpointed action stack (root first) to continue from instead of starting over
+ * @param {boolean} [options.fromToolCall] - Params are LLM tool call arguments (set by executeLLMStep, not inherited)
+ * @param {object} [options.budget] - Spend tracker of the root run (see llm/budget.js); tool loops wrap up once a cap is hit,
+ *   other LLM calls and step-run actions fail
+ * @param {boolean} [options.budgetWrapUp] - Run under a stop action (set by executeLLMStep): it still runs once the budget is exhausted
+ * @param {boolean} [options.streamAnswer] - Run under the root's stop action (set by executeLLMStep): its `stream` steps emit partial_answer
+ *   events like the root's own; those of nested actions are internal and do not
+ * @param {number} [options.windowId] - Window whose tabs {{browser_state}} describes (default: the focused window)
+ * @param {string} [options.sessionId] - Chat session {{chat_session}} reads (see sessions.js)
+ * @param {{steps: object[]}} [options.dryRun] - Plan of a dry run (see dry-run.js): page-changing actions are simulated and recorded in it
+ * @param {string} [options.runId] - Identifies the run to the content bridge (default: the root's trace ID); set by the root, inherited by children
  */
-export async function executeAction(action, params, parent_messages = null, traceUUID = null) {
-  // Collect all trace write promises for this action
+export async function executeAction(action, params, parent_messages = null, traceUUID = null, options = {}) {
+  const { signal } = options;
+  // This level's resume state; the remaining frames belong to the child in flight at checkpoint time
+  let resumeFrame = options.resume?.[0] || null;
+  // Collect all trace write promises for this action (middleware adds them via track)
   const traceWritePromises = [];
-
-  // Start action trace (traceUUID is composite ID from parent, or null for root)
-  const { uuid: actionUUID, startTime, writePromise: startWritePromise } = tracer.startAction(traceUUID, action.name, params);
-  traceWritePromises.push(startWritePromise);
+  const track = promise => { traceWritePromises.push(promise); };
+
+  // traceUUID is composite ID from parent, or null for root
+  const actionUUID = traceUUID || crypto.randomUUID();
+  const runId = options.runId ?? actionUUID;
+  const startTime = performance.now();
+  // Callers learn the trace ID of a root run up front, so runs that fail can still link to their trace
+  if (!traceUUID) emitProgress(options, { type: 'run', traceId: actionUUID });
+  const actionEvent = { action, params, actionUUID, runId, isRoot: !traceUUID, options, track };
+  await runHooks('beforeAction', actionEvent);
+  const finishAction = async (output, error = null) => {
+    Object.assign(actionEvent, { output, error, duration: performance.now() - startTime });
+    await runHooks('afterAction', actionEvent);
+    return actionEvent.duration;
+  };
 
   if (action.input_schema) {
-    const { valid, errors } = validateParams(params, action.input_schema);
+    const { valid, errors, value } = validateParams(params, action.input_schema, !!options.fromToolCall);
     if (!valid) {
-      const error = new Error(`Validation failed for ${action.name}: ${errors.join(', ')}`);
+      const error = new Error(`Validation failed for ${action.name}: ${errors.join('; ')}`);
       Object.assign(error, { isValidationError: true, validationErrors: errors });
-      const { writePromise } = tracer.endAction(actionUUID, startTime, null, error);
-      traceWritePromises.push(writePromise);
+      await finishAction(null, error);
       throw error;
     }
+    params = value;
   }
 
-  let context = { ...params, parent_messages };
-  let lastStepOutput = {};
+  const frame = { action: action.name, params, stepIndex: 0, context: null, lastStepOutput: null, llm: null };
+  const runOptions = { ...options, runId, stack: [...(options.stack || []), frame], resume: null, fromToolCall: false };
+
+  let context = resumeFrame ? resumeFrame.context : { ...params, parent_messages };
+  let lastStepOutput = resumeFrame?.lastStepOutput || {};
 
-  for (let i = 0; i < action.steps.length; i++) {
+  for (let i = resumeFrame?.stepIndex ?? 0; i < action.steps.length; i++) {
     const step = action.steps[i];
-    const { startTime: stepStartTime, writePromise: stepStartWritePromise } = tracer.startStep(actionUUID, i, step.type, {
-      handler: step.handler?.name,
-      action: step.action,
-    }, context);
-    traceWritePromises.push(stepStartWritePromise);
+    const resume = resumeFrame ? options.resume : null;
+    resumeFrame = null;
+    Object.assign(frame, { stepIndex: i, context, lastStepOutput, llm: null });
+    emitCheckpoint(runOptions);
+    const scope = { action, actionUUID, traceWritePromises, runOptions, resume };
 
     try {
-      let stepOutput;
-
-      switch (step.type) {
-        case 'function': {
-          stepOutput = await withTimeout(step.handler(context), TIMEOUT_MS);
-          break;
-        }
-        case 'llm': {
-          stepOutput = await executeLLMStep(step, context, actionUUID, i, action.name, traceWritePromises);
-          break;
-        }
-        case 'action': {
-          // Check condition if defined
-          if (step.condition && !step.condition(context)) {
-            traceWritePromises.push(tracer.endStep(actionUUID, i, stepStartTime, { skipped: true }));
-            continue;
-          }
-          const childUUID = `${actionUUID}_${i}_${crypto.randomUUID()}`;
-          stepOutput = await executeAction(
-            actionsRegistry[step.action],
-            context,
-            context.parent_messages,
-            childUUID
-          );
-          // Collect child's trace write promises
-          if (stepOutput._traceWrites) {
-            traceWritePromises.push(...stepOutput._traceWrites);
-            delete stepOutput._traceWrites;
-          }
-          break;
-        }
-        default:
-          throw new Error(`Unknown step type: ${step.type}`);
-      }
+      const stepOutput = await runStepWithHooks(scope, i, step.type, { handler: step.handler?.name, action: step.action }, context, () => {
+        emitProgress(options, { type: 'step', action: action.name, step: i + 1, stepType: step.type });
+        if (resume) warn(traceWritePromises, action.name, actionUUID, i, 'Resumed from checkpoint', { step: i + 1 });
+        signal?.throwIfAborted();
+        return executeStep(step, i, context, scope);
+      });
 
       if (stepOutput.result) {
         lastStepOutput = stepOutput.result;
@@ -192,13 +207,10 @@ export async function executeAction(action, params, parent_messages = null, trac
       }
       if (stepOutput.parent_messages) context.parent_messages = stepOutput.parent_messages;
 
-      traceWritePromises.push(tracer.endStep(actionUUID, i, stepStartTime, stepOutput));
-
     } catch (error) {
-      traceWritePromises.push(tracer.endStep(actionUUID, i, stepStartTime, null, error));
-      const { writePromise } = tracer.endAction(actionUUID, startTime, null, error);
-      traceWritePromises.push(writePromise);
-      getActionStatsCounter().increment(action.name, 'errors').catch(() => {});
+      await finishAction(null, error);
+      // Cancellation propagates unchanged so every level sees the AbortError
+      if (isAbortError(error)) throw error;
       throw new Error(`Step ${i + 1} failed: ${error.message}`);
     }
   }
@@ -208,11 +220,7 @@ export async function executeAction(action, params, parent_messages = null, trac
     ...(context.parent_messages && { parent_messages: context.parent_messages })
   };
 
-  const { duration, writePromise: endWritePromise } = tracer.endAction(actionUUID, startTime, result);
-  traceWritePromises.push(endWritePromise);
-
-  // Track action stats (fire-and-forget)
-  getActionStatsCounter().increment(action.name, 'executions').catch(() => {});
+  const duration = await finishAction(result);
 
   // Root action: run post_steps if defined
   if (!traceUUID) {
@@ -220,7 +228,7 @@ export async function executeAction(action, params, parent_messages = null, trac
       // Wait for all trace writes to complete before running post_steps
       await Promise.all(traceWritePromises);
       // Fire-and-forget post_steps
-      runPostSteps(action.post_steps, actionUUID);
+      runPostSteps(action.post_steps, actionUUID, options.budget);
     }
     return { ...result, _traceUUID: actionUUID, _duration: duration };
   }
@@ -229,8 +237,187 @@ export async function executeAction(action, params, parent_messages = null, trac
   return { ...result, _traceWrites: traceWritePromises };
 }
 
-async function executeLLMStep(step, context, actionUUID, stepIndex, actionName, traceWritePromises) {
+/**
+ * Execute one step of an action
+ * @param {number|string} stepKey - Step index, or a dotted path for steps nested in branch/map/loop (e.g. "2.0.1")
+ * @param {object} scope - { action, actionUUID, traceWritePromises, runOptions, resume }; resume is only set for top-level steps
+ */
+async function executeStep(step, stepKey, context, scope) {
+  const { action, actionUUID, traceWritePromises, runOptions, resume } = scope;
+  const { signal } = runOptions;
+  const policy = resolvePolicy(action, step);
+
+  switch (step.type) {
+    case 'function':
+      return withRetry(
+        () => withTimeout(attemptSignal => step.handler({ ...context, signal: attemptSignal, runId: runOptions.runId }), policy.timeout_ms ?? DEFAULT_STEP_TIMEOUT_MS, signal),
+        policy, { signal, onAttempt: attemptTracer(policy, action.name, actionUUID, stepKey, traceWritePromises) }
+      );
+    case 'llm':
+      return executeLLMStep(step, context, actionUUID, stepKey, action.name, traceWritePromises, { ...runOptions, resume }, policy);
+    case 'action':
+      if (step.condition && !step.condition(context)) return { skipped: true };
+      return runChildAction(actionsRegistry[step.action], context, stepKey, scope, policy, resume?.slice(1));
+    case 'branch': {
+      const match = step.cases.find(c => c.when(context));
+      const steps = match ? match.steps : step.otherwise;
+      if (!steps?.length) return { skipped: true };
+      return runSubSteps(steps, stepKey, context, scope);
+    }
+    case 'map':
+      return executeMapStep(step, stepKey, context, scope, policy);
+    case 'loop':
+      return executeLoopStep(step, stepKey, context, scope);
+    default:
+      throw new Error(`Unknown step type: ${step.type}`);
+  }
+}
+
+// Arguments of a call as the action declares them (a step hands over its whole context)
+function declaredArgs(action, params) {
+  const properties = action.input_schema?.properties;
+  if (!properties) return params;
+  return Object.fromEntries(Object.entries(params).filter(([key]) => key in properties));
+}
+
+/**
+ * Put a page-changing action run by a step (custom actions, workflow replay, command actions) through the
+ * beforeToolCall middleware, so approval and dry run see it like a tool call; the event's call is null
+ * @returns {Promise<{params: object}|{output: object}>} params to run with, or the output that replaces the run
+ */
+async function gateChildAction(action, params, stepKey, scope) {
+  const { actionUUID, traceWritePromises, runOptions } = scope;
+  const event = {
+    actionName: scope.action.name, actionUUID, stepKey, call: null, tool: action.name, args: declaredArgs(action, params),
+    options: runOptions, track: promise => { traceWritePromises.push(promise); }
+  };
+  const decision = await runBeforeToolCall(event);
+  if (decision?.veto) throw new Error(`${action.name} blocked: ${decision.veto}`);
+  if (decision?.result) return { output: { result: decision.result } };
+  return { params: { ...params, ...event.args } };
+}
+
+// Run a child action under the step's policy; each attempt is a fresh child trace and only the first continues from a checkpoint
+// A resumed child already passed the gate before the restart
+async function runChildAction(action, params, stepKey, scope, policy, resume = null) {
+  const { actionUUID, traceWritePromises, runOptions } = scope;
+  const { signal } = runOptions;
+  if (!runOptions.budgetWrapUp) runOptions.budget?.assertWithin();
+  if (action.mutates && !resume?.length) {
+    const gate = await gateChildAction(action, params, stepKey, scope);
+    if (gate.output) return gate.output;
+    params = gate.params;
+  }
+  const output = await withRetry(
+    attempt => withTimeout(attemptSignal => executeAction(
+      action,
+      params,
+      params.parent_messages,
+      `${actionUUID}_${stepKey}_${crypto.randomUUID()}`,
+      { ...runOptions, signal: attemptSignal, resume: attempt === 1 ? resume : null }
+    ), policy.timeout_ms, signal),
+    policy, { signal, onAttempt: attemptTracer(policy, scope.action.name, actionUUID, stepKey, traceWritePromises) }
+  );
+  // Collect child's trace write promises
+  if (output._traceWrites) {
+    traceWritePromises.push(...output._traceWrites);
+    delete output._traceWrites;
+  }
+  return output;
+}
+
+// Run a step between the beforeStep/afterStep hooks (top-level and nested steps alike)
+async function runStepWithHooks(scope, stepKey, stepType, stepInfo, context, run) {
+  const { action, actionUUID, traceWritePromises } = scope;
+  const track = promise => { traceWritePromises.push(promise); };
+  const stepEvent = { action, actionUUID, stepKey, stepType, stepInfo, context, track };
+  await runHooks('beforeStep', stepEvent);
+  try {
+    stepEvent.output = await run();
+  } catch (error) {
+    stepEvent.error = error;
+    await runHooks('afterStep', stepEvent);
+    throw error;
+  }
+  await runHooks('afterStep', stepEvent);
+  return stepEvent.output;
+}
+
+/**
+ * Run nested steps in order; results merge into the context exactly like top-level steps
+ * Returns the merged results of all sub-steps so the parent step can merge them in turn
+ * Checkpoints stay at top-level granularity: a resumed run restarts the whole control flow step
+ */
+async function runSubSteps(steps, parentKey, context, scope) {
+  const merged = {};
+  let parent_messages;
+  for (const [j, step] of steps.entries()) {
+    scope.runOptions.signal?.throwIfAborted();
+    const key = `${parentKey}.${j}`;
+    const output = await runStepWithHooks(scope, key, step.type, { handler: step.handler?.name, action: step.action }, context,
+      () => executeStep(step, key, context, { ...scope, resume: null }));
+    if (output.result) Object.assign(merged, output.result);
+    if (output.parent_messages) parent_messages = output.parent_messages;
+    context = { ...context, ...output.result, ...(parent_messages && { parent_messages }) };
+  }
+  return { result: merged, ...(parent_messages && { parent_messages }) };
+}
+
+// Run an action once per item with at most `concurrency` items in flight; results keep item order
+async function executeMapStep(step, stepKey, context, scope, policy) {
+  const items = step.items(context) || [];
+  const action = actionsRegistry[step.action];
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      scope.runOptions.signal?.throwIfAborted();
+      const item = items[index];
+      const params = step.params ? step.params(item, index, context) : { ...context, item, index };
+      const key = `${stepKey}.${index}`;
+      try {
+        const output = await runStepWithHooks(scope, key, 'action', { action: step.action, label: `Item ${index + 1}` }, params,
+          () => runChildAction(action, params, key, scope, policy));
+        results[index] = output.result;
+      } catch (error) {
+        // Stop handing out items; items already in flight finish on their own
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  // Items in flight settle before the step fails, so none of them still acts on the page after the error is reported
+  const settled = await Promise.allSettled(Array.from({ length: Math.min(step.concurrency || 1, items.length) }, worker));
+  const rejected = settled.find(outcome => outcome.status === 'rejected');
+  if (rejected) throw rejected.reason;
+  return { result: { [step.output_key]: results } };
+}
+
+// Repeat sub-steps until the predicate holds (checked after each iteration) or max_iterations is reached
+async function executeLoopStep(step, stepKey, context, scope) {
+  const merged = {};
+  let parent_messages;
+  for (let k = 0; k < step.max_iterations; k++) {
+    const key = `${stepKey}.${k}`;
+    const output = await runStepWithHooks(scope, key, 'iteration', { label: `Iteration ${k + 1}` }, context,
+      () => runSubSteps(step.steps, key, context, scope));
+    Object.assign(merged, output.result);
+    if (output.parent_messages) parent_messages = output.parent_messages;
+    context = { ...context, ...output.result, ...(parent_messages && { parent_messages }) };
+    if (step.until(context)) return { result: merged, ...(parent_messages && { parent_messages }) };
+  }
+  warn(scope.traceWritePromises, scope.action.name, scope.actionUUID, stepKey, 'Loop max iterations reached', { max_iterations: step.max_iterations });
+  countStat(scope.action.name, 'loopMaxIterationsReached');
+  return { result: merged, ...(parent_messages && { parent_messages }) };
+}
+
+async function executeLLMStep(step, context, actionUUID, stepIndex, actionName, traceWritePromises, options, policy) {
   const { intelligence, output_schema, tool_choice, skip_if } = step;
+  const { signal } = options;
   // Add stop_action to context if tool_choice is defined (used in message templates)
   if (tool_choice?.stop_action) {
     context = { ...context, stop_action: tool_choice.stop_action };
@@ -238,7 +425,7 @@ async function executeLLMStep(step, context, actionUUID, stepIndex, actionName,
 
   if (skip_if) {
     const skipped = skip_if(context);
-    getActionStatsCounter().increment(`${actionName}:step${stepIndex}`, skipped ? 'skipped' : 'notSkipped').catch(() => {});
+    countStat(`${actionName}:step${stepIndex}`, skipped ? 'skipped' : 'notSkipped');
     if (skipped) return { skipped: true };
   }
 
@@ -250,18 +437,24 @@ async function executeLLMStep(step, context, actionUUID, stepIndex, actionName,
     ? buildExamplesSection(tool_choice.available_actions)
     : '';
   const templateContext = { ...context, tools_section: toolsSection, examples_section: examplesSection };
-  const sysPrompt = await renderWithContext(step.system_prompt, templateContext);
-  const userMsg = await renderWithContext(step.message, templateContext);
+  const scope = { windowId: options.windowId, sessionId: options.sessionId, runId: options.runId };
+  const sysPrompt = await renderWithContext(step.system_prompt, templateContext, undefined, scope);
+  const userMsg = await renderWithContext(step.message, templateContext, undefined, scope);
 
-  const tracedGenerate = createTracedGenerate(generate, actionUUID, stepIndex, traceWritePromises);
+  const onAttempt = attemptTracer(policy, actionName, actionUUID, stepIndex, traceWritePromises);
+  const streams = step.stream && options.onProgress && (options.stack.length === 1 || options.streamAnswer);
+  const onDelta = streams ? streamField(step.stream, options) : undefined;
+  const tracedGenerate = createTracedGenerate(generate, actionUUID, stepIndex, traceWritePromises, options, { actionName, policy, onAttempt, onDelta });
 
   // Single-turn: no tool_choice
   if (!tool_choice) {
-    const response = await tracedGenerate({
-      messages: [{ role: 'system', content: sysPrompt }, { role: 'user', content: userMsg }],
-      intelligence, schema: output_schema
-    });
-    return { result: response.result };
+    const images = step.images ? [].concat(context[step.images] || []) : [];
+    // Checkpoints keep no image data: a run resumed at this step has to take its images again
+    if (images.includes(IMAGE_PLACEHOLDER)) throw new Error(`${step.images} is not kept across a restart; run ${actionName} again`);
+    const content = step.images ? withImages(userMsg, images) : userMsg;
+    const messages = [{ role: 'system', content: sysPrompt }, { role: 'user', content }];
+    const result = await generateValidated(tracedGenerate, { messages, intelligence, schema: output_schema }, actionUUID, stepIndex, actionName, traceWritePromises);
+    return { result };
   }
 
   // Multi-turn with tools
@@ -270,112 +463,252 @@ async function executeLLMStep(step, context, actionUUID, stepIndex, actionName,
   let conversation = [{ role: 'system', content: sysPrompt }, { role: 'user', content: userMsg }];
   const addToolResult = (id, content) => conversation.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(content) });
 
-  for (let turn = 0; turn < max_iterations; turn++) {
-    const response = await tracedGenerate({ messages: conversation, intelligence, tools }, turn, max_iterations);
-    const message = response.result;
-
-    if (!message.tool_calls?.length) {
-      traceWritePromises.push(tracer.traceWarning(actionUUID, stepIndex, 'LLM returned text instead of tool call', { content: message.content }));
-      getActionStatsCounter().increment(actionName, 'errors').catch(() => {});
-      getActionStatsCounter().increment(actionName, 'textInsteadOfTool').catch(() => {});
-      conversation.push({ role: 'assistant', content: message.content });
-      conversation.push({ role: 'user', content: 'Please call one of the available tools to proceed. Use FINAL_RESPONSE if complete or if data is gathered and needs formatting or extraction.' });
-      continue;
+  // Checkpointed loop state lives on the enclosing action's frame
+  const frame = options.stack.at(-1);
+  const [resumeFrame, ...resumeChildren] = options.resume || [];
+  let childResume = resumeChildren.length ? resumeChildren : null;
+  let startTurn = 0;
+  let pendingCalls = null;
+  if (resumeFrame?.llm) {
+    ({ conversation, turn: startTurn, pendingCalls } = resumeFrame.llm);
+  }
+  const checkpointLoop = (turn, remainingCalls) => {
+    frame.llm = { conversation, turn, pendingCalls: remainingCalls };
+    emitCheckpoint(options);
+  };
+
+  const track = promise => { traceWritePromises.push(promise); };
+
+  // Run one tool call between the tool call hooks; failures become error results for the model, only cancellation throws
+  const runToolCall = async (call, childOptions) => {
+    const toolEvent = { actionName, actionUUID, stepKey: stepIndex, call, tool: call.function.name, args: null, options, track };
+    toolEvent.outcome = await executeToolCall(toolEvent, childOptions);
+    return runAfterToolCall(toolEvent);
+  };
+
+  const executeToolCall = async (toolEvent, childOptions) => {
+    const { call, tool: toolName } = toolEvent;
+
+    try { toolEvent.args = JSON.parse(call.function.arguments); }
+    catch {
+      emitProgress(options, { type: 'tool_call', action: actionName, tool: toolName, args: call.function.arguments });
+      return { failed: true, errorType: 'invalid_json', content: { error: 'Invalid JSON in arguments' } };
     }
 
-    conversation.push({ role: 'assistant', content: null, tool_calls: message.tool_calls });
+    const action = actionsRegistry[toolName];
+    if (!action) {
+      emitProgress(options, { type: 'tool_call', action: actionName, tool: toolName, args: toolEvent.args });
+      return { failed: true, errorType: 'unknown_action', content: { error: `Unknown action: ${toolName}` } };
+    }
 
-    for (const call of message.tool_calls) {
-      const toolName = call.function.name;
-      // Track which tool was chosen by this action
-      getActionStatsCounter().increment(actionName, `choice:${toolName}`).catch(() => {});
+    const decision = await runBeforeToolCall(toolEvent);
+    const args = toolEvent.args;
+    emitProgress(options, { type: 'tool_call', action: actionName, tool: toolName, args });
+    if (decision?.veto) {
+      return { failed: true, errorType: 'vetoed', content: { error: `Tool call blocked: ${decision.veto}` } };
+    }
+    if (decision?.result) return { content: decision.result };
 
-      let args;
-      try { args = JSON.parse(call.function.arguments); }
-      catch {
-        getActionStatsCounter().increment(actionName, 'errors').catch(() => {});
-        getActionStatsCounter().increment(actionName, 'invalidJsonArgs').catch(() => {});
-        addToolResult(call.id, { error: 'Invalid JSON in arguments' });
-        break;
+    try {
+      const childUUID = `${actionUUID}_${stepIndex}_${crypto.randomUUID()}`;
+      const res = await executeAction(action, args, conversation, childUUID, { ...childOptions, fromToolCall: true });
+      // Collect child's trace write promises
+      if (res._traceWrites) {
+        traceWritePromises.push(...res._traceWrites);
+        delete res._traceWrites;
+      }
+      if (res.result?.navigated || res.result?.created) {
+        emitProgress(options, { type: 'navigation', tool: toolName, url: res.result.new_url || res.result.url });
       }
+      return { content: res.result, parent_messages: res.parent_messages, stop: toolName === stop_action };
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      return { failed: true, errorType: 'failed', content: err.isValidationError ? { error: 'Validation failed', details: err.validationErrors } : { error: err.message } };
+    }
+  };
 
-      const action = actionsRegistry[toolName];
-      if (!action) {
-        getActionStatsCounter().increment(actionName, 'errors').catch(() => {});
-        getActionStatsCounter().increment(actionName, 'unknownAction').catch(() => {});
-        addToolResult(call.id, { error: `Unknown action: ${toolName}` });
-        break;
+  const runStopAction = async (justification) => {
+    signal?.throwIfAborted();
+    const stopUUID = `${actionUUID}_${stepIndex}_${crypto.randomUUID()}`;
+    const stopRes = await executeAction(actionsRegistry[stop_action], { justification }, conversation, stopUUID, { ...options, resume: null, budgetWrapUp: true, streamAnswer: options.stack.length === 1 });
+    // Collect stop action's trace write promises
+    if (stopRes._traceWrites) {
+      traceWritePromises.push(...stopRes._traceWrites);
+    }
+    return { result: stopRes.result };
+  };
+
+  for (let turn = startTurn; turn < max_iterations; turn++) {
+    let toolCalls = pendingCalls;
+    pendingCalls = null;
+
+    // Over budget: no further tool turns, only the stop action's wrap-up
+    const exceeded = !toolCalls && options.budget?.exceeded();
+    if (exceeded) {
+      const { spent, limits } = options.budget;
+      warn(traceWritePromises, actionName, actionUUID, stepIndex, `Budget exhausted (${exceeded})`, { spent, limits });
+      countStat(actionName, 'budgetExceeded');
+      countStat(actionName, 'iterations', turn);
+      return runStopAction(`Budget exhausted after ${options.budget.summary()}. Report what was done and found so far.`);
+    }
+
+    if (!toolCalls) {
+      const response = await tracedGenerate({ messages: conversation, intelligence, tools }, turn, max_iterations);
+      const message = response.result;
+
+      if (!message.tool_calls?.length) {
+        warn(traceWritePromises, actionName, actionUUID, stepIndex, 'LLM returned text instead of tool call', { content: message.content });
+        countStat(actionName, 'errors');
+        countStat(actionName, 'textInsteadOfTool');
+        conversation.push({ role: 'assistant', content: message.content });
+        conversation.push({ role: 'user', content: 'Please call one of the available tools to proceed. Use FINAL_RESPONSE if complete or if data is gathered and needs formatting or extraction.' });
+        continue;
       }
 
-      try {
-        const childUUID = `${actionUUID}_${stepIndex}_${crypto.randomUUID()}`;
-        const res = await executeAction(action, args, conversation, childUUID);
-        // Collect child's trace write promises
-        if (res._traceWrites) {
-          traceWritePromises.push(...res._traceWrites);
-          delete res._traceWrites;
+      conversation.push({ role: 'assistant', content: null, tool_calls: message.tool_calls });
+      toolCalls = message.tool_calls;
+    }
+
+    for (let callIndex = 0; callIndex < toolCalls.length;) {
+      signal?.throwIfAborted();
+      checkpointLoop(turn, toolCalls.slice(callIndex));
+      const batch = nextToolBatch(toolCalls, callIndex);
+      callIndex += batch.length;
+
+      let outcomes;
+      if (batch.length > 1) {
+        // Concurrent children would overwrite each other's checkpoints; read-only calls are simply re-run on resume
+        outcomes = await Promise.all(batch.map(call => runToolCall(call, { ...options, resume: null, onCheckpoint: null })));
+      } else {
+        // Only the call that was in flight at checkpoint time continues from the child's saved state
+        const resume = childResume;
+        childResume = null;
+        outcomes = [await runToolCall(batch[0], { ...options, resume })];
+      }
+
+      // A rewritten conversation (e.g. READ_PAGE compressing earlier reads) replaces it before any result of the batch is added:
+      // concurrent calls each rewrote the conversation as it stood before the batch
+      const rewritten = outcomes.filter(o => o.parent_messages).at(-1)?.parent_messages;
+      if (rewritten) conversation = rewritten;
+      for (const [j, outcome] of outcomes.entries()) {
+        if (outcome.stop) {
+          countStat(actionName, 'iterations', turn + 1);
+          return { result: outcome.content };
         }
-        if (toolName === stop_action) {
-          getActionStatsCounter().increment(actionName, 'iterations', turn + 1).catch(() => {});
-          return { result: res.result };
+        addToolResult(batch[j].id, outcome.content);
+      }
+
+      if (outcomes.some(o => o.failed)) {
+        // Later calls may depend on the failed one; answer them anyway so every tool_call_id has a result
+        for (const call of toolCalls.slice(callIndex)) {
+          addToolResult(call.id, { error: 'Skipped: an earlier tool call in this turn failed' });
         }
-        if (res.parent_messages) conversation = res.parent_messages;
-        addToolResult(call.id, res.result);
-      } catch (err) {
-        addToolResult(call.id, err.isValidationError ? { error: 'Validation failed', details: err.validationErrors } : { error: err.message });
+        checkpointLoop(turn, []);
         break;
       }
+      checkpointLoop(turn, toolCalls.slice(callIndex));
     }
 
-    const continuationMsg = await renderWithContext(step.continuation_message, { ...context, tools_section: toolsSection, examples_section: examplesSection });
+    const continuationMsg = await renderWithContext(step.continuation_message, { ...context, tools_section: toolsSection, examples_section: examplesSection }, undefined, scope);
     conversation.push({ role: 'user', content: continuationMsg });
   }
 
-  traceWritePromises.push(tracer.traceWarning(actionUUID, stepIndex, 'Max iterations reached', { max_iterations }));
-  getActionStatsCounter().increment(actionName, 'maxIterationsReached').catch(() => {});
-  getActionStatsCounter().increment(actionName, 'iterations', max_iterations).catch(() => {});
-  const stopUUID = `${actionUUID}_${stepIndex}_${crypto.randomUUID()}`;
-  const stopRes = await executeAction(actionsRegistry[stop_action], { justification: 'Max iterations reached' }, conversation, stopUUID);
-  // Collect stop action's trace write promises
-  if (stopRes._traceWrites) {
-    traceWritePromises.push(...stopRes._traceWrites);
+  warn(traceWritePromises, actionName, actionUUID, stepIndex, 'Max iterations reached', { max_iterations });
+  countStat(actionName, 'maxIterationsReached');
+  countStat(actionName, 'iterations', max_iterations);
+  return runStopAction('Max iterations reached');
+}
+
+const MAX_SCHEMA_REPAIRS = 2;       // Repair prompts per model before escalating
+const MAX_SCHEMA_ESCALATIONS = 2;   // Further models tried after the first one keeps failing
+
+/**
+ * Generate structured output and validate it against the schema
+ * On mismatch: send the errors back to the same model, then escalate to the next model in the cascade
+ */
+async function generateValidated(tracedGenerate, { messages, intelligence, schema }, actionUUID, stepIndex, actionName, traceWritePromises) {
+  const exclude = [];
+  let errors = [];
+
+  for (let escalation = 0; escalation <= MAX_SCHEMA_ESCALATIONS; escalation++) {
+    let conversation = messages;
+    for (let repair = 0; repair <= MAX_SCHEMA_REPAIRS; repair++) {
+      const response = await tracedGenerate({ messages: conversation, intelligence, schema, exclude });
+      // Extra keys are harmless to templates; missing or mistyped ones are what break them
+      const validation = validateSchema(response.result, schema, { coerce: true, checkAdditional: false });
+      if (validation.valid) return validation.value;
+
+      errors = validation.errors;
+      const lastAttempt = repair === MAX_SCHEMA_REPAIRS;
+      const next = !lastAttempt ? 'repairing' : escalation < MAX_SCHEMA_ESCALATIONS ? 'escalating' : 'giving up';
+      warn(traceWritePromises, actionName, actionUUID, stepIndex, `Output failed schema validation (${next})`, { model: response.model, errors });
+      countStat(actionName, 'schemaMismatch');
+
+      if (lastAttempt) {
+        exclude.push(response.modelKey);
+        countStat(actionName, 'schemaEscalations');
+        break;
+      }
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: JSON.stringify(response.result) },
+        { role: 'user', content: `Your response does not match the required JSON schema:\n${errors.map(e => `- ${e}`).join('\n')}\nRespond again with the complete corrected JSON object.` }
+      ];
+    }
   }
-  return { result: stopRes.result };
+
+  countStat(actionName, 'schemaFailures');
+  const error = new Error(`Output failed schema validation: ${errors.join('; ')}`);
+  Object.assign(error, { isValidationError: true, validationErrors: errors });
+  throw error;
 }
 
-function createTracedGenerate(generateFn, actionUUID, stepIndex, traceWritePromises) {
-  return async function tracedGenerate(options, turn = null, maxTurns = null) {
-    const startTime = performance.now();
-    let response, error;
+/**
+ * Wrap generate with the aroundLLM middleware chain (which traces the call) and the step's policy
+ * timeout_ms bounds each model request; retries repeat the whole model cascade
+ */
+function createTracedGenerate(generateFn, actionUUID, stepIndex, traceWritePromises, runOptions, { actionName, policy = {}, onAttempt, onDelta } = {}) {
+  const track = promise => { traceWritePromises.push(promise); };
 
+  return async function tracedGenerate(request, turn = null, maxTurns = null) {
     const onModelError = ({ endpoint, model, openrouterProvider, error: errMsg, phase }) => {
       const modelName = openrouterProvider ? `${model}@${openrouterProvider}` : `${endpoint}/${model}`;
-      traceWritePromises.push(tracer.traceWarning(actionUUID, stepIndex, `Model error (${phase}): ${modelName}`, { error: errMsg }));
+      warn(traceWritePromises, actionName, actionUUID, stepIndex, `Model error (${phase}): ${modelName}`, { error: errMsg });
+      emitProgress(runOptions, { type: 'model_fallback', model: modelName, phase, error: errMsg });
     };
 
-    try {
-      response = await generateFn({ ...options, onModelError });
-    } catch (err) {
-      error = err;
-    }
-
-    const duration = performance.now() - startTime;
-    const formatMessage = (m) => {
-      if (m.content) return `[${m.role}]: ${m.content}`;
-      if (m.tool_calls) return `[${m.role}]: ${m.tool_calls.map(tc => `${tc.function.name}(${tc.function.arguments})`).join(', ')}`;
-      return `[${m.role}]: (empty)`;
-    };
-    const promptStr = options.messages
-      ? options.messages.map(formatMessage).join('\n')
-      : options.prompt || '';
-
-    traceWritePromises.push(tracer.traceLLM(actionUUID, stepIndex, response?.model || 'unknown', promptStr, response, duration, turn, maxTurns, error));
-
-    if (error) throw error;
+    if (!runOptions.budgetWrapUp) runOptions.budget?.assertWithin();
+    const llmEvent = { actionName, actionUUID, stepKey: stepIndex, turn, maxTurns, request, track };
+    const response = await runAroundLLM(llmEvent, finalRequest => withRetry(
+      () => generateFn({ ...finalRequest, onModelError, onDelta, signal: runOptions.signal, timeoutMs: policy.timeout_ms }),
+      policy, { signal: runOptions.signal, onAttempt }
+    ));
+    runOptions.budget?.add(response.usage);
     return response;
   };
 }
 
+// Progress events with the text of one string field of a streamed structured output, as it grows
+// Every event carries the whole text so far, so a repair or a fallback model simply starts it over
+function streamField(field, options) {
+  let shown = null;
+  return ({ content }) => {
+    const text = partialJSONString(content || '', field);
+    if (!text || text === shown) return;
+    shown = text;
+    emitProgress(options, { type: 'partial_answer', field, text });
+  };
+}
+
+// Consecutive parallel_safe calls starting at index form one batch; any other call runs alone
+function nextToolBatch(toolCalls, start) {
+  const isParallelSafe = call => !!actionsRegistry[call.function.name]?.parallel_safe;
+  if (!isParallelSafe(toolCalls[start])) return [toolCalls[start]];
+  let end = start + 1;
+  while (end < toolCalls.length && isParallelSafe(toolCalls[end])) end++;
+  return toolCalls.slice(start, end);
+}
+
 function buildTools(availableActions) {
   return availableActions.map(name => {
     const action = actionsRegistry[name];
@@ -397,7 +730,95 @@ export function unwrapFinalAnswer(result) {
   return inner?.final_answer || inner?.result?.final_answer || JSON.stringify(inner);
 }
 
-const withTimeout = (promise, ms) => Promise.race([
-  promise,
-  new Promise((_, reject) => setTimeout(() => reject(new Error(`Timeout ${ms}ms`)), ms))
-]);
+export const isAbortError = error => error?.name === 'AbortError';
+
+// Snapshot the action stack (root first) for resumption; JSON round-trip drops non-serializable values
+function emitCheckpoint(options) {
+  if (!options.onCheckpoint) return;
+  try { options.onCheckpoint(JSON.parse(JSON.stringify(options.stack, withoutImageData))); }
+  catch (e) { console.warn('Checkpoint failed:', e.message); }
+}
+
+// Progress listeners are UI-only; a failing listener must never break the run
+function emitProgress(options, event) {
+  try { options.onProgress?.({ ...event, timestamp: Date.now() }); } catch {}
+}
+
+/**
+ * Run fn(attemptSignal) with a deadline (no deadline when ms is unset)
+ * attemptSignal aborts on timeout too, so bridge calls of a timed-out attempt stop before a retry starts.
+ * A timeout rejects with a plain Error (retryable); run cancellation rejects with the run's AbortError.
+ */
+async function withTimeout(fn, ms, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  let timeoutId;
+
+  try {
+    return await Promise.race([
+      fn(controller.signal),
+      new Promise((_, reject) => {
+        if (ms) {
+          timeoutId = setTimeout(() => controller.abort(new Error(`Timeout ${ms}ms`)), ms);
+        }
+        // Stop waiting on handlers that block (e.g. REQUEST_INPUT) once the run is cancelled or times out
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      })
+    ]);
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Run fn(attempt) up to policy.retries + 1 times, waiting out the backoff between attempts
+ * Cancellation and validation errors are not retried - repeating the same call cannot fix them.
+ */
+async function withRetry(fn, { retries = 0, backoff = DEFAULT_BACKOFF } = {}, { signal, onAttempt } = {}) {
+  const attempts = retries + 1;
+  for (let attempt = 1; ; attempt++) {
+    const startTime = performance.now();
+    try {
+      const result = await fn(attempt);
+      onAttempt?.({ attempt, attempts, duration: performance.now() - startTime });
+      return result;
+    } catch (error) {
+      onAttempt?.({ attempt, attempts, duration: performance.now() - startTime, error });
+      if (attempt >= attempts || isAbortError(error) || error?.isValidationError) throw error;
+      await sleep(backoffDelay(backoff, attempt), signal);
+    }
+  }
+}
+
+function backoffDelay({ type, delay_ms, max_delay_ms }, attempt) {
+  if (type === 'fixed') return delay_ms;
+  return Math.min(delay_ms * 2 ** (attempt - 1), max_delay_ms);
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => { clearTimeout(timeoutId); reject(signal.reason); };
+  const timeoutId = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Attempts are only reported for steps that can retry; a single attempt is already the step itself
+function attemptTracer(policy, actionName, actionUUID, stepIndex, traceWritePromises) {
+  if (!policy.retries) return null;
+  return attempt => notify('afterAttempt', { actionName, actionUUID, stepKey: stepIndex, attempt, track: promise => { traceWritePromises.push(promise); } });
+}
+
+// Warnings, counters and attempts reach tracing and stats through the middleware; like those, they never fail the run
+function notify(hook, event) {
+  runHooks(hook, event).catch(e => console.warn(`${hook} middleware failed:`, e.message));
+}
+
+function warn(traceWritePromises, actionName, actionUUID, stepKey, message, details = null) {
+  notify('onWarning', { actionName, actionUUID, stepKey, message, details, track: promise => { traceWritePromises.push(promise); } });
+}
+
+function countStat(key, stat, amount = 1) {
+  notify('onStat', { key, stat, amount });
+}
@@ -0,0 +1,360 @@
+/**
+ * Executor tests - Run: npx tsx modules/executor.test.ts
+ *
+ * Runs small actions made of stubbed function steps; no LLM or page is involved.
+ * Tracing and stats middleware are suspended, as in offline replay.
+ */
+import { executeAction } from './executor.js';
+import { actionsRegistry } from './actions/index.js';
+import { registerMiddleware, suspendMiddleware } from './middleware.js';
+import { tracingMiddleware, statsMiddleware } from './debug/middleware.js';
+import { dryRunMiddleware } from './dry-run.js';
+import { createBudget } from './llm/budget.js';
+import { setEndpoints, setModels } from './llm/index.js';
+import type { Action, Message, StepContext } from './actions/types/index.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const resumeMiddleware = suspendMiddleware(tracingMiddleware, statsMiddleware);
+
+const run = (action: Action, params: Record<string, unknown> = {}, options: Record<string, unknown> = {}) =>
+  executeAction(action, params, null, undefined, options);
+const NO_PARAMS = { type: 'object' as const, properties: {}, additionalProperties: true };
+const fn = (handler: (ctx: StepContext) => Record<string, unknown> | Promise<Record<string, unknown>>) => ({ type: 'function' as const, handler: async (ctx: StepContext) => ({ result: await handler(ctx) }) });
+
+// A page-changing action the test can observe
+const clicks: string[] = [];
+actionsRegistry.TEST_CLICK = {
+  name: 'TEST_CLICK',
+  description: 'Click an element',
+  mutates: true,
+  input_schema: {
+    type: 'object',
+    properties: { tabId: { type: 'string' }, ref: { type: 'string' } },
+    required: ['tabId', 'ref'],
+    additionalProperties: true
+  },
+  steps: [fn(ctx => { clicks.push(ctx.ref as string); return { clicked: ctx.ref }; })]
+};
+const macro: Action = {
+  name: 'TEST_MACRO',
+  description: 'Runs TEST_CLICK from a step',
+  input_schema: NO_PARAMS,
+  steps: [fn(() => ({ tabId: 't1', ref: 'e4', notes: 'not an argument of TEST_CLICK' })), { type: 'action', action: 'TEST_CLICK' }]
+};
+
+// A mutating action run by a step is simulated in a dry run, with the arguments it declares
+{
+  clicks.length = 0;
+  const plan = { steps: [] as Array<{ tool: string; args: Record<string, unknown> }> };
+  const off = registerMiddleware(dryRunMiddleware);
+  const output = await run(macro, {}, { dryRun: plan });
+  off();
+  assert(clicks.length === 0, 'nested click not performed');
+  assert(output.result.dry_run === true, `step output is the simulated result: got ${JSON.stringify(output.result)}`);
+  assert(plan.steps.length === 1 && plan.steps[0].tool === 'TEST_CLICK', 'nested click recorded in the plan');
+  assert(JSON.stringify(plan.steps[0]?.args) === '{"tabId":"t1","ref":"e4"}', `plan gets the declared arguments: got ${JSON.stringify(plan.steps[0]?.args)}`);
+}
+
+// Without a dry run the gate rewrites or vetoes nested calls like tool calls
+{
+  clicks.length = 0;
+  const seen: unknown[] = [];
+  let off = registerMiddleware({ beforeToolCall: (e: { tool: string; call: unknown; args: Record<string, unknown> }) => {
+    seen.push(e.call);
+    return { args: { ...e.args, ref: 'e5' } };
+  } });
+  const output = await run(macro);
+  off();
+  assert(clicks.join() === 'e5' && output.result.clicked === 'e5', `rewritten arguments used: got ${clicks.join()}`);
+  assert(seen.length === 1 && seen[0] === null, 'nested calls have no tool call');
+
+  off = registerMiddleware({ beforeToolCall: () => ({ veto: 'the user denied TEST_CLICK' }) });
+  const error = await run(macro).then(() => null, (e: Error) => e);
+  off();
+  assert(clicks.length === 1, 'vetoed click not performed');
+  assert(!!error?.message.includes('TEST_CLICK blocked: the user denied TEST_CLICK'), `veto fails the step: got ${error?.message}`);
+}
+
+// Checkpoints keep a placeholder for image data; later steps still get the image
+{
+  const screenshot = `data:image/jpeg;base64,${'A'.repeat(1000)}`;
+  let seen = '';
+  const checkpoints: unknown[] = [];
+  const look: Action = {
+    name: 'TEST_LOOK',
+    description: 'Takes a screenshot, then reads it',
+    input_schema: NO_PARAMS,
+    steps: [fn(() => ({ screenshot })), fn(ctx => { seen = ctx.screenshot as string; return { seen: true }; })]
+  };
+  await run(look, {}, { onCheckpoint: (frames: unknown) => checkpoints.push(frames) });
+  const stored = JSON.stringify(checkpoints);
+  assert(seen === screenshot, 'next step gets the data URL');
+  assert(!stored.includes('data:image') && stored.includes('"screenshot":"[image]"'), 'checkpoint holds the placeholder');
+}
+
+// Map: at most `concurrency` items in flight, results in item order whatever order they finish in
+actionsRegistry.TEST_WAIT = {
+  name: 'TEST_WAIT',
+  description: 'Wait, then echo the item',
+  input_schema: NO_PARAMS,
+  steps: [fn(async ctx => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    started.push(ctx.item as number);
+    await new Promise(r => setTimeout(r, ctx.item as number));
+    inFlight--;
+    if (ctx.item === 13) throw new Error('unlucky item');
+    return { waited: ctx.item };
+  })]
+};
+let inFlight = 0;
+let maxInFlight = 0;
+const started: number[] = [];
+const mapOver = (items: number[], concurrency?: number): Action => ({
+  name: 'TEST_MAP',
+  description: 'Waits for each item',
+  input_schema: NO_PARAMS,
+  steps: [{ type: 'map', action: 'TEST_WAIT', items: () => items, output_key: 'waits', concurrency }]
+});
+{
+  maxInFlight = 0;
+  const output = await run(mapOver([30, 5, 20, 0, 10], 2));
+  assert(maxInFlight === 2, `concurrency limit: got ${maxInFlight} in flight`);
+  assert(JSON.stringify(output.result.waits.map((r: { waited: number }) => r.waited)) === '[30,5,20,0,10]', `item order kept: got ${JSON.stringify(output.result.waits)}`);
+
+  maxInFlight = 0;
+  await run(mapOver([5, 0, 5]));
+  assert(maxInFlight === 1, 'one item at a time by default');
+
+  started.length = 0;
+  const error = await run(mapOver([0, 13, 0, 0])).then(() => null, (e: Error) => e);
+  assert(!!error?.message.includes('unlucky item'), `failed item fails the step: got ${error?.message}`);
+  assert(started.join() === '0,13', `no items handed out after a failure: got ${started.join()}`);
+
+  started.length = 0;
+  const settled = await run(mapOver([13, 30, 0], 2)).then(() => null, (e: Error) => ({ error: e, inFlight }));
+  assert(!!settled?.error.message.includes('unlucky item') && settled.inFlight === 0, `items in flight settle before the step fails: ${settled?.inFlight} in flight`);
+  assert(started.join() === '13,30', `in-flight item finishes, no new ones start: got ${started.join()}`);
+  assert(JSON.stringify((await run(mapOver([]))).result.waits) === '[]', 'no items, empty results');
+}
+
+// Loop: sub-steps see the previous iteration's results; stops when `until` holds or at max_iterations
+{
+  const counter = (until: (ctx: StepContext) => boolean): Action => ({
+    name: 'TEST_LOOP',
+    description: 'Counts up',
+    input_schema: NO_PARAMS,
+    steps: [
+      fn(() => ({ count: 0 })),
+      { type: 'loop', max_iterations: 3, until, steps: [fn(ctx => ({ count: (ctx.count as number) + 1 })), fn(ctx => ({ doubled: (ctx.count as number) * 2 }))] },
+      fn(ctx => ({ count: ctx.count, doubled: ctx.doubled }))
+    ]
+  });
+  const early = await run(counter(ctx => ctx.count === 2));
+  assert(early.result.count === 2 && early.result.doubled === 4, `stops once until holds: got ${JSON.stringify(early.result)}`);
+  const capped = await run(counter(() => false));
+  assert(capped.result.count === 3 && capped.result.doubled === 6, `stops at max_iterations: got ${JSON.stringify(capped.result)}`);
+}
+
+// Warnings, counters and retry attempts reach the middleware rather than tracing and stats directly
+{
+  const seen: string[] = [];
+  const off = registerMiddleware({
+    onWarning: (e: { stepKey: string; message: string }) => { seen.push(`warning ${e.stepKey}: ${e.message}`); },
+    onStat: (e: { key: string; stat: string }) => { seen.push(`stat ${e.key}: ${e.stat}`); },
+    afterAttempt: (e: { attempt: { attempt: number; error?: Error } }) => { seen.push(`attempt ${e.attempt.attempt}${e.attempt.error ? ' failed' : ''}`); }
+  });
+  let tries = 0;
+  const flaky: Action = {
+    name: 'TEST_FLAKY',
+    description: 'Fails once, then loops without end',
+    input_schema: NO_PARAMS,
+    steps: [
+      { ...fn(() => { if (!tries++) throw new Error('flaky'); return {}; }), retries: 1, backoff: { type: 'fixed', delay_ms: 0 } },
+      { type: 'loop', max_iterations: 2, until: () => false, steps: [fn(() => ({}))] }
+    ]
+  };
+  await run(flaky);
+  await new Promise(r => setTimeout(r, 0));
+  off();
+  assert(seen.join() === 'attempt 1 failed,attempt 2,warning 1: Loop max iterations reached,stat TEST_FLAKY: loopMaxIterationsReached', `reported through the middleware: got ${seen.join()}`);
+}
+
+// Branch: the first matching case runs, otherwise the fallback; with neither the step is skipped
+{
+  const route = (kind: string, otherwise?: Array<ReturnType<typeof fn>>): Action => ({
+    name: 'TEST_BRANCH',
+    description: 'Routes by kind',
+    input_schema: NO_PARAMS,
+    steps: [
+      fn(() => ({ kind, path: 'none' })),
+      {
+        type: 'branch',
+        cases: [
+          { when: ctx => ctx.kind === 'a', steps: [fn(() => ({ path: 'first' }))] },
+          { when: ctx => ctx.kind === 'a' || ctx.kind === 'b', steps: [fn(() => ({ path: 'second' }))] }
+        ],
+        otherwise
+      },
+      fn(ctx => ({ path: ctx.path }))
+    ]
+  });
+  assert((await run(route('a'))).result.path === 'first', 'first matching case wins');
+  assert((await run(route('b'))).result.path === 'second', 'later case when the first does not match');
+  assert((await run(route('c', [fn(() => ({ path: 'fallback' }))]))).result.path === 'fallback', 'otherwise when nothing matches');
+  assert((await run(route('c'))).result.path === 'none', 'skipped without otherwise: context unchanged');
+}
+
+// Sub-steps merge into the context in order, and their merged results reach the steps after the control flow step
+{
+  const nested: Action = {
+    name: 'TEST_NESTED',
+    description: 'Builds on earlier sub-step results',
+    input_schema: NO_PARAMS,
+    steps: [
+      { type: 'branch', cases: [], otherwise: [fn(() => ({ a: 1, b: 1 })), fn(ctx => ({ b: (ctx.a as number) + 1 })), fn(ctx => ({ c: (ctx.b as number) + 1 }))] },
+      fn(ctx => ({ a: ctx.a, b: ctx.b, c: ctx.c, input: ctx.input }))
+    ]
+  };
+  const output = await run(nested, { input: 'kept' });
+  assert(JSON.stringify(output.result) === '{"a":1,"b":2,"c":3,"input":"kept"}', `merged in order: got ${JSON.stringify(output.result)}`);
+}
+
+// Once the budget is spent, steps that would spend more fail instead; a resumed run keeps what it spent
+{
+  const spent = createBudget({ maxTokens: 100, maxCost: 0 }, { tokens: 150, llmCalls: 2 });
+  assert(spent.exceeded() === 'tokens' && spent.spent.cost === 0, `checkpointed spend restored: got ${JSON.stringify(spent.spent)}`);
+  const ask: Action = {
+    name: 'TEST_ASK',
+    description: 'Asks the model once',
+    input_schema: NO_PARAMS,
+    steps: [{ type: 'llm', system_prompt: 'Answer briefly', message: 'Hi', intelligence: 'LOW', output_schema: { type: 'object', properties: { answer: { type: 'string' } } } }]
+  };
+  const llmError = await run(ask, {}, { budget: spent }).then(() => null, (e: Error) => e);
+  assert(!!llmError?.message.includes('Budget exhausted (tokens) after 150 tokens over 2 LLM calls'), `single-turn step fails: got ${llmError?.message}`);
+
+  clicks.length = 0;
+  const childError = await run(macro, {}, { budget: spent }).then(() => null, (e: Error) => e);
+  assert(clicks.length === 0 && !!childError?.message.includes('Budget exhausted'), `step-run action not started: got ${childError?.message}`);
+  assert((await run(macro, {}, { budget: createBudget() })).result.clicked === 'e4', 'runs within budget');
+}
+
+// Concurrent calls that rewrite the conversation keep every call's result
+{
+  actionsRegistry.TEST_READ = {
+    name: 'TEST_READ',
+    description: 'Read a page',
+    parallel_safe: true,
+    input_schema: { type: 'object', properties: { page: { type: 'string' } }, required: ['page'], additionalProperties: false },
+    steps: [{ type: 'function', handler: ctx => ({ result: { content: `page ${ctx.page}` }, parent_messages: [...(ctx.parent_messages as Message[])] }) }]
+  };
+  actionsRegistry.TEST_DONE = {
+    name: 'TEST_DONE',
+    description: 'Finish',
+    input_schema: NO_PARAMS,
+    steps: [fn(() => ({ final_answer: 'done' }))]
+  };
+  const toolCall = (id: string, name: string, args: Record<string, unknown>) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+  const replies = [
+    { tool_calls: ['a', 'b', 'c'].map(page => toolCall(page, 'TEST_READ', { page })) },
+    { tool_calls: [toolCall('d', 'TEST_DONE', {})] }
+  ];
+  let lastMessages: Message[] = [];
+  const off = registerMiddleware({ aroundLLM: async (e: { request: { messages: Message[] } }) => {
+    lastMessages = e.request.messages;
+    return { result: { role: 'assistant', content: null, ...replies.shift() }, usage: null };
+  } });
+  const reader: Action = {
+    name: 'TEST_READER',
+    description: 'Reads pages with tools',
+    input_schema: NO_PARAMS,
+    steps: [{
+      type: 'llm', system_prompt: 'Read the pages', message: 'Go', continuation_message: 'Continue', intelligence: 'LOW',
+      tool_choice: { available_actions: ['TEST_READ', 'TEST_DONE'], stop_action: 'TEST_DONE', max_iterations: 3 }
+    }]
+  };
+  const output = await run(reader);
+  off();
+  const results = lastMessages.filter(m => m.role === 'tool').map(m => `${m.tool_call_id}=${m.content}`);
+  assert(output.result.final_answer === 'done', 'stop action reached');
+  assert(results.join() === 'a={"content":"page a"},b={"content":"page b"},c={"content":"page c"}', `every call id answered: got ${results.join()}`);
+  delete actionsRegistry.TEST_READ;
+  delete actionsRegistry.TEST_DONE;
+}
+
+// Only the root's stop action streams its answer; the wrap-up of a nested action stays internal
+{
+  const store: Record<string, unknown> = {};
+  const area = {
+    get: async (keys: string | string[]) => Object.fromEntries([].concat(keys as never).filter(k => k in store).map(k => [k, store[k]])),
+    set: async (items: Record<string, unknown>) => { Object.assign(store, items); }
+  };
+  Object.assign(globalThis, { chrome: { storage: { local: area, session: area } } });
+  await setEndpoints({ local: { url: 'http://localhost/v1/chat/completions' } });
+  await setModels({ HIGH: [['local', 'm']], MEDIUM: [['local', 'm']], LOW: [['local', 'm']] });
+
+  // The first request calls TEST_INNER; answers are numbered in request order and streamed when asked to
+  let answers = 0;
+  const streamed: boolean[] = [];
+  const fetch = globalThis.fetch;
+  globalThis.fetch = async (_url: string | URL | Request, init?: RequestInit) => {
+    const request = JSON.parse(String(init?.body));
+    if (request.tools) {
+      const call = { id: 'i', type: 'function', function: { name: 'TEST_INNER', arguments: '{}' } };
+      return Response.json({ model: 'm', choices: [{ message: { role: 'assistant', content: null, tool_calls: [call] } }] });
+    }
+    streamed.push(!!request.stream);
+    const content = JSON.stringify({ final_answer: `answer ${++answers}` });
+    if (!request.stream) return Response.json({ model: 'm', choices: [{ message: { role: 'assistant', content } }] });
+    const chunk = { model: 'm', choices: [{ delta: { role: 'assistant', content } }] };
+    return new Response(`data: ${JSON.stringify(chunk)}\n\ndata: [DONE]\n\n`, { headers: { 'Content-Type': 'text/event-stream' } });
+  };
+
+  actionsRegistry.TEST_SAY = {
+    name: 'TEST_SAY',
+    description: 'Answer',
+    input_schema: NO_PARAMS,
+    steps: [{
+      type: 'llm', system_prompt: 'Answer', message: 'Answer now', intelligence: 'LOW', stream: 'final_answer',
+      output_schema: { type: 'object', properties: { final_answer: { type: 'string' } }, required: ['final_answer'], additionalProperties: false }
+    }]
+  };
+  const agent = (name: string, tools: string[], max_iterations: number): Action => ({
+    name,
+    description: 'Works with tools, then answers',
+    input_schema: NO_PARAMS,
+    steps: [{
+      type: 'llm', system_prompt: 'Work', message: 'Go', continuation_message: 'Continue', intelligence: 'LOW',
+      tool_choice: { available_actions: tools, stop_action: 'TEST_SAY', max_iterations }
+    }]
+  });
+  actionsRegistry.TEST_INNER = agent('TEST_INNER', ['TEST_SAY'], 0);
+
+  const partials: string[] = [];
+  const output = await run(agent('TEST_OUTER', ['TEST_INNER'], 1), {}, { onProgress: (e: { type: string; text: string }) => { if (e.type === 'partial_answer') partials.push(e.text); } });
+  globalThis.fetch = fetch;
+  delete (globalThis as { chrome?: unknown }).chrome;
+  delete actionsRegistry.TEST_SAY;
+  delete actionsRegistry.TEST_INNER;
+  assert(output.result.final_answer === 'answer 2', `root answer: got ${output.result.final_answer}`);
+  assert(streamed.join() === 'false,true', `only the root's stop action streams: got ${streamed.join()}`);
+  assert(partials.join() === 'answer 2', `no partial answer from the nested action: got ${partials.join()}`);
+}
+
+delete actionsRegistry.TEST_CLICK;
+delete actionsRegistry.TEST_WAIT;
+resumeMiddleware();
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All executor tests passed');
+}
@@ -0,0 +1,140 @@
+/**
+ * Export - Save a chat, or a single answer, as a Markdown, JSON or standalone HTML file, and the tables
+ * in answers as CSV. Files go through chrome.downloads ("downloads" permission).
+ *
+ * Conversation: { title, messages }   messages as stored by sessions.js (role, content, timestamp?, traceId?, tab?)
+ */
+import { marked } from 'marked';
+
+const ROLE_LABELS = { user: 'You', assistant: 'Assistant', error: 'Error' };
+const FILENAME_LENGTH = 50;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', type: 'text/html' },
+  json: { label: 'JSON', extension: 'json', type: 'application/json' }
+};
+
+const formatTime = timestamp => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+function messageHeading(message) {
+  return [ROLE_LABELS[message.role] || message.role, formatTime(message.timestamp), message.tab, message.traceId && `trace ${message.traceId}`]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Markdown with one section per message; answers are kept as the model wrote them
+ */
+export function toMarkdown({ title, messages }, exportedAt = Date.now()) {
+  const sections = messages.map(message => {
+    const content = message.role === 'error' ? message.content.split('\n').map(line => `> ${line}`).join('\n') : message.content;
+    return `### ${messageHeading(message)}\n\n${content}`;
+  });
+  return `# ${title}\n\n*Exported ${formatTime(exportedAt)} · ${messages.length} messages*\n\n---\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * The messages as stored, plus the trace IDs of the runs behind them (open them in debug mode)
+ */
+export function toJSON({ title, messages }, exportedAt = Date.now()) {
+  const traceIds = [...new Set(messages.map(m => m.traceId).filter(Boolean))];
+  return JSON.stringify({
+    title,
+    exportedAt: new Date(exportedAt).toISOString(),
+    traceIds,
+    messages: messages.map(({ role, content, timestamp, traceId, tab }) => ({
+      role,
+      content,
+      ...(timestamp && { timestamp: new Date(timestamp).toISOString() }),
+      ...(traceId && { traceId }),
+      ...(tab && { tab })
+    }))
+  }, null, 2);
+}
+
+const escapeHTML = text => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const HTML_STYLE = `
+  body { font: 15px/1.6 system-ui, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+  header p { color: #6b7280; }
+  article { border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+  article.user { background: #eff6ff; }
+  article.error { background: #fef2f2; }
+  article > h3 { font-size: 0.8rem; font-weight: 600; color: #6b7280; margin: 0 0 0.5rem; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+  pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; } code { font-size: 0.9em; }`;
+
+/**
+ * A standalone page that opens in any browser
+ * @param {{title: string, messages: Array<object>}} conversation
+ * @param {function} render - (markdown) => HTML; the panel passes marked + DOMPurify, as for chat bubbles
+ */
+export function toHTML({ title, messages }, render, exportedAt = Date.now()) {
+  const articles = messages.map(message => {
+    const body = message.role === 'user' || message.role === 'error' ? `<p>${escapeHTML(message.content).replace(/\n/g, '<br>')}</p>` : render(message.content);
+    return `<article class="${escapeHTML(message.role)}">\n<h3>${escapeHTML(messageHeading(message))}</h3>\n${body}\n</article>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHTML(title)}</h1>
+<p>Exported ${escapeHTML(formatTime(exportedAt))} · ${messages.length} messages</p>
+</header>
+${articles.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Cell text without the Markdown around it (links keep their text)
+function plainText(tokens) {
+  return tokens.map(token => (token.tokens ? plainText(token.tokens) : token.type === 'br' ? ' ' : token.text ?? '')).join('');
+}
+
+/**
+ * Tables in a Markdown text, nested ones included, in document order
+ * @returns {Array<{header: string[], rows: string[][]}>}
+ */
+export function findTables(markdown) {
+  const tables = [];
+  marked.walkTokens(marked.lexer(markdown), token => {
+    if (token.type !== 'table') return;
+    tables.push({
+      header: token.header.map(cell => plainText(cell.tokens).trim()),
+      rows: token.rows.map(row => row.map(cell => plainText(cell.tokens).trim()))
+    });
+  });
+  return tables;
+}
+
+const csvField = value => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// RFC 4180 CSV with CRLF line ends
+export function tableToCSV({ header, rows }) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * e.g. vishpr-flights-to-lisbon-2026-10-19.md
+ */
+export function exportFileName(title, extension, date = new Date()) {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, FILENAME_LENGTH).replace(/-+$/, '');
+  const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  return `vishpr-${slug || 'chat'}-${day}.${extension}`;
+}
+
+/**
+ * Save text as a file in the user's downloads folder (the browser asks where when set up to)
+ */
+export async function downloadFile(filename, content, type) {
+  const url = `data:${type};charset=utf-8,${encodeURIComponent(content)}`;
+  await chrome.downloads.download({ url, filename, conflictAction: 'uniquify' });
+}
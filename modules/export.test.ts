@@ -0,0 +1,89 @@
+/**
+ * Export tests - Run: npx tsx modules/export.test.ts
+ */
+import { marked } from 'marked';
+import { toMarkdown, toJSON, toHTML, findTables, tableToCSV, exportFileName } from './export.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const at = Date.UTC(2026, 9, 19, 12, 0);
+const answer = `Three flights found:
+
+| Airline | Price | Notes |
+|---|---|---|
+| **TAP** | €120 | [details](https://example.com/tap) |
+| Ryanair | €45 | bags, "extra" |
+
+- Cheapest first`;
+
+const conversation = {
+  title: 'Flights to Lisbon <cheap>',
+  messages: [
+    { role: 'user', content: 'Find flights to Lisbon', timestamp: at },
+    { role: 'assistant', content: answer, timestamp: at + 60000, traceId: 'trace-1', tab: 't1' },
+    { role: 'user', content: 'Book the second', timestamp: at + 120000 },
+    { role: 'error', content: 'Payment page\nfailed to load', timestamp: at + 180000, traceId: 'trace-2' }
+  ]
+};
+
+// Markdown
+{
+  const md = toMarkdown(conversation, at);
+  assert(md.startsWith('# Flights to Lisbon <cheap>\n'), 'title heading');
+  assert(md.includes('4 messages'), 'message count');
+  assert(md.includes('### Assistant · ') && md.includes(' · t1 · trace trace-1\n'), 'answer heading with tab and trace');
+  assert(md.includes(answer), 'answer kept as written');
+  assert(md.includes('> Payment page\n> failed to load'), 'errors quoted');
+  assert((md.match(/\n---\n/g) || []).length === 4, 'separators between messages');
+}
+
+// JSON
+{
+  const data = JSON.parse(toJSON(conversation, at));
+  assert(data.title === conversation.title && data.exportedAt === '2026-10-19T12:00:00.000Z', 'title and export time');
+  assert(JSON.stringify(data.traceIds) === '["trace-1","trace-2"]', 'linked trace IDs');
+  assert(data.messages.length === 4 && data.messages[1].traceId === 'trace-1' && data.messages[1].tab === 't1', 'message fields');
+  assert(data.messages[0].timestamp === '2026-10-19T12:00:00.000Z' && !('traceId' in data.messages[0]), 'ISO times, no empty fields');
+}
+
+// HTML
+{
+  const html = toHTML(conversation, (md: string) => marked.parse(md) as string, at);
+  assert(html.startsWith('<!DOCTYPE html>') && html.includes('<meta charset="utf-8">'), 'standalone document');
+  assert(html.includes('<title>Flights to Lisbon &lt;cheap&gt;</title>'), 'title escaped');
+  assert(html.includes('<th>Airline</th>') && html.includes('<strong>TAP</strong>'), 'answers rendered');
+  assert(html.includes('<article class="error">') && html.includes('Payment page<br>failed to load'), 'errors as text');
+  assert(html.includes('<article class="user">') && html.includes('<p>Find flights to Lisbon</p>'), 'user messages as text');
+}
+
+// Tables
+{
+  const tables = findTables(answer);
+  assert(tables.length === 1, 'one table');
+  assert(tables[0].header.join('|') === 'Airline|Price|Notes', 'header');
+  assert(tables[0].rows[0].join('|') === 'TAP|€120|details', 'inline Markdown removed');
+  assert(tableToCSV(tables[0]) === 'Airline,Price,Notes\r\nTAP,€120,details\r\nRyanair,€45,"bags, ""extra"""\r\n', 'CSV quoting');
+  assert(findTables('- item\n\n  | a |\n  |---|\n  | 1 |\n').length === 1, 'table inside a list');
+  assert(findTables('No tables | here').length === 0, 'no tables');
+}
+
+// File names
+{
+  const day = new Date(2026, 9, 19);
+  assert(exportFileName('Flights to Lisbon <cheap>', 'md', day) === 'vishpr-flights-to-lisbon-cheap-2026-10-19.md', 'slug and date');
+  assert(exportFileName('???', 'json', day) === 'vishpr-chat-2026-10-19.json', 'empty slug');
+  assert(exportFileName('a '.repeat(60), 'html', day).length <= 'vishpr--2026-10-19.html'.length + 50, 'long titles cut');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All export tests passed');
+}
@@ -1,27 +1,79 @@
 /**
  * LLM API - Core OpenAI-compatible API call
+ * Message content is a string, or a list of content parts for messages with images:
+ *   [{ type: 'text', text }, { type: 'image_url', image_url: { url } }]   url: data: or https: URL
  */
 
 import { resolveEndpoint, getEndpoints } from './endpoints.js';
+import { readCompletionStream } from './stream.js';
 
+// Default per-request timeout; steps override it with timeout_ms
 const CALL_TIMEOUT_MS = 10000;
+// Image input check of verifyModel: an 8x8 red PNG; statuses that say nothing about image input (auth, timeout, rate limit)
+const PROBE_TIMEOUT_MS = 20000;
+const INCONCLUSIVE_STATUS = new Set([401, 403, 408, 429]);
+const PROBE_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAAEUlEQVR42mP4z8CAFTEMLQkAKP8/wc53yE8AAAAASUVORK5CYII=';
 
-async function fetchWithTimeout(url, options, timeoutMs) {
+/**
+ * Content of a message with images: the text, then each image as an image_url part
+ * @param {string} text
+ * @param {string|string[]} images - data: or https: URLs
+ * @returns {Array<{type: string, text?: string, image_url?: {url: string}}>}
+ */
+export function withImages(text, images) {
+  return [{ type: 'text', text }, ...[].concat(images || []).map(url => ({ type: 'image_url', image_url: { url } }))];
+}
+
+// Traces and checkpoints hold this in place of an image data URL
+export const IMAGE_PLACEHOLDER = '[image]';
+
+// JSON.stringify replacer for traces and checkpoints: a screenshot would be stored again with every event and frame that holds it
+export const withoutImageData = (_key, value) => (typeof value === 'string' && value.startsWith('data:image/') ? IMAGE_PLACEHOLDER : value);
+
+// Such messages only go to models marked as accepting images (vision)
+export const hasImages = messages => messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === 'image_url'));
+
+// Token counts and cost of one response's usage, whichever naming the endpoint reports them under
+export function getUsageStats(usage) {
+  if (!usage) return { tokens: { input: 0, output: 0 }, cost: 0, upstreamCost: 0 };
+  return {
+    tokens: {
+      input: usage.input_tokens || usage.prompt_tokens || 0,
+      output: usage.output_tokens || usage.completion_tokens || 0,
+    },
+    cost: usage.cost || 0,
+    upstreamCost: usage.cost_details?.upstream_inference_cost || 0,
+  };
+}
+
+async function fetchWithTimeout(url, options, timeoutMs, signal) {
+  signal?.throwIfAborted();
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  // Caller cancellation aborts the same request; its reason is rethrown as-is
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
   try {
     return await fetch(url, { ...options, signal: controller.signal });
   } catch (error) {
+    if (signal?.aborted) throw signal.reason;
     if (error.name === 'AbortError') {
       throw new Error(`Request timeout after ${timeoutMs}ms`);
     }
     throw error;
   } finally {
     clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
   }
 }
 
-export async function callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice }) {
+/**
+ * @param {function} [onDelta] - Stream the completion (SSE) and receive the message so far after each
+ *   content or tool call argument delta; the result is the same as without streaming. With streaming,
+ *   timeoutMs also bounds each wait for the next chunk.
+ * @returns {Promise<{result, usage, model}>}
+ */
+export async function callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice, signal, timeoutMs = CALL_TIMEOUT_MS, onDelta }) {
   const endpoints = await getEndpoints();
   const config = resolveEndpoint(endpoint, endpoints);
 
@@ -45,11 +97,16 @@ export async function callOpenAICompatible({ endpoint, model, messages, tools, s
     request.provider = { only: [openrouterProvider] };
   }
 
+  if (onDelta) {
+    request.stream = true;
+    request.stream_options = { include_usage: true };
+  }
+
   const response = await fetchWithTimeout(config.url, {
     method: 'POST',
     headers: config.headers,
     body: JSON.stringify(request)
-  }, CALL_TIMEOUT_MS);
+  }, timeoutMs, signal);
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
@@ -58,7 +115,11 @@ export async function callOpenAICompatible({ endpoint, model, messages, tools, s
     throw new Error(details ? `${msg} - ${details}` : msg);
   }
 
-  const data = await response.json();
+  // Endpoints that do not stream answer with plain JSON
+  const streamed = onDelta && response.headers.get('content-type')?.includes('text/event-stream');
+  const data = streamed
+    ? await readCompletionStream(response.body, onDelta, { signal, idleTimeoutMs: timeoutMs })
+    : await response.json();
   const message = data.choices?.[0]?.message;
 
   if (!message) {
@@ -78,7 +139,36 @@ export async function callOpenAICompatible({ endpoint, model, messages, tools, s
   return { result: message, usage: data.usage, model: data.model };
 }
 
+/**
+ * Check that a model answers with tool calls (or, failing that, with schema output) and whether it takes images
+ * @returns {Promise<{valid: boolean, noToolChoice?: boolean, noToolUse?: boolean, vision?: boolean|null, error?: string}>}
+ *   vision is null when the image check was inconclusive; keep the flag the model had
+ */
 export async function verifyModel(endpointName, modelId, openrouterProvider = null) {
+  const result = await verifyOutput(endpointName, modelId, openrouterProvider);
+  if (!result.valid) return result;
+  const config = resolveEndpoint(endpointName, await getEndpoints());
+  return { ...result, vision: await acceptsImages(config, modelId, openrouterProvider) };
+}
+
+// Providers reject image parts for models without image input with a 4xx; rate limits, server and network errors leave it open (null)
+async function acceptsImages(config, model, openrouterProvider) {
+  const request = {
+    model,
+    messages: [{ role: 'user', content: withImages('What color is this image? Answer in one word.', PROBE_IMAGE) }],
+    max_tokens: 20,
+    ...(openrouterProvider && { provider: { only: [openrouterProvider] } })
+  };
+  try {
+    const response = await fetchWithTimeout(config.url, { method: 'POST', headers: config.headers, body: JSON.stringify(request) }, PROBE_TIMEOUT_MS);
+    if (response.ok) return true;
+    return response.status >= 400 && response.status < 500 && !INCONCLUSIVE_STATUS.has(response.status) ? false : null;
+  } catch {
+    return null;
+  }
+}
+
+async function verifyOutput(endpointName, modelId, openrouterProvider) {
   const endpoints = await getEndpoints();
 
   const VERIFY_TOOL = [{
@@ -0,0 +1,64 @@
+/**
+ * LLM Budget - Token and cost caps for one root task
+ * Every generate() response of a run adds its usage; multi-turn steps wrap up once a cap is reached,
+ * other LLM calls and step-run actions fail
+ */
+
+import { getUsageStats } from './api.js';
+
+const STORAGE_KEY = 'llmBudget';
+
+// 0 disables a cap; cost is only known for endpoints that report it (e.g. OpenRouter)
+export const DEFAULT_BUDGET = { maxTokens: 1000000, maxCost: 0 };
+
+export async function getBudgetLimits() {
+  const { [STORAGE_KEY]: limits } = await chrome.storage.local.get([STORAGE_KEY]);
+  return { ...DEFAULT_BUDGET, ...limits };
+}
+
+export async function setBudgetLimits(limits) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: limits });
+}
+
+/**
+ * Create the spend tracker shared by every action of one root run
+ * @param {{maxTokens: number, maxCost: number}} limits
+ * @param {{tokens?: number, cost?: number, llmCalls?: number}} [spent] - Spend so far of a resumed run (from its checkpoint)
+ */
+export function createBudget(limits = DEFAULT_BUDGET, spent = null) {
+  spent = { tokens: 0, cost: 0, llmCalls: 0, ...spent };
+
+  return {
+    limits,
+    spent,
+
+    add(usage) {
+      const { tokens, cost } = getUsageStats(usage);
+      spent.tokens += tokens.input + tokens.output;
+      spent.cost += cost;
+      spent.llmCalls++;
+    },
+
+    // Which cap was hit, or null while within budget
+    exceeded() {
+      if (limits.maxTokens && spent.tokens >= limits.maxTokens) return 'tokens';
+      if (limits.maxCost && spent.cost >= limits.maxCost) return 'cost';
+      return null;
+    },
+
+    // For steps that cannot wrap up on their own: fail instead of spending more
+    assertWithin() {
+      const cap = this.exceeded();
+      if (cap) throw new Error(`Budget exhausted (${cap}) after ${formatSpend(spent)}`);
+    },
+
+    summary() {
+      return formatSpend(spent);
+    },
+  };
+}
+
+export function formatSpend({ tokens, cost, llmCalls }) {
+  const costStr = cost ? `, $${cost.toFixed(4)}` : '';
+  return `${tokens.toLocaleString()} tokens${costStr} over ${llmCalls} LLM call${llmCalls === 1 ? '' : 's'}`;
+}
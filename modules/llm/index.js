@@ -3,7 +3,9 @@
  */
 
 import logger from '../logger.js';
-import { callOpenAICompatible, verifyModel } from './api.js';
+import { modelStatsKey } from '../debug/time-bucket-counter.js';
+import { callOpenAICompatible, verifyModel, withImages, hasImages, withoutImageData, IMAGE_PLACEHOLDER } from './api.js';
+import { partialJSONString } from './stream.js';
 import {
   getCascadingModels,
   shouldSkip,
@@ -12,6 +14,8 @@ import {
   getModels,
   setModels,
   getDefaultModels,
+  promoteModel,
+  hasVisionModel,
   getAllModelsSortedByRecentErrors
 } from './models.js';
 import {
@@ -25,6 +29,7 @@ import {
   CEREBRAS_ID,
   MISTRAL_ID
 } from './endpoints.js';
+import { createBudget, getBudgetLimits, setBudgetLimits } from './budget.js';
 
 let initialized = false;
 
@@ -35,7 +40,16 @@ export async function isInitialized() {
   return initialized;
 }
 
-export async function generate({ messages, intelligence = 'MEDIUM', tools, schema, onModelError }) {
+/**
+ * Generate a completion, cascading through configured models on failure
+ * @param {string[]} [exclude] - Model keys (see modelStatsKey) to pass over, e.g. after a model kept failing output validation
+ * @param {number} [timeoutMs] - Per-request timeout for each model tried (defaults to the API layer's)
+ * @param {function} [onDelta] - Stream each model's completion (see callOpenAICompatible); a model tried
+ *   after a failed one starts again from an empty message
+ * Messages with images (see withImages) only go to models marked as accepting images.
+ * @returns {Promise<{result, usage, model, modelKey}>}
+ */
+export async function generate({ messages, intelligence = 'MEDIUM', tools, schema, onModelError, signal, exclude = [], timeoutMs, onDelta }) {
   if (!tools?.length && !schema) {
     throw new Error('Either tools or schema is required');
   }
@@ -45,27 +59,35 @@ export async function generate({ messages, intelligence = 'MEDIUM', tools, schem
   }
 
   const cascadingModels = await getCascadingModels(intelligence);
+  const needsVision = hasImages(messages);
   let lastError = null;
 
-  for (const { endpoint, model, openrouterProvider, noToolChoice, noToolUse } of cascadingModels) {
-    if (tools && noToolUse) {
+  for (const { endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision } of cascadingModels) {
+    if ((tools && noToolUse) || (needsVision && !vision)) {
+      continue;
+    }
+    const modelKey = modelStatsKey(endpoint, model, openrouterProvider);
+    if (exclude.includes(modelKey)) {
       continue;
     }
     if (await shouldSkip(endpoint, model, openrouterProvider)) {
       continue;
     }
+    signal?.throwIfAborted();
 
     try {
-      const response = await callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice });
+      const response = await callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice, signal, timeoutMs, onDelta });
 
       if (tools && response.result.tool_calls?.length && !response.result.tool_calls[0].function?.name) {
         throw new Error('Invalid tool call: missing function name');
       }
 
       await recordSuccess(endpoint, model, openrouterProvider);
-      return response;
+      return { ...response, modelKey };
 
     } catch (error) {
+      // Cancellation is not a model failure: stop cascading immediately
+      if (signal?.aborted) throw error;
       lastError = error;
       await recordError(endpoint, model, openrouterProvider);
       onModelError?.({ endpoint, model, openrouterProvider, error: error.message, phase: 'cascade' });
@@ -77,12 +99,17 @@ export async function generate({ messages, intelligence = 'MEDIUM', tools, schem
   logger.info('Cascade failed, attempting fallback recovery', { models: sortedModels.map(m => m.model) });
 
   const results = [];
-  for (const { endpoint, model, openrouterProvider, noToolChoice, noToolUse } of sortedModels) {
-    if (tools && noToolUse) {
+  for (const { endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision } of sortedModels) {
+    if ((tools && noToolUse) || (needsVision && !vision)) {
       continue;
     }
+    const modelKey = modelStatsKey(endpoint, model, openrouterProvider);
+    if (exclude.includes(modelKey)) {
+      continue;
+    }
+    signal?.throwIfAborted();
     try {
-      const response = await callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice });
+      const response = await callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice, signal, timeoutMs, onDelta });
 
       if (tools && response.result.tool_calls?.length && !response.result.tool_calls[0].function?.name) {
         throw new Error('Invalid tool call: missing function name');
@@ -91,8 +118,9 @@ export async function generate({ messages, intelligence = 'MEDIUM', tools, schem
       results.push({ model, status: 'pass' });
       logger.info('Fallback recovery complete', { results });
       await recordSuccess(endpoint, model, openrouterProvider);
-      return response;
+      return { ...response, modelKey };
     } catch (error) {
+      if (signal?.aborted) throw error;
       lastError = error;
       results.push({ model, status: 'fail', error: error.message });
       await recordError(endpoint, model, openrouterProvider);
@@ -101,6 +129,9 @@ export async function generate({ messages, intelligence = 'MEDIUM', tools, schem
   }
 
   logger.error('All fallback models failed', { results });
+  if (needsVision && !lastError) {
+    throw new Error('No configured model accepts images: add one that does (e.g. google/gemini-2.5-flash) in Settings → Models');
+  }
   throw new Error(`All models failed. Last error: ${lastError?.message || 'Unknown'}`);
 }
 
@@ -108,6 +139,12 @@ export {
   getModels,
   setModels,
   getDefaultModels,
+  promoteModel,
+  hasVisionModel,
+  withImages,
+  withoutImageData,
+  IMAGE_PLACEHOLDER,
+  partialJSONString,
   getEndpoints,
   setEndpoints,
   getConfiguredEndpoints,
@@ -116,6 +153,9 @@ export {
   verifyModel,
   recordSuccess,
   recordError,
+  createBudget,
+  getBudgetLimits,
+  setBudgetLimits,
   PREDEFINED_ENDPOINTS,
   OPENROUTER_ID,
   CEREBRAS_ID,
@@ -6,51 +6,105 @@ import logger from '../logger.js';
 import { getModelStatsCounter, modelStatsKey, providerStatsKey } from '../debug/time-bucket-counter.js';
 import { OPENROUTER_ID } from './endpoints.js';
 
-// Model tuple: [endpoint, model, openrouterProvider, noToolChoice, noToolUse]
+// Model tuple: [endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision]
 // openrouterProvider: provider slug for OpenRouter routing (e.g., 'google-ai-studio')
 // noToolChoice: boolean - skip tool_choice param for models that don't support it
 // noToolUse: boolean - model doesn't support tool use at all (skipped when tools required)
+// vision: boolean - model accepts images (the only models tried for messages with images)
 export const DEFAULT_MODELS = {
   HIGH: [
-    [OPENROUTER_ID, 'google/gemini-2.5-pro', 'google-ai-studio'],
+    [OPENROUTER_ID, 'google/gemini-2.5-pro', 'google-ai-studio', undefined, undefined, true],
     [OPENROUTER_ID, 'qwen/qwen3-235b-a22b-2507', 'Cerebras']
   ],
   MEDIUM: [
     [OPENROUTER_ID, 'openai/gpt-oss-120b', 'Cerebras'],
-    [OPENROUTER_ID, 'google/gemini-2.5-flash', 'google-ai-studio'],
+    [OPENROUTER_ID, 'google/gemini-2.5-flash', 'google-ai-studio', undefined, undefined, true],
     [OPENROUTER_ID, 'meta-llama/llama-3.3-70b-instruct', 'Cerebras']
   ],
   LOW: [
-    [OPENROUTER_ID, 'google/gemini-2.5-flash-lite', 'google-ai-studio'],
+    [OPENROUTER_ID, 'google/gemini-2.5-flash-lite', 'google-ai-studio', undefined, undefined, true],
     [OPENROUTER_ID, 'qwen/qwen3-32b', 'Cerebras']
   ]
 };
 
 const INTELLIGENCE_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
 
+// Version of the saved model lists; 2: tuples carry the vision flag
+const MODELS_VERSION = 2;
+
 export async function getModels() {
-  return (await chrome.storage.local.get(['llmModels'])).llmModels || DEFAULT_MODELS;
+  const { llmModels, llmModelsVersion = 1 } = await chrome.storage.local.get(['llmModels', 'llmModelsVersion']);
+  if (!llmModels) return DEFAULT_MODELS;
+  if (llmModelsVersion >= MODELS_VERSION) return llmModels;
+  const migrated = migrateModels(llmModels);
+  await setModels(migrated);
+  return migrated;
 }
 
 export async function setModels(models) {
-  await chrome.storage.local.set({ llmModels: models });
+  await chrome.storage.local.set({ llmModels: models, llmModelsVersion: MODELS_VERSION });
+}
+
+/**
+ * Bring model lists saved before the vision flag up to date: default models get their flag,
+ * others get theirs when Settings next verifies the models
+ */
+export function migrateModels(models) {
+  const defaults = INTELLIGENCE_LEVELS.flatMap(level => DEFAULT_MODELS[level]);
+  const visionOf = ([endpoint, model, provider]) => defaults.find(d => d[0] === endpoint && d[1] === model && (d[2] ?? null) === (provider ?? null))?.[5];
+  return Object.fromEntries(Object.entries(models).map(([level, list]) => [level, (list || []).map(entry => {
+    if (entry[5] !== undefined || !visionOf(entry)) return entry;
+    const tuple = [...entry];
+    tuple[5] = true;
+    return tuple;
+  })]));
 }
 
 export function getDefaultModels() {
   return JSON.parse(JSON.stringify(DEFAULT_MODELS));
 }
 
+/**
+ * Make a model the first choice of a tier (the /model command)
+ * The model is looked up in every tier by id (with or without its vendor prefix) or by a unique part of it, so its endpoint and
+ * provider come along; an unknown id is added with the endpoint of the tier's current first model.
+ * @returns {{models: Object<string, Array<Array>>, entry: Array}} updated copy of the tiers and the promoted tuple
+ * @throws {Error} for an unknown tier or an ambiguous name
+ */
+export function promoteModel(models, tier, query) {
+  const level = tier.toUpperCase();
+  if (!INTELLIGENCE_LEVELS.includes(level)) throw new Error(`Unknown tier "${tier}": use ${INTELLIGENCE_LEVELS.join(', ').toLowerCase()}`);
+  const id = query.trim().toLowerCase();
+  const all = INTELLIGENCE_LEVELS.flatMap(l => models[l] || []);
+  let matches = all.filter(([, model]) => model.toLowerCase() === id);
+  if (!matches.length) matches = all.filter(([, model]) => model.toLowerCase().split('/').pop() === id);
+  if (!matches.length) matches = all.filter(([, model]) => model.toLowerCase().includes(id));
+  const names = [...new Set(matches.map(([, model]) => model))];
+  if (names.length > 1) throw new Error(`"${query}" matches ${names.slice(0, 5).join(', ')}: be more specific`);
+
+  const current = models[level] || [];
+  const entry = current.find(([, model]) => model === names[0]) || matches[0] || [current[0]?.[0] ?? OPENROUTER_ID, query.trim()];
+  const same = e => e[0] === entry[0] && e[1] === entry[1] && e[2] === entry[2];
+  return { models: { ...models, [level]: [entry, ...current.filter(e => !same(e))] }, entry };
+}
+
 export async function getCascadingModels(intelligence) {
   const models = await getModels();
   const startIndex = Math.max(0, INTELLIGENCE_LEVELS.indexOf(intelligence));
 
   return INTELLIGENCE_LEVELS
     .slice(startIndex)
-    .flatMap(level => (models[level] || []).map(([endpoint, model, openrouterProvider, noToolChoice, noToolUse]) => ({
-      endpoint, model, openrouterProvider, noToolChoice, noToolUse
+    .flatMap(level => (models[level] || []).map(([endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision]) => ({
+      endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision
     })));
 }
 
+// Whether any configured model accepts images
+export async function hasVisionModel() {
+  const models = await getModels();
+  return INTELLIGENCE_LEVELS.some(level => (models[level] || []).some(entry => entry[5]));
+}
+
 const SKIP_WINDOW_MS = 60 * 1000; // Only skip models with errors in last 1 minute
 
 export async function shouldSkip(endpoint, model, openrouterProvider) {
@@ -111,8 +165,8 @@ export async function getAllModelsSortedByRecentErrors() {
   const allModels = [];
 
   for (const level of ['HIGH', 'MEDIUM', 'LOW']) {
-    for (const [endpoint, model, openrouterProvider, noToolChoice, noToolUse] of (models[level] || [])) {
-      allModels.push({ endpoint, model, openrouterProvider, noToolChoice, noToolUse });
+    for (const [endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision] of (models[level] || [])) {
+      allModels.push({ endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision });
     }
   }
 
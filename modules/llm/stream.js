@@ -0,0 +1,173 @@
+/**
+ * LLM Streaming - Server-sent events of OpenAI-compatible chat completions (`stream: true`)
+ * Content and tool call argument deltas are joined into the same completion a non-streaming call
+ * returns ({ model, usage, choices: [{ message }] }), so callers see no difference in the result.
+ */
+
+const JSON_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+/**
+ * Data payloads of an event stream; ends at `[DONE]` or when the body ends
+ * @param {ReadableStream<Uint8Array>} body
+ * @param {{signal?: AbortSignal, idleTimeoutMs?: number}} [options] - idleTimeoutMs: longest wait for the next chunk
+ */
+export async function* readEvents(body, { signal, idleTimeoutMs } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let data = [];
+  const onAbort = () => reader.cancel().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    while (true) {
+      signal?.throwIfAborted();
+      const { done, value } = await readWithTimeout(reader, idleTimeoutMs);
+      signal?.throwIfAborted();
+      buffer += decoder.decode(value, { stream: !done });
+      // A read can end between the \r and \n of one line break: hold a trailing \r back until the next read
+      const complete = !done && buffer.endsWith('\r') ? buffer.slice(0, -1) : buffer;
+      const lines = complete.split(/\r\n|\r|\n/);
+      buffer = done ? '' : lines.pop() + buffer.slice(complete.length);
+
+      for (const line of lines) {
+        // A blank line ends an event; lines starting with ':' are keep-alive comments
+        if (line === '') {
+          if (!data.length) continue;
+          const payload = data.join('\n');
+          data = [];
+          if (payload === '[DONE]') return;
+          yield payload;
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(line[5] === ' ' ? 6 : 5));
+        }
+      }
+      if (done) {
+        if (data.length && data.join('\n') !== '[DONE]') yield data.join('\n');
+        return;
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    // Closes the connection when the caller stops reading early (error chunk, [DONE] before the end)
+    reader.cancel().catch(() => {});
+  }
+}
+
+async function readWithTimeout(reader, ms) {
+  if (!ms) return reader.read();
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    // Rejected before cancelling, which ends the pending read, so the race reports the stall
+    timeoutId = setTimeout(() => {
+      reject(new Error(`Stream stalled: no data for ${ms}ms`));
+      reader.cancel().catch(() => {});
+    }, ms);
+  });
+  try {
+    return await Promise.race([reader.read(), timeout]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Joins completion chunks into one completion
+ */
+export function createCompletionAccumulator() {
+  let model = null;
+  let usage = null;
+  let content = '';
+  const toolCalls = [];
+
+  const message = () => ({
+    role: 'assistant',
+    content: content || null,
+    ...(toolCalls.length && { tool_calls: toolCalls.filter(Boolean) })
+  });
+
+  return {
+    /**
+     * @returns {boolean} true when the chunk added content or tool call arguments
+     * @throws {Error} for an error chunk (providers report failures mid-stream this way)
+     */
+    add(chunk) {
+      if (chunk.error) throw new Error(chunk.error.message || 'Stream error');
+      model = chunk.model || model;
+      usage = chunk.usage || usage;
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) return false;
+      let changed = false;
+      if (delta.content) {
+        content += delta.content;
+        changed = true;
+      }
+      for (const call of delta.tool_calls || []) {
+        const slot = toolCalls[call.index ?? 0] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+        if (call.id) slot.id = call.id;
+        // The name arrives whole in the call's first chunk; arguments arrive in pieces
+        if (call.function?.name && !slot.function.name) slot.function.name = call.function.name;
+        if (call.function?.arguments) {
+          slot.function.arguments += call.function.arguments;
+          changed = true;
+        }
+      }
+      return changed;
+    },
+    message,
+    completion: () => ({ model, usage, choices: [{ message: message() }] })
+  };
+}
+
+/**
+ * Read a streamed completion
+ * @param {function} onDelta - (message) => void with the content and tool calls received so far
+ * @returns {Promise<{model: string|null, usage: Object<string, number>|null, choices: Array<{message: {role: string, content: string|null, tool_calls?: Array<any>}}>}>}
+ *   the completion, shaped as a non-streaming response body
+ */
+export async function readCompletionStream(body, onDelta, { signal, idleTimeoutMs } = {}) {
+  const accumulator = createCompletionAccumulator();
+  for await (const payload of readEvents(body, { signal, idleTimeoutMs })) {
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch (e) {
+      throw new Error(`Invalid JSON in stream: ${e.message}`);
+    }
+    if (accumulator.add(chunk)) {
+      try { onDelta(accumulator.message()); } catch {}
+    }
+  }
+  return accumulator.completion();
+}
+
+/**
+ * The value of a top-level string field in JSON that is still being generated, as far as it has arrived
+ * @returns {string|null} null until the field's value has started
+ */
+export function partialJSONString(json, field) {
+  const start = new RegExp(`"${field}"\\s*:\\s*"`).exec(json);
+  if (!start) return null;
+  let text = '';
+  for (let i = start.index + start[0].length; i < json.length; i++) {
+    const c = json[i];
+    if (c === '"') break;
+    if (c !== '\\') {
+      text += c;
+      continue;
+    }
+    const next = json[i + 1];
+    // An escape cut off by the end of the chunk waits for the next one
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = json.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      text += JSON_ESCAPES[next] ?? next;
+      i++;
+    }
+  }
+  return text;
+}
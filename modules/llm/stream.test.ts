@@ -0,0 +1,117 @@
+/**
+ * LLM streaming tests - Run: npx tsx modules/llm/stream.test.ts
+ */
+import { readEvents, readCompletionStream, partialJSONString } from './stream.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+// A response body delivering the text in the given pieces
+const body = (...pieces: string[]) => new ReadableStream<Uint8Array>({
+  start(controller) {
+    for (const piece of pieces) controller.enqueue(new TextEncoder().encode(piece));
+    controller.close();
+  }
+});
+
+// Cut a text into pieces of n characters, so events and JSON split mid-way
+const split = (text: string, n: number) => text.match(new RegExp(`[\\s\\S]{1,${n}}`, 'g')) ?? [];
+
+const sse = (...chunks: object[]) => chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+const collect = async (stream: ReadableStream<Uint8Array>, options = {}) => {
+  const events: string[] = [];
+  for await (const event of readEvents(stream, options)) events.push(event);
+  return events;
+};
+
+// Event parsing
+{
+  const events = await collect(body(': OPENROUTER PROCESSING\n\n', 'data: {"a":1}\r\n\r\ndata:{"b"', ':2}\n\ndata: [DONE]\n\ndata: {"late":1}\n\n'));
+  assert(JSON.stringify(events) === '["{\\"a\\":1}","{\\"b\\":2}"]', `comments skipped, events joined across reads, stop at [DONE]: ${events}`);
+  const unterminated = await collect(body('data: {"a":1}'));
+  assert(unterminated.length === 1, 'last event without a blank line');
+  const multiline = await collect(body('data: line1\ndata: line2\n\n'));
+  assert(multiline[0] === 'line1\nline2', 'multi-line data');
+  const euro = new TextEncoder().encode('data: €\n\n');
+  const bytes = await collect(new ReadableStream({ start(c) { c.enqueue(euro.slice(0, 7)); c.enqueue(euro.slice(7)); c.close(); } }));
+  assert(bytes[0] === '€', 'UTF-8 split across reads');
+  const crlf = await collect(body('data: {"a":\r', '\ndata: 1}\r', '\n\r', '\ndata: {"b":2}\r\n\r\n'));
+  assert(JSON.stringify(crlf) === '["{\\"a\\":\\n1}","{\\"b\\":2}"]', `\\r\\n split across reads is one line break: ${JSON.stringify(crlf)}`);
+}
+
+// Content deltas
+{
+  const stream = sse(
+    { model: 'm1', choices: [{ delta: { role: 'assistant', content: '' } }] },
+    { model: 'm1', choices: [{ delta: { content: '{"final_answer": "Hel' } }] },
+    { model: 'm1', choices: [{ delta: { content: 'lo\\nworld", "method": "x"}' } }] },
+    { model: 'm1', choices: [{ delta: {}, finish_reason: 'stop' }] },
+    { model: 'm1', choices: [], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+  );
+  const seen: string[] = [];
+  const completion = await readCompletionStream(body(...split(stream, 7)), (message: { content: string }) => seen.push(message.content));
+  const message = completion.choices[0].message;
+  assert(message.content === '{"final_answer": "Hello\\nworld", "method": "x"}', 'content joined');
+  assert(JSON.parse(message.content ?? '').final_answer === 'Hello\nworld', 'parses as the non-streaming content would');
+  assert(seen.length === 2 && seen[0] === '{"final_answer": "Hel', `one delta per content chunk: ${seen.length}`);
+  assert(completion.model === 'm1' && completion.usage?.completion_tokens === 5, 'model and usage from the chunks');
+  assert(!('tool_calls' in message), 'no tool calls');
+}
+
+// Tool call argument deltas
+{
+  const stream = sse(
+    { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'CLICK', arguments: '' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"ref":' } }] } }] },
+    { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"e12"}' } }, { index: 1, id: 'call_2', function: { name: 'READ_PAGE', arguments: '{}' } }] } }] }
+  );
+  let deltas = 0;
+  const completion = await readCompletionStream(body(stream), () => deltas++);
+  const calls = completion.choices[0].message.tool_calls ?? [];
+  assert(calls.length === 2, 'two tool calls');
+  assert(calls[0].id === 'call_1' && calls[0].function.name === 'CLICK' && calls[0].function.arguments === '{"ref":"e12"}', 'arguments joined by index');
+  assert(calls[1].function.name === 'READ_PAGE' && calls[1].type === 'function', 'second call');
+  assert(completion.choices[0].message.content === null, 'no content');
+  assert(deltas === 2, `deltas for argument chunks: ${deltas}`);
+}
+
+// Failures
+{
+  const error = await readCompletionStream(body(sse({ choices: [{ delta: { content: 'a' } }] }, { error: { message: 'Provider overloaded' } })), () => {})
+    .then(() => null, (e: Error) => e.message);
+  assert(error === 'Provider overloaded', 'error chunk rejects');
+
+  const stalled = new ReadableStream<Uint8Array>({ start(c) { c.enqueue(new TextEncoder().encode('data: {}\n\n')); } });
+  const timeout = await collect(stalled, { idleTimeoutMs: 50 }).then(() => null, (e: Error) => e.message);
+  assert(/Stream stalled/.test(timeout || ''), 'idle timeout');
+
+  const controller = new AbortController();
+  const hanging = new ReadableStream<Uint8Array>({ start() {} });
+  setTimeout(() => controller.abort(), 20);
+  const aborted = await collect(hanging, { signal: controller.signal }).then(() => null, (e: Error) => e.name);
+  assert(aborted === 'AbortError', 'cancellation');
+}
+
+// Partial JSON strings
+{
+  assert(partialJSONString('{"final_ans', 'final_answer') === null, 'field not started');
+  assert(partialJSONString('{"final_answer": "', 'final_answer') === '', 'value just started');
+  assert(partialJSONString('{"final_answer":"Line 1\\nLine \\"2', 'final_answer') === 'Line 1\nLine "2', 'escapes');
+  assert(partialJSONString('{"final_answer": "a\\', 'final_answer') === 'a', 'cut escape waits');
+  assert(partialJSONString('{"final_answer": "caf\\u00e', 'final_answer') === 'caf', 'cut unicode escape waits');
+  assert(partialJSONString('{"final_answer": "caf\\u00e9!", "method": "m"}', 'final_answer') === 'café!', 'unicode escape, ends at the quote');
+  assert(partialJSONString('{"method": "said \\"final_answer\\": \\"no\\"", "final_answer": "yes', 'final_answer') === 'yes', 'key inside another value ignored');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All LLM streaming tests passed');
+}
@@ -0,0 +1,102 @@
+/**
+ * Image input tests - Run: npx tsx modules/llm/vision.test.ts
+ *
+ * Requests go to a stubbed fetch; settings live in an in-memory chrome.storage.
+ */
+import { generate as generateTyped, withImages, verifyModel, setEndpoints, setModels, getModels } from './index.js';
+import { hasImages } from './api.js';
+import { migrateModels, DEFAULT_MODELS } from './models.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const store: Record<string, unknown> = {};
+const area = {
+  get: async (keys: string[]) => Object.fromEntries(keys.filter(k => k in store).map(k => [k, store[k]])),
+  set: async (items: Record<string, unknown>) => { Object.assign(store, items); }
+};
+Object.assign(globalThis, { chrome: { storage: { local: area, session: area } } });
+
+// Answers every request with the next status in line (default 200) and records the requested models
+const requested: string[] = [];
+let statuses: Array<number | 'network'> = [];
+globalThis.fetch = async (_url: string | URL | Request, init?: RequestInit) => {
+  requested.push(JSON.parse(String(init?.body)).model);
+  const status = statuses.shift() ?? 200;
+  if (status === 'network') throw new TypeError('Failed to fetch');
+  const body = status === 200
+    ? { model: 'stub', choices: [{ message: { role: 'assistant', content: '{"answer":"red"}', tool_calls: [{ function: { name: 'test', arguments: '{}' } }] } }] }
+    : { error: { message: `status ${status}` } };
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+};
+
+// The JSDoc of generate only describes some of its request fields
+const generate = generateTyped as unknown as (request: Record<string, unknown>) => Promise<unknown>;
+
+await setEndpoints({ local: { url: 'http://localhost/v1/chat/completions' } });
+const SCHEMA = { type: 'object', properties: { answer: { type: 'string' } }, required: ['answer'], additionalProperties: false };
+
+// Content parts: the text first, then one part per image
+{
+  const content = withImages('Describe', ['data:image/png;base64,AA', 'https://example.com/b.png']);
+  assert(content.length === 3 && content[0].text === 'Describe', 'text part first');
+  assert(content[1].image_url?.url === 'data:image/png;base64,AA' && content[2].type === 'image_url', 'one image part per URL');
+  assert(withImages('Describe', 'data:image/png;base64,AA').length === 2, 'a single URL is accepted');
+  assert(hasImages([{ role: 'system', content: 'x' }, { role: 'user', content }]), 'message with image parts detected');
+  assert(!hasImages([{ role: 'user', content: 'x' }, { role: 'user', content: [{ type: 'text', text: 'y' }] }]), 'text-only parts are not images');
+}
+
+// Messages with images only go to models marked as accepting images
+{
+  await setModels({ HIGH: [], MEDIUM: [['local', 'text-only'], ['local', 'sees', null, undefined, undefined, true]], LOW: [] });
+  requested.length = 0;
+  await generate({ messages: [{ role: 'user', content: 'Hi' }], schema: SCHEMA });
+  assert(requested.join() === 'text-only', `text goes to the first model: got ${requested.join()}`);
+  requested.length = 0;
+  await generate({ messages: [{ role: 'user', content: withImages('Hi', 'data:image/png;base64,AA') }], schema: SCHEMA });
+  assert(requested.join() === 'sees', `images skip models without vision: got ${requested.join()}`);
+
+  await setModels({ HIGH: [], MEDIUM: [['local', 'text-only']], LOW: [] });
+  requested.length = 0;
+  const error = await generate({ messages: [{ role: 'user', content: withImages('Hi', 'data:image/png;base64,AA') }], schema: SCHEMA }).then(() => null, (e: Error) => e);
+  assert(!!error?.message.includes('No configured model accepts images') && requested.length === 0, `no vision model: got ${error?.message}`);
+}
+
+// Only a rejected image request means no vision; rate limits, server and network errors are inconclusive
+{
+  const probe = async (status: number | 'network') => {
+    statuses = [200, status];
+    return (await verifyModel('local', 'm')).vision;
+  };
+  assert(await probe(200) === true, 'accepted image: vision');
+  assert(await probe(400) === false && await probe(404) === false, 'rejected image: no vision');
+  assert(await probe(429) === null, 'rate limited: inconclusive');
+  assert(await probe(503) === null, 'server error: inconclusive');
+  assert(await probe('network') === null, 'network error: inconclusive');
+}
+
+// Lists saved before the vision flag get it for the default models
+{
+  const [gemini] = DEFAULT_MODELS.HIGH;
+  const saved = { HIGH: [gemini.slice(0, 3), ['local', 'custom']], MEDIUM: [['local', 'sees', null, undefined, undefined, false]] };
+  const migrated = migrateModels(saved);
+  assert(migrated.HIGH[0][5] === true, 'default vision model flagged');
+  assert(migrated.HIGH[1][5] === undefined && migrated.MEDIUM[0][5] === false, 'other models unchanged');
+
+  delete store.llmModelsVersion;
+  store.llmModels = saved;
+  const models = await getModels() as Record<string, unknown[][]>;
+  assert(models.HIGH[0][5] === true && store.llmModelsVersion === 2, 'getModels migrates and saves once');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All image input tests passed');
+}
@@ -0,0 +1,88 @@
+/**
+ * Executor middleware - Hooks into the action, step, tool call and LLM call lifecycle
+ * Cross-cutting concerns (tracing, stats, policy checks, redaction, logging) plug in here
+ * instead of being wired into executor.js. Built-in tracing and stats live in debug/middleware.js.
+ *
+ * A middleware is an object with any of these hooks (all may be async):
+ * - beforeAction(event) / afterAction(event)  event: { action, params, actionUUID, isRoot, options, track } (+ output, error, duration)
+ * - beforeStep(event) / afterStep(event)      event: { action, actionUUID, stepKey, stepType, stepInfo, context, track } (+ output, error)
+ * - beforeToolCall(event)                     event: { actionName, actionUUID, stepKey, call, tool, args, options, track }
+ *     return { veto: 'reason' } to block the call, { args } to rewrite its arguments,
+ *     or { result } to skip the call and hand the model that result instead (e.g. dry runs)
+ *     Also runs when a step (rather than the model) runs an action that `mutates`; call is null then,
+ *     a veto fails the step and a result becomes the step's output
+ * - afterToolCall(event)                      event: same + outcome { content, failed, errorType }
+ *     return { content } to replace what the model sees (e.g. redaction)
+ * - aroundLLM(event, next)                    event: { actionName, actionUUID, stepKey, turn, maxTurns, request, track }
+ *     call next(request?) and return its response; the first registered middleware is outermost
+ * - onWarning(event)                          event: { actionName, actionUUID, stepKey, message, details, track }
+ *     something worth knowing about a step (model fallback, schema repair, loop or budget limit hit, resume)
+ * - onStat(event)                             event: { key, stat, amount }   a counter of an action (key: action name or `ACTION:stepN`)
+ * - afterAttempt(event)                       event: { actionName, actionUUID, stepKey, attempt: { attempt, attempts, duration, error? }, track }
+ *     one attempt of a step with a retry policy
+ *
+ * The same event object is passed to a before/after pair, so middleware can keep per-call state in a WeakMap.
+ * track(promise) registers work (e.g. trace writes) the root action waits for before running post_steps.
+ * Errors thrown by hooks propagate to the executor like step errors, except those of onWarning, onStat and afterAttempt:
+ * they are fire-and-forget and only logged.
+ */
+
+const middlewares = [];
+
+/**
+ * Register a middleware; returns a function that removes it again
+ */
+export function registerMiddleware(middleware) {
+  middlewares.push(middleware);
+  return () => {
+    const index = middlewares.indexOf(middleware);
+    if (index !== -1) middlewares.splice(index, 1);
+  };
+}
+
+/**
+ * Take middleware out of the chain (e.g. tracing during an offline replay); returns a function that puts them back in place
+ */
+export function suspendMiddleware(...suspended) {
+  const saved = middlewares.slice();
+  for (const middleware of suspended) {
+    const index = middlewares.indexOf(middleware);
+    if (index !== -1) middlewares.splice(index, 1);
+  }
+  return () => saved.forEach((middleware, index) => {
+    if (suspended.includes(middleware) && !middlewares.includes(middleware)) middlewares.splice(index, 0, middleware);
+  });
+}
+
+// Notification hooks run in registration order
+export async function runHooks(hook, event) {
+  for (const middleware of middlewares) {
+    await middleware[hook]?.(event);
+  }
+}
+
+// Rewrites chain through later middleware; the first veto or result wins and stops the chain
+export async function runBeforeToolCall(event) {
+  for (const middleware of middlewares) {
+    const decision = await middleware.beforeToolCall?.(event);
+    if (decision?.veto || decision?.result) return decision;
+    if (decision?.args) event.args = decision.args;
+  }
+  return null;
+}
+
+export async function runAfterToolCall(event) {
+  for (const middleware of middlewares) {
+    const override = await middleware.afterToolCall?.(event);
+    if (override && 'content' in override) event.outcome = { ...event.outcome, content: override.content };
+  }
+  return event.outcome;
+}
+
+export function runAroundLLM(event, call) {
+  const wrappers = middlewares.filter(middleware => middleware.aroundLLM);
+  const invoke = (index, request) => index < wrappers.length
+    ? wrappers[index].aroundLLM({ ...event, request }, (next = request) => invoke(index + 1, next))
+    : call(request);
+  return invoke(0, event.request);
+}
@@ -0,0 +1,102 @@
+/**
+ * Middleware registry tests - Run: npx tsx modules/middleware.test.ts
+ */
+import { registerMiddleware, suspendMiddleware, runHooks, runBeforeToolCall, runAfterToolCall, runAroundLLM } from './middleware.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+// Notification hooks run in registration order; unregister removes the middleware
+{
+  const calls: string[] = [];
+  const offA = registerMiddleware({ beforeAction: () => { calls.push('a'); } });
+  const offB = registerMiddleware({ beforeAction: async () => { calls.push('b'); } });
+  await runHooks('beforeAction', {});
+  assert(calls.join() === 'a,b', `hook order: got ${calls.join()}`);
+  offA();
+  await runHooks('beforeAction', {});
+  assert(calls.join() === 'a,b,b', `unregister: got ${calls.join()}`);
+  offB();
+}
+
+// suspendMiddleware takes middleware out of the chain and restores it at its original position
+{
+  const calls: string[] = [];
+  const a = { beforeAction: () => { calls.push('a'); } };
+  const b = { beforeAction: () => { calls.push('b'); } };
+  const offs = [registerMiddleware(a), registerMiddleware(b)];
+  const resume = suspendMiddleware(a);
+  await runHooks('beforeAction', {});
+  resume();
+  await runHooks('beforeAction', {});
+  assert(calls.join() === 'b,a,b', `suspend/resume: got ${calls.join()}`);
+  offs.forEach(off => off());
+}
+
+// beforeToolCall: rewrites chain, first veto wins and stops the chain
+{
+  const seen: unknown[] = [];
+  const offs = [
+    registerMiddleware({ beforeToolCall: () => ({ args: { ref: 'e2' } }) }),
+    registerMiddleware({ beforeToolCall: (e: { args: unknown }) => { seen.push(e.args); return { veto: 'not allowed' }; } }),
+    registerMiddleware({ beforeToolCall: () => { seen.push('unreachable'); } }),
+  ];
+  const event = { args: { ref: 'e1' } };
+  const decision = await runBeforeToolCall(event);
+  assert(decision?.veto === 'not allowed', 'veto is returned');
+  assert(JSON.stringify(seen) === '[{"ref":"e2"}]', `later middleware sees rewritten args, chain stops at veto: got ${JSON.stringify(seen)}`);
+  assert(event.args.ref === 'e2', 'rewrite applied to event');
+  offs.forEach(off => off());
+}
+
+// beforeToolCall: a result short-circuits the call like a veto
+{
+  const seen: string[] = [];
+  const offs = [
+    registerMiddleware({ beforeToolCall: () => ({ result: { simulated: true } }) }),
+    registerMiddleware({ beforeToolCall: () => { seen.push('unreachable'); } }),
+  ];
+  const decision = await runBeforeToolCall({ args: {} });
+  assert(decision?.result?.simulated === true, 'result is returned');
+  assert(seen.length === 0, 'chain stops at result');
+  offs.forEach(off => off());
+}
+
+// afterToolCall: content override replaces what the model sees
+{
+  const off = registerMiddleware({ afterToolCall: () => ({ content: { redacted: true } }) });
+  const outcome = await runAfterToolCall({ outcome: { content: { secret: 'x' }, failed: false } });
+  assert(JSON.stringify(outcome) === '{"content":{"redacted":true},"failed":false}', `content override: got ${JSON.stringify(outcome)}`);
+  off();
+}
+
+// aroundLLM: first registered is outermost, next() can rewrite the request
+{
+  const order: string[] = [];
+  const offs = [
+    registerMiddleware({ aroundLLM: async (_e: unknown, next: () => Promise<unknown>) => { order.push('outer'); const r = await next(); order.push('outer-done'); return r; } }),
+    registerMiddleware({ aroundLLM: (e: { request: { n: number } }, next: (r?: unknown) => Promise<unknown>) => { order.push('inner'); return next({ n: e.request.n + 1 }); } }),
+  ];
+  const response = await runAroundLLM({ request: { n: 1 } }, async (request: { n: number }) => { order.push('call'); return { n: request.n }; });
+  assert(order.join() === 'outer,inner,call,outer-done', `wrap order: got ${order.join()}`);
+  assert((response as { n: number }).n === 2, 'request rewritten by inner middleware');
+  offs.forEach(off => off());
+}
+
+// aroundLLM with no middleware calls straight through
+{
+  const response = await runAroundLLM({ request: 'req' }, async (request: string) => `${request}!`);
+  assert(response === 'req!', 'direct call without middleware');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All middleware tests passed');
+}
@@ -0,0 +1,79 @@
+/**
+ * Demonstration recorder - Collects the steps content.js reports while the user works a tab
+ * Runs in the service worker so a recording survives page loads: the content script is re-armed after
+ * every navigation, and navigations the user starts (address bar, bookmarks, back/forward) become
+ * navigate steps. Link clicks and form submits are recorded by the content script instead.
+ * The session is mirrored to chrome.storage.session because the worker may be stopped between events.
+ */
+import { ContentAction } from './content-actions.js';
+import { sendToContent } from './content-bridge.js';
+
+const STORAGE_KEY = 'recording';
+
+// Transitions that are not the result of a recorded click or submit
+const USER_NAVIGATIONS = new Set(['typed', 'auto_bookmark', 'generated', 'keyword', 'reload']);
+
+// { tabId, startUrl, steps }
+let session = null;
+const restored = chrome.storage.session.get(STORAGE_KEY)
+  .then(stored => { session ??= stored[STORAGE_KEY] || null; }, () => {});
+
+function update(next) {
+  session = next;
+  chrome.storage.session.set({ [STORAGE_KEY]: session }).catch(() => {});
+  chrome.runtime.sendMessage({ action: 'recordingUpdated', steps: session?.steps || null }).catch(() => {});
+}
+
+// Registered at load so navigations wake the worker during a recording
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId, url, transitionType, transitionQualifiers }) => {
+  await restored;
+  if (!session || tabId !== session.tabId || frameId !== 0) return;
+  if (!USER_NAVIGATIONS.has(transitionType) && !transitionQualifiers.includes('forward_back')) return;
+  update({ ...session, steps: [...session.steps, { type: 'navigate', url }] });
+});
+
+chrome.webNavigation.onCompleted.addListener(async ({ tabId, frameId }) => {
+  await restored;
+  if (!session || tabId !== session.tabId || frameId !== 0) return;
+  sendToContent(tabId, ContentAction.START_RECORDING).catch(() => {});
+});
+
+/**
+ * Start recording the active tab (replaces a recording in progress)
+ * @returns {Promise<{startUrl: string}>}
+ */
+export async function startRecording() {
+  const win = await chrome.windows.getCurrent();
+  const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+  if (!tab?.id) throw new Error('No active tab to record');
+  if (await getRecording()) await stopRecording();
+  await sendToContent(tab.id, ContentAction.START_RECORDING);
+  update({ tabId: tab.id, startUrl: tab.url, steps: [] });
+  return { startUrl: tab.url };
+}
+
+/**
+ * Stop recording and hand back what was captured
+ * @returns {Promise<{startUrl: string, steps: object[]}|null>}
+ */
+export async function stopRecording() {
+  await restored;
+  if (!session) return null;
+  const { tabId, startUrl, steps } = session;
+  update(null);
+  // The page hands back a field that was typed into but not committed yet
+  const stopped = await sendToContent(tabId, ContentAction.STOP_RECORDING).catch(() => null);
+  return { startUrl, steps: [...steps, ...(stopped?.steps || [])] };
+}
+
+export async function getRecording() {
+  await restored;
+  return session ? { startUrl: session.startUrl, steps: session.steps } : null;
+}
+
+// Steps reported by content.js; only the recorded tab counts
+export async function addRecordedStep(step, tabId) {
+  await restored;
+  if (!session || tabId !== session.tabId) return;
+  update({ ...session, steps: [...session.steps, step] });
+}
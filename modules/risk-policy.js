@@ -0,0 +1,87 @@
+/**
+ * Risk policy - Classifies pending browser tool calls so high-risk ones wait for user approval
+ * Pure: the caller supplies the target element (role and name as in the a11y tree) and the page URL.
+ * The approval gate that acts on the result lives in approval.js.
+ */
+
+// Tools whose effect depends on the target element, page or arguments; everything else is low risk
+export const INSPECTED_TOOLS = new Set([
+  'CLICK_ELEMENT', 'SUBMIT_FORM', 'HANDLE_DIALOG', 'FILL_FORM', 'SELECT_OPTION', 'CHECK_CHECKBOX', 'PRESS_KEY'
+]);
+
+// Element names that commit money, data or messages
+const IRREVERSIBLE_NAME = /\b(buy|purchase|order|checkout|check out|pay|payment|donate|subscribe|unsubscribe|delete|remove|erase|discard|send|transfer|publish|confirm)\b/i;
+
+// Roles that trigger something when clicked (a heading named "Delete" does not)
+const ACTIVATING_ROLES = new Set(['button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'switch', 'tab']);
+
+// Payment and banking sites: every page-changing action needs approval
+// "bank" must be a whole host label or a hyphenated part of one, so snowbank.com or bankrate.com do not count
+const SENSITIVE_HOST = /(^|\.)(paypal|stripe|venmo|wise|revolut|coinbase|binance)\.com$|(^|[.-])bank([.-]|$)/i;
+
+const hostOf = url => {
+  try { return new URL(url).hostname; } catch { return ''; }
+};
+
+const elementLabel = element => element?.name || element?.text || '';
+
+/**
+ * Classify a tool call
+ * @param {object} call
+ * @param {string} call.tool - Action name (e.g. "CLICK_ELEMENT")
+ * @param {object} call.args - Tool arguments
+ * @param {{role: string|null, name: string, text?: string}|null} [call.element] - Target of args.ref (FILL_FORM: args.submit_ref), if known
+ * @param {string|null} [call.url] - URL of the target tab
+ * @returns {{level: 'high'|'low', reasons: string[]}}
+ */
+export function classifyToolCall({ tool, args = {}, element = null, url = null }) {
+  const reasons = [];
+  if (!INSPECTED_TOOLS.has(tool)) return { level: 'low', reasons };
+
+  const host = hostOf(url);
+  const label = `${element?.name || ''} ${element?.text || ''}`;
+
+  if (tool === 'SUBMIT_FORM') reasons.push('Submits a form');
+  if (tool === 'FILL_FORM' && args.submit) reasons.push('Submits the form after filling it');
+  if (tool === 'HANDLE_DIALOG' && args.accept) reasons.push('Accepts the next confirmation dialog');
+  if (tool === 'CLICK_ELEMENT' && !args.newTab && !args.newTabActive && (!element?.role || ACTIVATING_ROLES.has(element.role))) {
+    const match = label.match(IRREVERSIBLE_NAME);
+    if (match) reasons.push(`Clicks a control labelled "${match[0]}"`);
+  }
+  if (host && SENSITIVE_HOST.test(host) && tool !== 'HANDLE_DIALOG') reasons.push(`Changes a page on ${host}`);
+
+  return { level: reasons.length ? 'high' : 'low', reasons };
+}
+
+/**
+ * One-line description of a tool call for the approval prompt and the dry-run plan
+ * @param {{tool: string, args?: object, elements?: Array<{ref: string, role?: string|null, name?: string, text?: string}>}} call
+ *   elements - Known targets of the call's refs; other refs are shown bare
+ * @returns {string}
+ */
+export function describeToolCall({ tool, args = {}, elements = [] }) {
+  const target = ref => {
+    const element = elements.find(e => e.ref === ref);
+    const label = elementLabel(element);
+    return label ? `${element.role || 'element'} "${label}" (${ref})` : `element ${ref}`;
+  };
+  switch (tool) {
+    case 'CLICK_ELEMENT': return `Click ${target(args.ref)}${args.newTab || args.newTabActive ? ' into a new tab' : ''}`;
+    case 'SUBMIT_FORM': return `Submit the form via ${target(args.ref)}`;
+    case 'FILL_FORM': {
+      const fields = (args.form_fields || []).map(f => `${target(f.ref)} with "${f.value}"`).join(', ');
+      const submit = args.submit ? ` and submit${args.submit_ref ? ` via ${target(args.submit_ref)}` : ''}` : '';
+      return `Fill ${fields || 'no fields'}${submit}`;
+    }
+    case 'SELECT_OPTION': return `Select "${args.value}" in ${target(args.ref)}`;
+    case 'CHECK_CHECKBOX': return `${args.checked === false ? 'Uncheck' : 'Check'} ${target(args.ref)}`;
+    case 'HOVER_ELEMENT': return `Hover over ${target(args.ref)}`;
+    case 'HANDLE_DIALOG': return `${args.accept ? 'Accept' : 'Dismiss'} the next dialog`;
+    case 'PRESS_KEY': return `Press ${['ctrlKey', 'metaKey', 'altKey', 'shiftKey'].filter(k => args[k]).map(k => `${k.slice(0, -3)}+`).join('')}${args.key}`;
+    case 'SCROLL_TO': return `Scroll ${args.direction}`;
+    case 'CHANGE_TAB_URL': return `Go to ${args.url} in tab ${args.tabId}`;
+    case 'OPEN_URL_IN_NEW_TAB': return `Open ${args.url} in a new tab`;
+    case 'NAVIGATE_HISTORY': return `Go ${args.direction} in tab ${args.tabId}`;
+    default: return tool;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Risk policy tests - Run: npx tsx modules/risk-policy.test.ts
+ */
+import { classifyToolCall, describeToolCall } from './risk-policy.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+type Target = { role: string | null; name: string; text?: string };
+const shop = 'https://shop.example.com/cart';
+const button = (name: string): Target => ({ role: 'button', name });
+
+// Clicks are judged by the target's role and name
+{
+  const level = (element: Target | null, args = {}) => classifyToolCall({ tool: 'CLICK_ELEMENT', args: { tabId: 't1', ref: 'e1', ...args }, element, url: shop }).level;
+  assert(level(button('Buy now')) === 'high', 'Buy button is high risk');
+  assert(level(button('Delete account')) === 'high', 'Delete button is high risk');
+  assert(level({ role: 'link', name: '', text: 'Send message' }) === 'high', 'text content is checked when the name is empty');
+  assert(level(button('Add to wishlist')) === 'low', 'harmless button is low risk');
+  assert(level({ role: 'heading', name: 'Delete your data' }) === 'low', 'non-activating role is low risk');
+  assert(level(button('Buy now'), { newTab: true }) === 'low', 'opening in a new tab is low risk');
+  assert(level(null) === 'low', 'unknown target is low risk');
+  assert(level(button('Reorder items')) === 'low', 'matches whole words only');
+}
+
+// Action types that are risky regardless of the target
+{
+  const check = (tool: string, args: object) => classifyToolCall({ tool, args, element: null, url: shop });
+  assert(check('SUBMIT_FORM', { ref: 'e3' }).level === 'high', 'SUBMIT_FORM is high risk');
+  assert(check('HANDLE_DIALOG', { accept: true }).level === 'high', 'accepting a dialog is high risk');
+  assert(check('HANDLE_DIALOG', { accept: false }).level === 'low', 'dismissing a dialog is low risk');
+  assert(check('FILL_FORM', { form_fields: [], submit: true }).level === 'high', 'fill and submit is high risk');
+  assert(check('FILL_FORM', { form_fields: [] }).level === 'low', 'fill without submit is low risk');
+  assert(check('READ_PAGE', {}).level === 'low' && check('READ_PAGE', {}).reasons.length === 0, 'other tools are not inspected');
+}
+
+// Payment and banking domains
+{
+  const onHost = (url: string) => classifyToolCall({ tool: 'CHECK_CHECKBOX', args: { ref: 'e2', checked: true }, element: { role: 'checkbox', name: 'Remember me' }, url });
+  assert(onHost('https://www.paypal.com/myaccount').level === 'high', 'paypal.com is sensitive');
+  assert(onHost('https://online.bank.example.co.uk/').level === 'high', 'bank hosts are sensitive');
+  assert(onHost('https://www.first-bank.com/').level === 'high', 'hyphenated bank hosts are sensitive');
+  assert(onHost('https://www.snowbank.com/').level === 'low' && onHost('https://bankrate.com/').level === 'low', 'bank inside a word is not sensitive');
+  assert(onHost('https://notpaypal.com.example.org/').level === 'low', 'lookalike host is not sensitive');
+  assert(onHost('not a url').level === 'low', 'unparseable URL is ignored');
+  const { reasons } = classifyToolCall({ tool: 'SUBMIT_FORM', args: { ref: 'e1' }, url: 'https://paypal.com/pay' });
+  assert(reasons.length === 2, `reasons accumulate: got ${reasons.join('; ')}`);
+}
+
+// Descriptions name targets by role, name and ref
+{
+  const buy = { ref: 'e1', ...button('Buy now') };
+  assert(describeToolCall({ tool: 'CLICK_ELEMENT', args: { ref: 'e1' }, elements: [buy] }) === 'Click button "Buy now" (e1)', 'click with element');
+  assert(describeToolCall({ tool: 'SUBMIT_FORM', args: { ref: 'e7' } }) === 'Submit the form via element e7', 'falls back to the ref');
+  const fill = describeToolCall({
+    tool: 'FILL_FORM',
+    args: { form_fields: [{ ref: 'e3', value: 'Ada' }, { ref: 'e4', value: 'x' }], submit: true, submit_ref: 'e1' },
+    elements: [{ ref: 'e3', role: 'textbox', name: 'Name' }, buy]
+  });
+  assert(fill === 'Fill textbox "Name" (e3) with "Ada", element e4 with "x" and submit via button "Buy now" (e1)', `fill and submit: got ${fill}`);
+  assert(describeToolCall({ tool: 'PRESS_KEY', args: { key: 'Enter', ctrlKey: true } }) === 'Press ctrl+Enter', 'key with modifier');
+  assert(describeToolCall({ tool: 'CHANGE_TAB_URL', args: { tabId: 't1', url: 'https://example.com' } }) === 'Go to https://example.com in tab t1', 'navigation');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All risk policy tests passed');
+}
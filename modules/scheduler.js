@@ -0,0 +1,193 @@
+/**
+ * Scheduler - Runs saved goals on cron schedules (see cron.js) while the browser is open
+ * Each enabled schedule has one chrome.alarms alarm for its next run. The alarm wakes the service worker,
+ * which re-arms it, runs the goal through the runner background.js supplies, keeps the result and
+ * announces it with a notification and a count on the toolbar icon (cleared when the panel opens).
+ *
+ * Schedule: { id, name, goal, cron, url?, enabled }   goal: text for the ROUTER, or a `/task key=value` command
+ * Run:      { startedAt, duration, status: 'done' | 'error', traceId, answer?, error? }
+ */
+import { parseCron, nextCronTime } from './cron.js';
+
+const STORAGE_KEY = 'schedules';
+const RUNS_KEY = 'scheduleRuns';
+const UNSEEN_KEY = 'unseenScheduleRuns';
+const ALARM_PREFIX = 'schedule:';
+const MAX_RUNS = 20;
+const NOTIFICATION_LENGTH = 200;
+
+// Read-modify-writes of the schedules, their run history and the unseen count, one at a time, so concurrent runs do not drop each other's updates
+let storageQueue = Promise.resolve();
+
+function serialized(update) {
+  const result = storageQueue.then(update);
+  storageQueue = result.catch(() => {});
+  return result;
+}
+
+export async function getSchedules() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+/**
+ * @returns {string[]} errors (empty = valid)
+ */
+export function validateSchedule(schedule) {
+  const errors = [];
+  if (!String(schedule.name || '').trim()) errors.push('Name: give the schedule a name');
+  if (!String(schedule.goal || '').trim()) errors.push('Goal: describe what to do, or use /task key=value');
+  try { parseCron(schedule.cron); } catch (e) { errors.push(`Schedule: ${e.message}`); }
+  if (schedule.url && !/^https?:\/\//.test(schedule.url)) errors.push('Start page: use an http(s) URL');
+  return errors;
+}
+
+/**
+ * Add or replace (by id) a schedule; alarms follow through the storage change
+ * @returns {Promise<string[]>} errors; nothing is saved unless empty
+ */
+export async function saveSchedule(schedule) {
+  const errors = validateSchedule(schedule);
+  if (errors.length) return errors;
+  await serialized(async () => {
+    const schedules = await getSchedules();
+    const index = schedules.findIndex(s => s.id === schedule.id);
+    if (index === -1) schedules.push(schedule);
+    else schedules[index] = schedule;
+    await chrome.storage.local.set({ [STORAGE_KEY]: schedules });
+  });
+  return [];
+}
+
+export async function deleteSchedule(id) {
+  return serialized(async () => {
+    const [schedules, runs] = await Promise.all([getSchedules(), getAllRuns()]);
+    delete runs[id];
+    await chrome.storage.local.set({ [STORAGE_KEY]: schedules.filter(s => s.id !== id), [RUNS_KEY]: runs });
+  });
+}
+
+async function getAllRuns() {
+  const stored = await chrome.storage.local.get(RUNS_KEY);
+  return stored[RUNS_KEY] || {};
+}
+
+// Newest first
+export async function getScheduleRuns(id) {
+  return (await getAllRuns())[id] || [];
+}
+
+function recordRun(id, run) {
+  return serialized(async () => {
+    const runs = await getAllRuns();
+    runs[id] = [run, ...(runs[id] || [])].slice(0, MAX_RUNS);
+    await chrome.storage.local.set({ [RUNS_KEY]: runs });
+  });
+}
+
+// ============ Alarms ============
+
+/**
+ * Arm one alarm per enabled schedule
+ * @param {boolean} reset - Re-arm every alarm (after edits); otherwise only missing ones are added,
+ *   so an alarm that came due while the browser was closed still fires
+ */
+async function syncAlarms(reset) {
+  const [schedules, alarms] = await Promise.all([getSchedules(), chrome.alarms.getAll()]);
+  const armed = new Set(alarms.filter(a => a.name.startsWith(ALARM_PREFIX)).map(a => a.name));
+  const wanted = new Set(schedules.filter(s => s.enabled).map(s => ALARM_PREFIX + s.id));
+
+  for (const name of armed) {
+    if (reset || !wanted.has(name)) await chrome.alarms.clear(name);
+  }
+  for (const schedule of schedules) {
+    if (schedule.enabled && (reset || !armed.has(ALARM_PREFIX + schedule.id))) await armAlarm(schedule);
+  }
+}
+
+async function armAlarm(schedule) {
+  const next = nextCronTime(schedule.cron);
+  if (next) await chrome.alarms.create(ALARM_PREFIX + schedule.id, { when: next.getTime() });
+}
+
+// ============ Runs ============
+
+// Schedules in flight; a schedule that comes due again while still running is skipped
+const running = new Set();
+let runner = null;
+
+async function runSchedule(schedule) {
+  if (running.has(schedule.id)) return null;
+  running.add(schedule.id);
+  const startedAt = Date.now();
+  try {
+    const outcome = await runner(schedule);
+    const run = { startedAt, duration: Date.now() - startedAt, ...outcome };
+    await recordRun(schedule.id, run);
+    await announce(schedule, run);
+    return run;
+  } finally {
+    running.delete(schedule.id);
+  }
+}
+
+async function announce(schedule, run) {
+  const text = run.status === 'done' ? run.answer : `Failed: ${run.error}`;
+  chrome.notifications.create(`${ALARM_PREFIX}${schedule.id}:${run.startedAt}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon-128.png',
+    title: schedule.name,
+    message: text.length > NOTIFICATION_LENGTH ? text.slice(0, NOTIFICATION_LENGTH) + '…' : text
+  }).catch(() => {});
+
+  await serialized(async () => {
+    const { [UNSEEN_KEY]: unseen = 0 } = await chrome.storage.session.get(UNSEEN_KEY);
+    await chrome.storage.session.set({ [UNSEEN_KEY]: unseen + 1 });
+    chrome.action.setBadgeBackgroundColor({ color: run.status === 'done' ? '#2563eb' : '#dc2626' }).catch(() => {});
+    chrome.action.setBadgeText({ text: String(unseen + 1) }).catch(() => {});
+  });
+}
+
+// The panel shows the results, so opening it counts as seeing them
+export function clearScheduleBadge() {
+  serialized(async () => {
+    await chrome.storage.session.remove(UNSEEN_KEY);
+    chrome.action.setBadgeText({ text: '' }).catch(() => {});
+  }).catch(() => {});
+}
+
+/**
+ * Run a schedule right away (the "Run now" button); its alarm is left as is
+ * @returns {Promise<object|null>} the run, or null when it is already running
+ */
+export async function runScheduleNow(id) {
+  const schedule = (await getSchedules()).find(s => s.id === id);
+  if (!schedule) throw new Error('This schedule no longer exists');
+  return runSchedule(schedule);
+}
+
+async function onScheduleAlarm(name) {
+  const schedule = (await getSchedules()).find(s => ALARM_PREFIX + s.id === name);
+  if (!schedule?.enabled) return;
+  // Re-arm first so one failed run does not end the schedule
+  await armAlarm(schedule);
+  await runSchedule(schedule);
+}
+
+/**
+ * Start scheduling; called once when the service worker loads
+ * @param {function} runGoal - (schedule) => Promise<{ status, traceId, answer?, error? }>, never rejects
+ */
+export function initScheduler(runGoal) {
+  runner = runGoal;
+
+  chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name.startsWith(ALARM_PREFIX)) onScheduleAlarm(alarm.name).catch(error => console.error(`Schedule alarm ${alarm.name} failed:`, error));
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STORAGE_KEY]) syncAlarms(true).catch(() => {});
+  });
+
+  syncAlarms(false).catch(() => {});
+}
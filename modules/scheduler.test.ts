@@ -0,0 +1,86 @@
+/**
+ * Scheduler tests - Run: npx tsx modules/scheduler.test.ts
+ *
+ * Settings live in an in-memory chrome.storage whose reads take a moment, like the real one.
+ */
+import { initScheduler, getSchedules, saveSchedule, deleteSchedule, runScheduleNow, getScheduleRuns } from './scheduler.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+const storageArea = () => {
+  const store: Record<string, unknown> = {};
+  return {
+    store,
+    get: async (key: string) => { await tick(); return key in store ? { [key]: structuredClone(store[key]) } : {}; },
+    set: async (items: Record<string, unknown>) => { await tick(); Object.assign(store, structuredClone(items)); },
+    remove: async (key: string) => { delete store[key]; }
+  };
+};
+const local = storageArea();
+const session = storageArea();
+let badge = '';
+const listeners: Array<(alarm: { name: string }) => void> = [];
+Object.assign(globalThis, {
+  chrome: {
+    storage: { local, session, onChanged: { addListener: () => {} } },
+    alarms: { getAll: async () => [], clear: async () => {}, create: async () => {}, onAlarm: { addListener: (fn: (alarm: { name: string }) => void) => listeners.push(fn) } },
+    notifications: { create: async () => {} },
+    action: { setBadgeBackgroundColor: async () => {}, setBadgeText: async ({ text }: { text: string }) => { badge = text; } }
+  }
+});
+
+initScheduler(async (schedule: { id: string }) => {
+  await tick();
+  if (schedule.id === 'broken') throw new Error('runner failed');
+  return { status: 'done', traceId: schedule.id, answer: `ran ${schedule.id}` };
+});
+
+const schedule = (id: string) => ({ id, name: id, goal: 'Check the news', cron: '0 9 * * *', enabled: true });
+await saveSchedule(schedule('a'));
+await saveSchedule(schedule('b'));
+
+// Runs finishing together all land in the history and the unseen count
+{
+  await Promise.all([runScheduleNow('a'), runScheduleNow('b')]);
+  const [a, b] = await Promise.all([getScheduleRuns('a'), getScheduleRuns('b')]);
+  assert(a.length === 1 && b.length === 1, `both runs recorded: got ${a.length} and ${b.length}`);
+  assert(session.store.unseenScheduleRuns === 2 && badge === '2', `both runs counted: got ${badge}`);
+}
+
+// Overlapping saves and deletes all apply
+{
+  await Promise.all([saveSchedule(schedule('c')), saveSchedule(schedule('d')), deleteSchedule('b')]);
+  const ids = (await getSchedules() as Array<{ id: string }>).map(s => s.id);
+  assert(ids.join() === 'a,c,d', `every change kept: got ${ids.join()}`);
+}
+
+// A failing alarm run is logged, not left as an unhandled rejection
+{
+  await saveSchedule(schedule('broken'));
+  let unhandled = false;
+  const onUnhandled = () => { unhandled = true; };
+  process.on('unhandledRejection', onUnhandled);
+  const logged: unknown[] = [];
+  const error = console.error;
+  console.error = (...args: unknown[]) => { logged.push(args[0]); };
+  listeners.forEach(fn => fn({ name: 'schedule:broken' }));
+  await new Promise(r => setTimeout(r, 100));
+  console.error = error;
+  process.off('unhandledRejection', onUnhandled);
+  assert(!unhandled, 'no unhandled rejection');
+  assert(logged.some(m => String(m).includes('schedule:broken')), `failure logged: got ${JSON.stringify(logged)}`);
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All scheduler tests passed');
+}
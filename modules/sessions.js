@@ -0,0 +1,129 @@
+/**
+ * Chat sessions - Conversations kept in IndexedDB, shared by the side panel and the service worker
+ * The panel creates, lists, renames and switches sessions; the service worker appends each finished
+ * exchange (with the run's trace ID) and reads the session back for CONTEXT_SELECTOR ({{chat_session}}).
+ *
+ * Session: { id, title, createdAt, updatedAt }
+ * Message: { id, sessionId, role: 'user' | 'assistant' | 'error', content, timestamp, traceId?, tab? }
+ */
+
+const DB_NAME = 'vishpr_sessions';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const MESSAGES_STORE = 'messages';
+const TITLE_LENGTH = 60;
+
+// Budget for {{chat_session}}: long answers are clipped, and the oldest turns go first when the whole is too long
+const CONTEXT_MESSAGE_LENGTH = 2000;
+const CONTEXT_TOTAL_LENGTH = 16000;
+
+let dbPromise = null;
+
+function getDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (e) => {
+        const db = /** @type {IDBOpenDBRequest} */ (e.target).result;
+        db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+        db.createObjectStore(MESSAGES_STORE, { keyPath: 'id', autoIncrement: true }).createIndex('sessionId', 'sessionId');
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Resolve with the request's result once its transaction has committed; reject if it fails or is aborted
+function run(stores, mode, fn) {
+  return getDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    const request = fn(tx);
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  }));
+}
+
+// Session title from its first message
+export function sessionTitle(text) {
+  const line = String(text).trim().split('\n')[0];
+  return line.length > TITLE_LENGTH ? line.slice(0, TITLE_LENGTH - 1) + '…' : line || 'New chat';
+}
+
+export async function createSession(title = 'New chat') {
+  const now = Date.now();
+  const session = { id: crypto.randomUUID(), title, createdAt: now, updatedAt: now };
+  await run(SESSIONS_STORE, 'readwrite', tx => tx.objectStore(SESSIONS_STORE).add(session));
+  return session;
+}
+
+export async function getSession(id) {
+  return (await run(SESSIONS_STORE, 'readonly', tx => tx.objectStore(SESSIONS_STORE).get(id))) || null;
+}
+
+// Most recently used first
+export async function listSessions() {
+  const sessions = await run(SESSIONS_STORE, 'readonly', tx => tx.objectStore(SESSIONS_STORE).getAll());
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function renameSession(id, title) {
+  const session = await getSession(id);
+  if (!session) return;
+  await run(SESSIONS_STORE, 'readwrite', tx => tx.objectStore(SESSIONS_STORE).put({ ...session, title: title.trim() || session.title }));
+}
+
+export async function deleteSession(id) {
+  await run([SESSIONS_STORE, MESSAGES_STORE], 'readwrite', tx => {
+    tx.objectStore(SESSIONS_STORE).delete(id);
+    const cursorRequest = tx.objectStore(MESSAGES_STORE).index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      tx.objectStore(MESSAGES_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    return null;
+  });
+}
+
+// Oldest first
+export async function getSessionMessages(id) {
+  const messages = await run(MESSAGES_STORE, 'readonly', tx => tx.objectStore(MESSAGES_STORE).index('sessionId').getAll(IDBKeyRange.only(id)));
+  return messages.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Append messages to a session and mark it as used; ignored when the session was deleted meanwhile
+ * @param {Array<{role: string, content: string, traceId?: string, tab?: string}>} messages
+ */
+export async function addSessionMessages(id, messages) {
+  const session = await getSession(id);
+  if (!session) return;
+  const timestamp = Date.now();
+  await run([SESSIONS_STORE, MESSAGES_STORE], 'readwrite', tx => {
+    for (const message of messages) tx.objectStore(MESSAGES_STORE).add({ ...message, sessionId: id, timestamp });
+    tx.objectStore(SESSIONS_STORE).put({ ...session, updatedAt: timestamp });
+    return null;
+  });
+}
+
+/**
+ * A session's messages as {{chat_session}} context, newest turns kept when it is too long
+ * @returns {{minutesSinceLast: number, omitted: number, messages: Array<{role: string, content: string, minutesAgo: number, tab?: string}>}|null}
+ */
+export function sessionContext(messages, now = Date.now()) {
+  if (!messages.length) return null;
+  const minutes = timestamp => Math.round((now - timestamp) / 60000);
+  const kept = [];
+  let length = 0;
+  for (const message of [...messages].reverse()) {
+    const content = message.content.length > CONTEXT_MESSAGE_LENGTH ? message.content.slice(0, CONTEXT_MESSAGE_LENGTH) + '…' : message.content;
+    length += content.length;
+    if (length > CONTEXT_TOTAL_LENGTH && kept.length) break;
+    kept.unshift({ role: message.role, content, minutesAgo: minutes(message.timestamp), ...(message.tab && { tab: message.tab }) });
+  }
+  return { minutesSinceLast: minutes(messages[messages.length - 1].timestamp), omitted: messages.length - kept.length, messages: kept };
+}
@@ -0,0 +1,63 @@
+/**
+ * Chat session tests - Run: npx tsx modules/sessions.test.ts
+ */
+import { sessionTitle, sessionContext } from './sessions.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const NOW = 1_700_000_000_000;
+const MINUTE = 60000;
+const message = (id: number, role: string, content: string, minutesAgo: number, extra = {}) =>
+  ({ id, sessionId: 's1', role, content, timestamp: NOW - minutesAgo * MINUTE, ...extra });
+
+// Titles
+{
+  assert(sessionTitle('Summarize this page') === 'Summarize this page', 'short message is the title');
+  assert(sessionTitle('  first line\nsecond line') === 'first line', 'title is the first line');
+  const long = sessionTitle('x'.repeat(100));
+  assert(long.length === 60 && long.endsWith('…'), 'long title is clipped');
+  assert(sessionTitle('   ') === 'New chat', 'blank message');
+}
+
+// Context
+{
+  assert(sessionContext([], NOW) === null, 'empty session has no context');
+
+  const ctx = sessionContext([
+    message(1, 'user', 'Find flights to Paris', 12, { tab: 't1 (https://flights.example)' }),
+    message(2, 'assistant', 'Cheapest is AF123 at $420', 12),
+    message(3, 'user', 'Book the second one', 2)
+  ], NOW)!;
+  assert(ctx.minutesSinceLast === 2, 'minutes since the last message');
+  assert(ctx.omitted === 0, 'nothing omitted');
+  assert(ctx.messages.map(m => m.role).join() === 'user,assistant,user', 'oldest first');
+  assert(ctx.messages[0].tab === 't1 (https://flights.example)', 'tab kept on user turns');
+  assert(!('tab' in ctx.messages[1]), 'no tab key when not recorded');
+  assert(ctx.messages[1].minutesAgo === 12, 'age per message');
+}
+
+{
+  const long = sessionContext([message(1, 'assistant', 'a'.repeat(5000), 0)], NOW)!;
+  assert(long.messages[0].content.length === 2001 && long.messages[0].content.endsWith('…'), 'long message is clipped');
+
+  // Clipped to 2001 chars, only 7 of 12 messages fit in 16000: the oldest ones are dropped
+  const many = Array.from({ length: 12 }, (_, i) => message(i + 1, i % 2 ? 'assistant' : 'user', `${i}`.padEnd(3000, '.'), 12 - i));
+  const ctx = sessionContext(many, NOW)!;
+  assert(ctx.messages.length === 7, `keeps what fits (${ctx.messages.length})`);
+  assert(ctx.omitted === 5, 'reports omitted messages');
+  assert(ctx.messages[ctx.messages.length - 1].content.startsWith('11'), 'newest message kept');
+  assert(ctx.messages[0].content.startsWith('5'), 'oldest kept message follows the omitted ones');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All session tests passed');
+}
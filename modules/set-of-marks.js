@@ -0,0 +1,79 @@
+/**
+ * Set-of-Marks - Ref labels drawn over a screenshot for READ_PAGE_VISUAL
+ * Each marked element gets an outline and a tag with its READ_PAGE ref, so a vision model can name what
+ * it sees by ref. Drawn in the service worker (OffscreenCanvas); the page itself is left untouched.
+ *
+ * Mark: { ref, x, y, width, height }   CSS pixels relative to the viewport (content.js getViewportMarks)
+ */
+
+// Wider screenshots are scaled down; vision models downscale large images anyway
+const MAX_WIDTH = 1600;
+const FONT_SIZE = 12;
+const LABEL_PADDING = 2;
+const COLORS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#c026d3', '#4d7c0f'];
+
+/**
+ * Where each mark's outline and tag go, in image pixels
+ * The tag sits above the outline's top-left corner, or just inside it when there is no room above,
+ * and is kept within the image.
+ * @param {Array<{ref: string, x: number, y: number, width: number, height: number}>} marks
+ * @param {{scale: number, width: number, height: number, measure?: function}} image - scale: image pixels per CSS pixel;
+ *   measure: (text) => tag text width in image pixels
+ * @returns {Array<{ref: string, color: string, box: {x: number, y: number, width: number, height: number}, label: {x: number, y: number, width: number, height: number}}>}
+ */
+export function layoutMarks(marks, { scale, width, height, measure = text => text.length * FONT_SIZE * 0.6 * scale }) {
+  const labelHeight = (FONT_SIZE + 2 * LABEL_PADDING) * scale;
+  return marks.map((mark, i) => {
+    const box = {
+      x: Math.max(0, mark.x * scale),
+      y: Math.max(0, mark.y * scale),
+      width: Math.min(width, (mark.x + mark.width) * scale) - Math.max(0, mark.x * scale),
+      height: Math.min(height, (mark.y + mark.height) * scale) - Math.max(0, mark.y * scale)
+    };
+    const labelWidth = measure(mark.ref) + 2 * LABEL_PADDING * scale;
+    const label = {
+      x: Math.max(0, Math.min(box.x, width - labelWidth)),
+      y: box.y >= labelHeight ? box.y - labelHeight : Math.min(box.y, height - labelHeight),
+      width: labelWidth,
+      height: labelHeight
+    };
+    return { ref: mark.ref, color: COLORS[i % COLORS.length], box, label };
+  }).filter(({ box }) => box.width > 0 && box.height > 0);
+}
+
+/**
+ * Draw the marks over a screenshot of the viewport
+ * @param {string} screenshot - data URL from chrome.tabs.captureVisibleTab
+ * @param {{width: number, height: number}} viewport - CSS pixel size of the captured viewport
+ * @returns {Promise<string>} JPEG data URL
+ */
+export async function annotateScreenshot(screenshot, marks, viewport) {
+  const bitmap = await createImageBitmap(await (await fetch(screenshot)).blob());
+  const shrink = Math.min(1, MAX_WIDTH / bitmap.width);
+  const width = Math.round(bitmap.width * shrink);
+  const height = Math.round(bitmap.height * shrink);
+  const scale = width / viewport.width;
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  ctx.font = `bold ${FONT_SIZE * scale}px sans-serif`;
+  ctx.textBaseline = 'top';
+  ctx.lineWidth = Math.max(1, 2 * scale);
+
+  for (const { ref, color, box, label } of layoutMarks(marks, { scale, width, height, measure: text => ctx.measureText(text).width })) {
+    ctx.strokeStyle = color;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+    ctx.fillStyle = color;
+    ctx.fillRect(label.x, label.y, label.width, label.height);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(ref, label.x + LABEL_PADDING * scale, label.y + LABEL_PADDING * scale);
+  }
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return `data:image/jpeg;base64,${btoa(binary)}`;
+}
@@ -0,0 +1,57 @@
+/**
+ * Set-of-Marks tests - Run: npx tsx modules/set-of-marks.test.ts
+ */
+import { layoutMarks } from './set-of-marks.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const measure = (text: string) => text.length * 10;
+
+// Boxes are scaled to image pixels; tags sit above them
+{
+  const [mark] = layoutMarks([{ ref: 'e3', x: 100, y: 50, width: 80, height: 20 }], { scale: 2, width: 2000, height: 1000, measure });
+  assert(JSON.stringify(mark.box) === JSON.stringify({ x: 200, y: 100, width: 160, height: 40 }), `box scaled: ${JSON.stringify(mark.box)}`);
+  assert(mark.label.x === 200 && mark.label.y === 100 - mark.label.height, `tag above the box: ${JSON.stringify(mark.label)}`);
+  assert(mark.label.width === 20 + 8 && mark.label.height === 32, `tag size includes padding: ${JSON.stringify(mark.label)}`);
+}
+
+// Tags stay inside the image
+{
+  const [top, right] = layoutMarks([
+    { ref: 'e1', x: 10, y: 0, width: 50, height: 20 },
+    { ref: 'e22', x: 790, y: 300, width: 10, height: 10 }
+  ], { scale: 1, width: 800, height: 600, measure });
+  assert(top.label.y === 0, 'tag inside the box when there is no room above');
+  assert(right.label.x + right.label.width === 800, `tag moved left of the right edge: ${JSON.stringify(right.label)}`);
+}
+
+// Boxes are clipped to the image; marks left with nothing visible are dropped
+{
+  const marks = layoutMarks([
+    { ref: 'e1', x: -20, y: 10, width: 60, height: 20 },
+    { ref: 'e2', x: 900, y: 10, width: 60, height: 20 },
+    { ref: 'e3', x: 10, y: 590, width: 20, height: 40 }
+  ], { scale: 1, width: 800, height: 600, measure });
+  assert(marks.length === 2 && marks[0].ref === 'e1' && marks[1].ref === 'e3', `outside mark dropped: ${marks.map(m => m.ref)}`);
+  assert(marks[0].box.x === 0 && marks[0].box.width === 40, `clipped on the left: ${JSON.stringify(marks[0].box)}`);
+  assert(marks[1].box.height === 10, `clipped at the bottom: ${JSON.stringify(marks[1].box)}`);
+}
+
+// Neighbouring marks get different colours
+{
+  const marks = layoutMarks([1, 2, 3].map(i => ({ ref: `e${i}`, x: i * 100, y: 100, width: 50, height: 20 })), { scale: 1, width: 800, height: 600, measure });
+  assert(new Set(marks.map(m => m.color)).size === 3, 'colours differ');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All set-of-marks tests passed');
+}
@@ -1,6 +1,6 @@
 // Settings Management
 import { elements } from './dom.js';
-import { addMessage } from './chat.js';
+import { addMessage, runWorkflow, launchTask } from './chat.js';
 import {
   setApiKey,
   getModels,
@@ -15,10 +15,18 @@ import {
   verifyModel,
   recordSuccess,
   recordError,
+  getBudgetLimits,
+  setBudgetLimits,
   PREDEFINED_ENDPOINTS,
   OPENROUTER_ID
 } from './llm/index.js';
 import { getModelStatsCounter, modelStatsKey } from './debug/time-bucket-counter.js';
+import { getCustomActions, serializeCustomActions, parseCustomActionsFile } from './actions/custom-actions.js';
+import { getWorkflows, saveWorkflow, deleteWorkflow } from './workflows.js';
+import { getTasks, saveTask, deleteTask, getTaskRuns, shortcutCommand } from './tasks.js';
+import { getSchedules, saveSchedule, deleteSchedule, getScheduleRuns } from './scheduler.js';
+import { nextCronTime } from './cron.js';
+import { showTrace } from './debug/index.js';
 import Sortable from 'sortablejs';
 import { matchSorter } from 'match-sorter';
 
@@ -217,13 +225,15 @@ async function verifyAllModels() {
   // Second pass: start verification tasks
   for (const tier of TIERS) {
     for (let i = 0; i < (currentModels[tier]?.length || 0); i++) {
-      const [ep, m, prov, noTool, noToolUse] = currentModels[tier][i], key = `${tier}:${i}`;
+      const [ep, m, prov, noTool, noToolUse, vision] = currentModels[tier][i], key = `${tier}:${i}`;
       const status = verificationStatus.get(key);
       if (!m || !status?.verifying) continue;
       tasks.push(verifyModel(ep, m, prov).then(async result => {
         verificationStatus.set(key, { verified: result.valid, error: result.error });
-        if ((result.noToolChoice && !noTool) || (result.noToolUse && !noToolUse)) {
-          currentModels[tier][i] = [ep, m, prov, result.noToolChoice || noTool, result.noToolUse || noToolUse];
+        // An inconclusive image check (vision: null) keeps the flag
+        const nextVision = (result.vision ?? vision) || undefined;
+        if ((result.noToolChoice && !noTool) || (result.noToolUse && !noToolUse) || Boolean(nextVision) !== Boolean(vision)) {
+          currentModels[tier][i] = [ep, m, prov, result.noToolChoice || noTool, result.noToolUse || noToolUse, nextVision];
           needsSave = true;
         }
         await (result.valid ? recordSuccess(ep, m, prov) : recordError(ep, m, prov));
@@ -235,7 +245,7 @@ async function verifyAllModels() {
   if (needsSave) saveModels();
 }
 
-function createModelItem(endpoint, model, openrouterProvider, noToolChoice, noToolUse, tier, index, stats) {
+function createModelItem(endpoint, model, openrouterProvider, noToolChoice, noToolUse, vision, tier, index, stats) {
   const el = tpl('tpl-model-item');
   el.dataset.tier = tier; el.dataset.index = index;
   el.querySelector('.model-endpoint').textContent = endpoint;
@@ -256,6 +266,8 @@ function createModelItem(endpoint, model, openrouterProvider, noToolChoice, noTo
     warningEl.innerHTML = `<div class="tooltip tooltip-bottom tooltip-warning" data-tip="${warningTip}"><svg class="w-3 h-3 text-warning" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2L1 21h22L12 2zm0 4l7.5 13h-15L12 6zm-1 5v4h2v-4h-2zm0 6v2h2v-2h-2z"/></svg></div>`;
   }
 
+  if (vision) el.querySelector('.vision-indicator').classList.remove('hidden');
+
   if (stats) {
     const success = stats.success?.total || 0, error = stats.error?.total || 0, total = success + error;
     if (total > 0) {
@@ -336,7 +348,7 @@ async function renderTierModels(tier) {
   listEl.innerHTML = '';
   if (!models.length) { listEl.innerHTML = '<li class="text-center text-xs opacity-50 py-4">No models configured</li>'; return; }
   const stats = await getModelStatsCounter().getAllStats();
-  models.forEach(([ep, m, prov, noTool, noToolUse], i) => listEl.appendChild(createModelItem(ep, m, prov, noTool, noToolUse, tier, i, stats[modelStatsKey(ep, m, prov)])));
+  models.forEach(([ep, m, prov, noTool, noToolUse, vision], i) => listEl.appendChild(createModelItem(ep, m, prov, noTool, noToolUse, vision, tier, i, stats[modelStatsKey(ep, m, prov)])));
 }
 
 const renderAllModels = () => Promise.all(TIERS.map(renderTierModels));
@@ -382,7 +394,10 @@ async function handleModelSave(tier, index) {
   saveBtn.disabled = false; saveBtn.innerHTML = originalHtml;
 
   verificationStatus.set(`${tier}:${index}`, { verified: result.valid, error: result.error });
-  currentModels[tier][index] = [endpoint, model, openrouterProvider, result.noToolChoice || undefined, result.noToolUse || undefined];
+  // An edited model keeps its image flag when the image check was inconclusive
+  const [prevEndpoint, prevModel, , , , prevVision] = currentModels[tier][index] || [];
+  const keptVision = prevEndpoint === endpoint && prevModel === model ? prevVision : undefined;
+  currentModels[tier][index] = [endpoint, model, openrouterProvider, result.noToolChoice || undefined, result.noToolUse || undefined, (result.vision ?? keptVision) || undefined];
   saveModels(); renderTierModels(tier);
 
   const statusMsg = result.noToolUse ? '✓ Model verified (schema output only, no tool use)'
@@ -405,7 +420,7 @@ async function handleModelAdd(tier) {
 
   listEl.innerHTML = '';
   const stats = await getModelStatsCounter().getAllStats();
-  currentModels[tier].slice(0, -1).forEach(([ep, m, prov, noTool, noToolUse], i) => listEl.appendChild(createModelItem(ep, m, prov, noTool, noToolUse, tier, i, stats[modelStatsKey(ep, m, prov)])));
+  currentModels[tier].slice(0, -1).forEach(([ep, m, prov, noTool, noToolUse, vision], i) => listEl.appendChild(createModelItem(ep, m, prov, noTool, noToolUse, vision, tier, i, stats[modelStatsKey(ep, m, prov)])));
   listEl.appendChild(await createModelEditingRow(defaultEndpoint, '', null, tier, index));
   listEl.querySelector('.list-row:last-child .model-name-input').focus();
 }
@@ -444,6 +459,15 @@ function setupDragAndDrop() {
 
 function setupModelsSection() {
   setupDragAndDrop();
+  // Models changed elsewhere (the /model command); verification results are kept by position, so they are dropped
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.llmModels) return;
+    const models = changes.llmModels.newValue || getDefaultModels();
+    if (JSON.stringify(models) === JSON.stringify(currentModels)) return;
+    currentModels = models;
+    verificationStatus.clear();
+    renderAllModels();
+  });
   document.querySelectorAll('.tier-add-btn').forEach(btn => btn.addEventListener('click', e => { e.stopPropagation(); handleModelAdd(/** @type {HTMLElement} */ (btn).dataset.tier); }));
   elements.resetModelsBtn.addEventListener('click', handleResetModels);
 
@@ -534,6 +558,459 @@ function setupModelsSection() {
   elements.modelsBody.addEventListener('focusout', e => handleAutocompleteEvent(e, true));
 }
 
+// ============ Budget ============
+
+async function renderBudget() {
+  const { maxTokens, maxCost } = await getBudgetLimits();
+  elements.budgetMaxTokens.value = maxTokens || '';
+  elements.budgetMaxCost.value = maxCost || '';
+}
+
+function setupBudgetSection() {
+  elements.budgetSection.addEventListener('change', async () => {
+    const parse = input => Math.max(0, Number(input.value) || 0);
+    await setBudgetLimits({ maxTokens: Math.round(parse(elements.budgetMaxTokens)), maxCost: parse(elements.budgetMaxCost) });
+    await renderBudget();
+  });
+}
+
+// ============ Custom Actions ============
+
+let customActions = [];
+let editingCustomAction = null;  // Index in customActions, or -1 for a new one
+
+// Starting point for "Add": one llm step, offered to ROUTER
+const CUSTOM_ACTION_EXAMPLE = {
+  name: 'SUMMARIZE_TEXT',
+  description: 'Summarize a piece of text in a few bullet points',
+  tool_doc: { use_when: ['User asks for a short summary of given text'] },
+  input_schema: { type: 'object', properties: { text: { type: 'string', description: 'Text to summarize' } }, required: ['text'] },
+  attach_to: ['ROUTER'],
+  steps: [{
+    type: 'llm',
+    system_prompt: 'You write concise summaries.',
+    message: 'Summarize in at most 5 bullet points:\n\n{{{text}}}',
+    intelligence: 'MEDIUM',
+    output_schema: { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'], additionalProperties: false }
+  }]
+};
+
+function showCustomActionErrors(errors = []) {
+  elements.customActionErrors.classList.toggle('hidden', !errors.length);
+  elements.customActionErrors.replaceChildren(...errors.map(error => Object.assign(document.createElement('li'), { textContent: error })));
+}
+
+async function renderCustomActions() {
+  customActions = await getCustomActions();
+  const list = elements.customActionsList;
+  list.innerHTML = '';
+  if (!customActions.length) { list.innerHTML = '<li class="text-center text-xs opacity-50 py-4">No custom actions</li>'; return; }
+
+  customActions.forEach((def, i) => {
+    const el = tpl('tpl-custom-action-item');
+    el.dataset.index = String(i);
+    el.querySelector('.custom-action-name').textContent = def.name;
+    el.querySelector('.custom-action-description').textContent = def.description;
+    el.querySelector('.custom-action-hosts').replaceChildren(...(def.attach_to || []).map(host =>
+      Object.assign(document.createElement('span'), { className: 'badge badge-outline badge-xs font-mono', textContent: host })));
+    list.appendChild(el);
+  });
+}
+
+function openCustomActionEditor(index) {
+  editingCustomAction = index;
+  elements.customActionJson.value = JSON.stringify(index === -1 ? CUSTOM_ACTION_EXAMPLE : customActions[index], null, 2);
+  elements.customActionEditor.classList.remove('hidden');
+  showCustomActionErrors();
+  elements.customActionJson.focus();
+}
+
+function closeCustomActionEditor() {
+  editingCustomAction = null;
+  elements.customActionEditor.classList.add('hidden');
+  showCustomActionErrors();
+}
+
+// The background validates against the live registry and registers the whole list, or rejects it
+async function saveCustomActionList(actions) {
+  const { errors } = await chrome.runtime.sendMessage({ action: 'saveCustomActions', actions });
+  if (errors?.length) { showCustomActionErrors(errors); return false; }
+  showCustomActionErrors();
+  await renderCustomActions();
+  return true;
+}
+
+async function handleCustomActionSave() {
+  let def;
+  try { def = JSON.parse(elements.customActionJson.value); } catch (e) { return showCustomActionErrors([`Invalid JSON: ${e.message}`]); }
+  const actions = [...customActions];
+  if (editingCustomAction === -1) actions.push(def);
+  else actions[editingCustomAction] = def;
+  if (await saveCustomActionList(actions)) closeCustomActionEditor();
+}
+
+async function handleCustomActionsImport(file) {
+  let imported;
+  try { imported = parseCustomActionsFile(await file.text()); } catch (e) { return showCustomActionErrors([`Cannot import ${file.name}: ${e.message}`]); }
+  // Same name replaces the existing definition in place; new ones are appended
+  const actions = [...customActions];
+  for (const def of imported) {
+    const index = actions.findIndex(a => a.name === def?.name);
+    if (index === -1) actions.push(def);
+    else actions[index] = def;
+  }
+  await saveCustomActionList(actions);
+}
+
+function handleCustomActionsExport() {
+  const url = URL.createObjectURL(new Blob([serializeCustomActions(customActions)], { type: 'application/json' }));
+  Object.assign(document.createElement('a'), { href: url, download: 'vishpr-custom-actions.json' }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function setupCustomActionsSection() {
+  elements.addCustomActionBtn.addEventListener('click', () => openCustomActionEditor(-1));
+  elements.saveCustomActionBtn.addEventListener('click', handleCustomActionSave);
+  elements.cancelCustomActionBtn.addEventListener('click', closeCustomActionEditor);
+  elements.exportCustomActionsBtn.addEventListener('click', handleCustomActionsExport);
+  elements.importCustomActionsBtn.addEventListener('click', () => elements.customActionsFile.click());
+  elements.customActionsFile.addEventListener('change', () => {
+    const [file] = elements.customActionsFile.files;
+    elements.customActionsFile.value = '';
+    if (file) handleCustomActionsImport(file);
+  });
+
+  elements.customActionsList.addEventListener('click', e => {
+    const btn = e.target.closest('button');
+    const row = btn?.closest('li');
+    if (!row) return;
+    const index = Number(row.dataset.index);
+    if (btn.classList.contains('edit')) openCustomActionEditor(index);
+    else if (btn.classList.contains('delete')) saveCustomActionList(customActions.filter((_, i) => i !== index));
+  });
+}
+
+// ============ Tasks ============
+
+let editingTask = null;  // Name of the task being edited, or '' for a new one
+
+function showTaskErrors(errors = []) {
+  elements.taskErrors.classList.toggle('hidden', !errors.length);
+  elements.taskErrors.replaceChildren(...errors.map(error => Object.assign(document.createElement('li'), { textContent: error })));
+}
+
+async function renderTasks() {
+  const [tasks, commands] = await Promise.all([getTasks(), chrome.commands.getAll().catch(() => [])]);
+  const list = elements.tasksList;
+  list.innerHTML = '';
+  if (!tasks.length) { list.innerHTML = '<li class="text-center text-xs opacity-50 py-4">No tasks</li>'; return; }
+
+  for (const task of tasks) {
+    const el = tpl('tpl-task-item');
+    el.dataset.name = task.name;
+    el.querySelector('.task-name').textContent = `/${task.name}`;
+    el.querySelector('.task-goal').textContent = task.goal;
+    el.querySelector('.task-goal').setAttribute('title', task.goal);
+    if (task.shortcut) {
+      const key = commands.find(c => c.name === shortcutCommand(task.shortcut))?.shortcut;
+      const badge = el.querySelector('.task-shortcut');
+      badge.textContent = key || `slot ${task.shortcut}`;
+      badge.setAttribute('title', key ? `Shortcut slot ${task.shortcut}` : `Slot ${task.shortcut} has no key yet: bind one in chrome://extensions/shortcuts`);
+      badge.classList.remove('hidden');
+    }
+    list.appendChild(el);
+  }
+}
+
+const RUN_STATUS_BADGE = { done: 'badge-success', error: 'badge-error', cancelled: 'badge-warning' };
+
+/**
+ * Show or hide a row's run history (tasks and schedules); runs with a stored answer get an "answer" link
+ */
+async function toggleRunHistory(row, loadRuns) {
+  const runsList = row.querySelector('.run-history');
+  const btn = row.querySelector('.history');
+  const open = runsList.classList.toggle('hidden') === false;
+  btn.setAttribute('aria-expanded', String(open));
+  if (!open) return;
+
+  const runs = await loadRuns();
+  if (!runs.length) { runsList.innerHTML = '<li class="opacity-50">No runs yet</li>'; return; }
+  runsList.replaceChildren(...runs.map((run, index) => {
+    const item = Object.assign(document.createElement('li'), { className: 'run-history-item' });
+    item.append(
+      Object.assign(document.createElement('span'), { className: `badge badge-xs ${RUN_STATUS_BADGE[run.status] || ''}`, textContent: run.status }),
+      Object.assign(document.createElement('span'), { className: 'flex-1 truncate', textContent: new Date(run.startedAt).toLocaleString(), title: run.error || '' }),
+      Object.assign(document.createElement('span'), { className: 'opacity-50', textContent: run.duration ? `${(run.duration / 1000).toFixed(1)}s` : '' })
+    );
+    if (run.answer) {
+      const link = Object.assign(document.createElement('button'), { className: 'run-link', textContent: 'answer', title: 'Show the answer in chat' });
+      link.dataset.answer = String(index);
+      item.appendChild(link);
+    }
+    if (run.traceId) {
+      const link = Object.assign(document.createElement('button'), { className: 'run-link', textContent: 'trace', title: 'Open this run in debug mode' });
+      link.dataset.trace = run.traceId;
+      item.appendChild(link);
+    }
+    return item;
+  }));
+}
+
+function openTaskEditor(task) {
+  editingTask = task?.name ?? '';
+  elements.taskNameInput.value = task?.name ?? '';
+  elements.taskGoalInput.value = task?.goal ?? '';
+  elements.taskShortcutSelect.value = task?.shortcut ? String(task.shortcut) : '';
+  elements.taskEditor.classList.remove('hidden');
+  showTaskErrors();
+  elements.taskNameInput.focus();
+}
+
+function closeTaskEditor() {
+  editingTask = null;
+  elements.taskEditor.classList.add('hidden');
+  showTaskErrors();
+}
+
+async function handleTaskSave() {
+  const shortcut = Number(elements.taskShortcutSelect.value) || null;
+  const task = { name: elements.taskNameInput.value.trim(), goal: elements.taskGoalInput.value.trim(), ...(shortcut && { shortcut }) };
+  const errors = await saveTask(task, editingTask || null);
+  if (errors.length) return showTaskErrors(errors);
+  closeTaskEditor();
+  await renderTasks();
+}
+
+function setupTasksSection() {
+  elements.addTaskBtn.addEventListener('click', () => openTaskEditor(null));
+  elements.saveTaskBtn.addEventListener('click', handleTaskSave);
+  elements.cancelTaskBtn.addEventListener('click', closeTaskEditor);
+
+  elements.tasksList.addEventListener('click', async e => {
+    const btn = e.target.closest('button');
+    const row = btn?.closest('.task-item');
+    if (!row) return;
+    const name = row.dataset.name;
+    if (btn.dataset.trace) {
+      toggleSettings(false);
+      showTrace(btn.dataset.trace);
+    } else if (btn.classList.contains('run')) {
+      toggleSettings(false);
+      launchTask(name);
+    } else if (btn.classList.contains('history')) toggleRunHistory(row, () => getTaskRuns(name));
+    else if (btn.classList.contains('edit')) openTaskEditor((await getTasks()).find(t => t.name === name));
+    else if (btn.classList.contains('delete')) {
+      await deleteTask(name);
+      await renderTasks();
+    }
+  });
+}
+
+// ============ Schedules ============
+
+let editingSchedule = null;  // Id of the schedule being edited
+
+function showScheduleErrors(errors = []) {
+  elements.scheduleErrors.classList.toggle('hidden', !errors.length);
+  elements.scheduleErrors.replaceChildren(...errors.map(error => Object.assign(document.createElement('li'), { textContent: error })));
+}
+
+function describeNextRun(cron) {
+  try {
+    const next = nextCronTime(cron);
+    return next ? `Next run ${next.toLocaleString()}` : 'Never runs: no date matches';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+async function renderSchedules() {
+  const schedules = await getSchedules();
+  const list = elements.schedulesList;
+  list.innerHTML = '';
+  if (!schedules.length) { list.innerHTML = '<li class="text-center text-xs opacity-50 py-4">No schedules</li>'; return; }
+
+  for (const schedule of schedules) {
+    const el = tpl('tpl-schedule-item');
+    el.dataset.id = schedule.id;
+    el.querySelector('.schedule-name').textContent = schedule.name;
+    el.querySelector('.schedule-cron').textContent = schedule.cron;
+    el.querySelector('.schedule-next').textContent = schedule.enabled ? describeNextRun(schedule.cron) : 'Paused';
+    el.querySelector('.schedule-goal').textContent = schedule.goal;
+    el.querySelector('.schedule-goal').setAttribute('title', schedule.goal);
+    el.querySelector('.schedule-enabled').checked = schedule.enabled;
+    list.appendChild(el);
+  }
+}
+
+function updateCronPreview() {
+  elements.scheduleCronPreview.textContent = elements.scheduleCronInput.value.trim() ? describeNextRun(elements.scheduleCronInput.value) : '';
+}
+
+function openScheduleEditor(schedule) {
+  editingSchedule = schedule?.id ?? null;
+  elements.scheduleNameInput.value = schedule?.name ?? '';
+  elements.scheduleCronInput.value = schedule?.cron ?? '';
+  elements.scheduleGoalInput.value = schedule?.goal ?? '';
+  elements.scheduleUrlInput.value = schedule?.url ?? '';
+  elements.scheduleEditor.classList.remove('hidden');
+  updateCronPreview();
+  showScheduleErrors();
+  elements.scheduleNameInput.focus();
+}
+
+function closeScheduleEditor() {
+  editingSchedule = null;
+  elements.scheduleEditor.classList.add('hidden');
+  showScheduleErrors();
+}
+
+async function handleScheduleSave() {
+  const existing = (await getSchedules()).find(s => s.id === editingSchedule);
+  const url = elements.scheduleUrlInput.value.trim();
+  const schedule = {
+    id: editingSchedule || crypto.randomUUID(),
+    name: elements.scheduleNameInput.value.trim(),
+    goal: elements.scheduleGoalInput.value.trim(),
+    cron: elements.scheduleCronInput.value.trim(),
+    ...(url && { url }),
+    enabled: existing?.enabled ?? true
+  };
+  const errors = await saveSchedule(schedule);
+  if (errors.length) return showScheduleErrors(errors);
+  closeScheduleEditor();
+  await renderSchedules();
+}
+
+async function runScheduleFromPanel(row, btn) {
+  btn.disabled = true;
+  row.querySelector('.schedule-next').textContent = 'Running…';
+  try {
+    const { run, error } = await chrome.runtime.sendMessage({ action: 'runScheduleNow', id: row.dataset.id });
+    if (error) throw new Error(error);
+    if (!run) throw new Error('This schedule is already running');
+    if (run.status === 'error') throw new Error(run.error);
+  } catch (e) {
+    addMessage('error', `Schedule failed: ${e.message}`);
+  } finally {
+    await renderSchedules();
+  }
+}
+
+function setupSchedulesSection() {
+  elements.addScheduleBtn.addEventListener('click', () => openScheduleEditor(null));
+  elements.saveScheduleBtn.addEventListener('click', handleScheduleSave);
+  elements.cancelScheduleBtn.addEventListener('click', closeScheduleEditor);
+  elements.scheduleCronInput.addEventListener('input', updateCronPreview);
+
+  elements.schedulesList.addEventListener('change', async e => {
+    const id = e.target.closest('.schedule-item')?.dataset.id;
+    if (!id || !e.target.classList.contains('schedule-enabled')) return;
+    const schedule = (await getSchedules()).find(s => s.id === id);
+    if (schedule) await saveSchedule({ ...schedule, enabled: e.target.checked });
+    await renderSchedules();
+  });
+
+  elements.schedulesList.addEventListener('click', async e => {
+    const btn = e.target.closest('button');
+    const row = btn?.closest('.schedule-item');
+    if (!row) return;
+    const id = row.dataset.id;
+    if (btn.dataset.trace) {
+      toggleSettings(false);
+      showTrace(btn.dataset.trace);
+    } else if (btn.dataset.answer) {
+      const run = (await getScheduleRuns(id))[Number(btn.dataset.answer)];
+      toggleSettings(false);
+      if (run) addMessage('assistant', run.answer);
+    } else if (btn.classList.contains('run')) runScheduleFromPanel(row, btn);
+    else if (btn.classList.contains('history')) toggleRunHistory(row, () => getScheduleRuns(id));
+    else if (btn.classList.contains('edit')) openScheduleEditor((await getSchedules()).find(s => s.id === id));
+    else if (btn.classList.contains('delete')) {
+      await deleteSchedule(id);
+      await renderSchedules();
+    }
+  });
+}
+
+// ============ Workflows ============
+
+async function renderWorkflows() {
+  const workflows = await getWorkflows();
+  const list = elements.workflowsList;
+  list.innerHTML = '';
+  if (!workflows.length) { list.innerHTML = '<li class="text-center text-xs opacity-50 py-4">No workflows</li>'; return; }
+
+  for (const workflow of workflows) {
+    const el = tpl('tpl-workflow-item');
+    el.dataset.name = workflow.name;
+    el.querySelector('.workflow-name').textContent = workflow.name;
+    el.querySelector('.workflow-meta').textContent = `${workflow.steps.length} steps · ${workflow.startUrl}`;
+    list.appendChild(el);
+  }
+}
+
+// The bar above the chat input is shown for as long as the service worker is recording
+function showRecording(steps) {
+  elements.recordingBar.classList.toggle('hidden', !steps);
+  elements.recordWorkflowBtn.disabled = !!steps;
+  if (steps) elements.recordingStepCount.textContent = String(steps.length);
+}
+
+async function startWorkflowRecording() {
+  const { error } = await chrome.runtime.sendMessage({ action: 'startRecording' });
+  if (error) return addMessage('system', `✗ Cannot record: ${error}`);
+  showRecording([]);
+  toggleSettings(false);
+  elements.workflowNameInput.focus();
+}
+
+async function stopWorkflowRecording(save) {
+  const name = elements.workflowNameInput.value.trim();
+  if (save && !name) { elements.workflowNameInput.focus(); return; }
+
+  const { recording, error } = await chrome.runtime.sendMessage({ action: 'stopRecording' });
+  showRecording(null);
+  elements.workflowNameInput.value = '';
+  if (error) return addMessage('system', `✗ Recording failed: ${error}`);
+  if (!save) return;
+  if (!recording) return addMessage('system', '✗ No recording in progress');
+  if (!recording.steps.length) return addMessage('system', 'Nothing was recorded');
+  await saveWorkflow({ name, startUrl: recording.startUrl, steps: recording.steps, createdAt: Date.now() });
+  await renderWorkflows();
+  addMessage('system', `✓ Saved workflow "${name}" (${recording.steps.length} steps)`);
+}
+
+function setupWorkflowsSection() {
+  elements.recordWorkflowBtn.addEventListener('click', startWorkflowRecording);
+  elements.saveRecordingBtn.addEventListener('click', () => stopWorkflowRecording(true));
+  elements.discardRecordingBtn.addEventListener('click', () => stopWorkflowRecording(false));
+  elements.workflowNameInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') stopWorkflowRecording(true);
+  });
+
+  elements.workflowsList.addEventListener('click', async e => {
+    const btn = e.target.closest('button');
+    const name = btn?.closest('li')?.dataset.name;
+    if (!name) return;
+    if (btn.classList.contains('run')) {
+      toggleSettings(false);
+      runWorkflow(name);
+    } else if (btn.classList.contains('delete')) {
+      await deleteWorkflow(name);
+      await renderWorkflows();
+    }
+  });
+
+  chrome.runtime.onMessage.addListener(msg => {
+    if (msg.action === 'recordingUpdated') showRecording(msg.steps);
+  });
+  // A recording started before the panel was (re)opened keeps going
+  chrome.runtime.sendMessage({ action: 'getRecording' })
+    .then(({ recording }) => showRecording(recording?.steps || null), () => {});
+}
+
 // ============ Settings Panel ============
 
 function updateHeaderTitle() {
@@ -546,14 +1023,14 @@ async function toggleSettings(show) {
   elements.settingsPanel.classList.toggle('hidden', !show);
   elements.settingsToggle.classList.toggle('btn-active', show);
   if (!show) return;
-  renderEndpoints(); await renderAllModels();
+  renderEndpoints(); await renderAllModels(); await renderBudget(); await renderCustomActions(); await renderTasks(); await renderSchedules(); await renderWorkflows();
 }
 
 export async function initSettings() {
   currentEndpoints = await getEndpoints();
   currentModels = await getModels();
 
-  renderEndpoints(); await renderAllModels();
+  renderEndpoints(); await renderAllModels(); await renderBudget(); await renderCustomActions(); await renderTasks(); await renderSchedules(); await renderWorkflows();
   const hasEndpoints = Object.keys(currentEndpoints).length > 0;
   if (!hasEndpoints) toggleSettings(true);
   updateHeaderTitle();
@@ -561,6 +1038,11 @@ export async function initSettings() {
   elements.settingsToggle.addEventListener('click', () => toggleSettings(elements.settingsPanel.classList.contains('hidden')));
   setupEndpointsSection();
   setupModelsSection();
+  setupBudgetSection();
+  setupCustomActionsSection();
+  setupTasksSection();
+  setupSchedulesSection();
+  setupWorkflowsSection();
   if (hasEndpoints) {
     verifyAllEndpoints();
     verifyAllModels();
@@ -0,0 +1,128 @@
+/**
+ * Slash commands - `/name arguments` typed in the chat input, handled without the ROUTER
+ * A command runs one command action (actions/command-actions.ts) as a chat turn, or changes something
+ * in the panel directly. Saved tasks (tasks.js) share the `/name` space; a built-in name wins.
+ * Add a command with registerCommand().
+ *
+ * Command: { name, args?, description, run(args, chat, text) }
+ *   args: usage hint shown in autocomplete ("[focus]"); run gets the text after the name, the chat API
+ *   and the whole message
+ * Chat API (chat.js): { runAction(text, action, params), say(markdown), notify(text), newChat(), lastTraceId(), showTrace(id) }
+ */
+import { matchSorter } from 'match-sorter';
+import { getModels, setModels, promoteModel } from './llm/index.js';
+import { parseKnowledgeBase } from './actions/knowledge-base-action.js';
+import { getTraces } from './debug/trace-collector.js';
+
+const commands = new Map();
+
+export function registerCommand(command) {
+  commands.set(command.name, command);
+}
+
+export function getCommand(name) {
+  return commands.get(name) || null;
+}
+
+/**
+ * Split `/name arguments`
+ * @returns {{name: string, args: string}|null} null when the text is not a slash command
+ */
+export function parseSlashCommand(text) {
+  const match = String(text).trim().match(/^\/([a-z0-9][a-z0-9-]*)(?:\s+([\s\S]*))?$/);
+  return match ? { name: match[1], args: (match[2] || '').trim() } : null;
+}
+
+/**
+ * Autocomplete entries for the text typed after the slash; built-in commands come before tasks on ties
+ * @param {string} query
+ * @param {Array<{name: string, goal: string}>} [tasks] - saved tasks
+ * @returns {Array<{name: string, args: string, description: string, task: boolean}>}
+ */
+export function matchCommands(query, tasks = []) {
+  const entries = [
+    ...[...commands.values()].map(c => ({ name: c.name, args: c.args || '', description: c.description, task: false })),
+    ...tasks.filter(t => !commands.has(t.name)).map(t => ({ name: t.name, args: '', description: t.goal, task: true }))
+  ];
+  if (!query) return entries;
+  return matchSorter(entries, query, {
+    keys: ['name', { key: 'description', threshold: matchSorter.rankings.WORD_STARTS_WITH }],
+    baseSort: (a, b) => a.index - b.index
+  });
+}
+
+// ============ Built-in commands ============
+
+const MODEL_ARG = /^([a-z]+)=(\S+)$/i;
+
+async function changeModels(args, chat) {
+  let models = await getModels();
+  if (!args) {
+    const lines = Object.entries(models).map(([tier, list]) => `- **${tier}**: ${list[0]?.[1] ?? '(none)'}`);
+    return chat.say(`First choice per tier:\n\n${lines.join('\n')}\n\nChange one with \`/model high=model-id\`.`);
+  }
+  const changes = args.split(/\s+/).map(part => part.match(MODEL_ARG));
+  if (changes.some(m => !m)) return chat.notify('✗ Usage: /model high=model-id [medium=…] [low=…]');
+  try {
+    const promoted = changes.map(([, tier, query]) => {
+      const next = promoteModel(models, tier, query);
+      models = next.models;
+      return `${tier.toUpperCase()} → ${next.entry[1]}`;
+    });
+    await setModels(models);
+    chat.notify(`✓ ${promoted.join(', ')}`);
+  } catch (e) {
+    chat.notify(`✗ ${e.message}`);
+  }
+}
+
+async function showKnowledgeBase(chat) {
+  const { user_preferences_kb: kb = '' } = await chrome.storage.local.get('user_preferences_kb');
+  const facts = parseKnowledgeBase(kb).sort((a, b) => b.score - a.score);
+  if (!facts.length) return chat.say('The knowledge base is empty. Add to it with `/kb I prefer aisle seats`.');
+  chat.say(`**Knowledge base** (${facts.length} facts, most confirmed first)\n\n${facts.map(f => `- ${f.text} *(${f.score})*`).join('\n')}`);
+}
+
+registerCommand({
+  name: 'read',
+  description: 'Show the current page as the agent reads it',
+  run: (args, chat, text) => chat.runAction(text, 'READ_CURRENT_PAGE', {})
+});
+
+registerCommand({
+  name: 'summarize',
+  args: '[focus]',
+  description: 'Summarize the current page',
+  run: (args, chat, text) => chat.runAction(text, 'SUMMARIZE_PAGE', args ? { focus: args } : {})
+});
+
+registerCommand({
+  name: 'clear',
+  description: 'Start a new chat (this one stays under Chats)',
+  run: (args, chat) => chat.newChat()
+});
+
+registerCommand({
+  name: 'trace',
+  args: '[last | trace id]',
+  description: 'Open the trace of the last run in debug mode',
+  run: async (args, chat) => {
+    const traceId = args && args !== 'last' ? args : chat.lastTraceId() || (await getTraces(1))[0]?.traceId;
+    if (!traceId) return chat.notify('✗ No runs yet');
+    chat.showTrace(traceId);
+  }
+});
+
+registerCommand({
+  name: 'model',
+  args: '[tier=model]',
+  description: 'Show or change the first-choice model of a tier',
+  run: (args, chat) => changeModels(args, chat)
+});
+
+registerCommand({
+  name: 'kb',
+  args: '[fact]',
+  description: 'Show the knowledge base, or add a fact to it',
+  run: (args, chat, text) => (args ? chat.runAction(text, 'REMEMBER_FACT', { fact: args }) : showKnowledgeBase(chat))
+});
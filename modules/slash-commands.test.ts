@@ -0,0 +1,87 @@
+/**
+ * Slash command tests - Run: npx tsx modules/slash-commands.test.ts
+ */
+import { parseSlashCommand, matchCommands, getCommand } from './slash-commands.js';
+import { promoteModel } from './llm/models.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const throws = (fn: () => unknown): string | null => {
+  try { fn(); return null; } catch (e) { return (e as Error).message; }
+};
+
+// Parsing
+{
+  const trace = parseSlashCommand('  /trace last ');
+  assert(trace?.name === 'trace' && trace.args === 'last', 'name and arguments');
+  const read = parseSlashCommand('/read');
+  assert(read?.name === 'read' && read.args === '', 'no arguments');
+  assert(parseSlashCommand('/summarize pricing\nand plans')?.args === 'pricing\nand plans', 'arguments span lines');
+  assert(parseSlashCommand('summarize this') === null, 'plain text');
+  assert(parseSlashCommand('/ read') === null, 'space after the slash');
+  assert(parseSlashCommand('/Read') === null, 'names are lowercase');
+}
+
+// Built-ins
+{
+  for (const name of ['read', 'summarize', 'clear', 'trace', 'model', 'kb']) {
+    assert(typeof getCommand(name)?.run === 'function', `built-in /${name}`);
+  }
+  assert(getCommand('nope') === null, 'unknown command');
+}
+
+// Autocomplete
+{
+  const tasks = [
+    { name: 'track-price', goal: 'Track the price of a product' },
+    { name: 'read', goal: 'A task shadowed by the built-in' }
+  ];
+  const all = matchCommands('', tasks);
+  assert(all.filter(e => e.name === 'read').length === 1 && !all.find(e => e.name === 'read')!.task, 'built-in shadows a task');
+  assert(all[all.length - 1].name === 'track-price' && all[all.length - 1].task, 'tasks listed after built-ins');
+
+  const names = matchCommands('tr', tasks).map(e => e.name);
+  assert(names[0] === 'trace' && names.includes('track-price'), `prefix matches, built-in first on ties: ${names}`);
+  assert(matchCommands('sum', tasks)[0]?.name === 'summarize', 'prefix match');
+  assert(matchCommands('price', tasks).some(e => e.name === 'track-price'), 'match inside the name');
+  assert(matchCommands('knowledge', tasks)[0]?.name === 'kb', 'match on a description word');
+  assert(matchCommands('zzz', tasks).length === 0, 'no match');
+}
+
+// Changing the first-choice model
+{
+  const models = {
+    HIGH: [['openrouter', 'anthropic/claude-sonnet-4'], ['openrouter', 'openai/gpt-4o']],
+    MEDIUM: [['openrouter', 'openai/gpt-4o-mini'], ['openrouter', 'google/gemini-2.5-flash']],
+    LOW: [['local', 'llama3']]
+  };
+
+  const exact = promoteModel(models, 'high', 'openai/gpt-4o');
+  assert(exact.models.HIGH[0][1] === 'openai/gpt-4o', 'exact id moves to the front');
+  assert(exact.models.HIGH.length === 2, 'no duplicate entry');
+  assert(exact.models.MEDIUM === models.MEDIUM && models.HIGH[0][1] === 'anthropic/claude-sonnet-4', 'other tiers and the input untouched');
+
+  const partial = promoteModel(models, 'LOW', 'gemini');
+  assert(partial.entry[1] === 'google/gemini-2.5-flash' && partial.models.LOW[0][1] === 'google/gemini-2.5-flash', 'unique substring from another tier');
+  assert(partial.models.LOW.length === 2, 'added ahead of the existing models');
+
+  const added = promoteModel(models, 'low', 'qwen3');
+  assert(added.entry[0] === 'local' && added.entry[1] === 'qwen3', 'unknown model uses the tier\'s endpoint');
+
+  assert(promoteModel(models, 'high', 'gpt-4o').entry[1] === 'openai/gpt-4o', 'id without the vendor beats substring matches');
+  assert(/be more specific/.test(throws(() => promoteModel(models, 'high', 'openai')) || ''), 'ambiguous substring');
+  assert(/Unknown tier/.test(throws(() => promoteModel(models, 'huge', 'gpt-4o')) || ''), 'unknown tier');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All slash command tests passed');
+}
@@ -0,0 +1,174 @@
+/**
+ * Task library - Saved goals with Mustache parameters
+ * Run from chat as `/name key=value key2="two words"`, from the task picker, or with a keyboard
+ * shortcut (manifest commands run-task-1..4). The service worker renders the goal with the executor's
+ * Mustache rendering, so context variables such as {{current_datetime}} work as in action prompts.
+ *
+ * Task: { name, goal, shortcut? }   name: lowercase, digits and dashes; shortcut: command slot 1-4
+ * Run:  { traceId, startedAt, duration, status: 'done' | 'error' | 'cancelled', args, error? }
+ */
+// @ts-ignore - mustache module format differs from types
+import Mustache from 'mustache';
+import { getKnownContextVars } from './actions/context-provider.js';
+import { getCommand } from './slash-commands.js';
+
+const STORAGE_KEY = 'tasks';
+const RUNS_KEY = 'taskRuns';
+const MAX_RUNS = 20;
+
+// Read-modify-writes of the library and its run history, one at a time, so overlapping saves and runs do not drop each other's updates
+let storageQueue = Promise.resolve();
+
+function serialized(update) {
+  const result = storageQueue.then(update);
+  storageQueue = result.catch(() => {});
+  return result;
+}
+
+export const SHORTCUT_SLOTS = [1, 2, 3, 4];
+export const shortcutCommand = slot => `run-task-${slot}`;
+
+export async function getTasks() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+export async function getTask(name) {
+  return (await getTasks()).find(t => t.name === name) || null;
+}
+
+/**
+ * Check a task against the rest of the library
+ * @returns {string[]} errors (empty = valid)
+ */
+export function validateTask(task, others = []) {
+  const errors = [];
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(task.name || '')) errors.push('Name: use lowercase letters, digits and dashes (e.g. "team-blockers")');
+  else if (getCommand(task.name)) errors.push(`Name: /${task.name} is a built-in command`);
+  else if (others.some(t => t.name === task.name)) errors.push(`Name: "${task.name}" already exists`);
+  if (!String(task.goal || '').trim()) errors.push('Goal: describe what the task should do');
+  else {
+    try { Mustache.parse(task.goal); } catch (e) { errors.push(`Goal: invalid template (${e.message})`); }
+  }
+  if (task.shortcut != null) {
+    if (!SHORTCUT_SLOTS.includes(task.shortcut)) errors.push(`Shortcut: choose slot ${SHORTCUT_SLOTS.join(', ')}`);
+    const taken = others.find(t => t.shortcut === task.shortcut);
+    if (taken) errors.push(`Shortcut: slot ${task.shortcut} is used by "${taken.name}"`);
+  }
+  return errors;
+}
+
+/**
+ * Save a task, replacing the one named previousName (renames keep its place and run history)
+ * @returns {Promise<string[]>} errors; nothing is saved unless empty
+ */
+export function saveTask(task, previousName = null) {
+  return serialized(async () => {
+    const tasks = await getTasks();
+    const index = tasks.findIndex(t => t.name === (previousName ?? task.name));
+    const errors = validateTask(task, tasks.filter((_, i) => i !== index));
+    if (errors.length) return errors;
+
+    if (index === -1) tasks.push(task);
+    else tasks[index] = task;
+    await chrome.storage.local.set({ [STORAGE_KEY]: tasks });
+    if (previousName && previousName !== task.name) {
+      const runs = await getAllRuns();
+      runs[task.name] = runs[previousName] || [];
+      delete runs[previousName];
+      await chrome.storage.local.set({ [RUNS_KEY]: runs });
+    }
+    return [];
+  });
+}
+
+export function deleteTask(name) {
+  return serialized(async () => {
+    const [tasks, runs] = await Promise.all([getTasks(), getAllRuns()]);
+    delete runs[name];
+    await chrome.storage.local.set({ [STORAGE_KEY]: tasks.filter(t => t.name !== name), [RUNS_KEY]: runs });
+  });
+}
+
+// ============ Parameters ============
+
+/**
+ * Parameters the user supplies: template variables that are not context variables
+ */
+export function taskParams(goal) {
+  const known = new Set(getKnownContextVars());
+  const params = new Set();
+  const collect = tokens => {
+    for (const token of tokens) {
+      if (['name', '&', '#', '^'].includes(token[0]) && !known.has(token[1])) params.add(token[1]);
+      if (Array.isArray(token[4])) collect(token[4]);
+    }
+  };
+  collect(Mustache.parse(goal));
+  return [...params];
+}
+
+/**
+ * Parameters a run cannot do without: variables outside any section
+ * Sections ({{#flag}}, {{^flag}}) and what they contain render only for some values, so they may be left out.
+ */
+function requiredParams(goal) {
+  const known = new Set(getKnownContextVars());
+  const names = Mustache.parse(goal).filter(token => ['name', '&'].includes(token[0]) && !known.has(token[1])).map(token => token[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Split a chat command into task name and arguments
+ * `/name key=value key2="two words" rest` → { name, args: { key, key2 }, rest: 'rest' }
+ * @returns {{name: string, args: Record<string, string>, rest: string}|null} null when text is not a command
+ */
+export function parseTaskCommand(text) {
+  const match = String(text).trim().match(/^\/([a-z0-9][a-z0-9-]*)(?:\s+([\s\S]*))?$/);
+  if (!match) return null;
+  const args = {};
+  const rest = (match[2] || '').replace(/([A-Za-z_][\w-]*)=(?:"([^"]*)"|'([^']*)'|(\S*))/g, (_, key, dq, sq, bare) => {
+    args[key] = dq ?? sq ?? bare;
+    return '';
+  }).trim();
+  return { name: match[1], args, rest };
+}
+
+/**
+ * Arguments for a run: text after the name fills the only required parameter when it was not given as key=value
+ * @returns {{args: Record<string, string>, missing: string[]}} missing: required parameters without a value
+ */
+export function taskArguments(task, { args = {}, rest = '' } = {}) {
+  const required = requiredParams(task.goal);
+  const filled = { ...args };
+  const open = required.filter(p => !(p in filled));
+  if (rest && required.length === 1 && open.length === 1) filled[open[0]] = rest;
+  return { args: filled, missing: required.filter(p => !filled[p]) };
+}
+
+// Chat form of a run, also used to prefill the input when arguments are missing
+export function formatTaskCommand(name, args = {}, missing = []) {
+  const quote = value => (/\s/.test(value) ? `"${value}"` : value);
+  const parts = [...Object.entries(args).map(([k, v]) => `${k}=${quote(v)}`), ...missing.map(p => `${p}=`)];
+  return [`/${name}`, ...parts].join(' ');
+}
+
+// ============ Run history ============
+
+async function getAllRuns() {
+  const stored = await chrome.storage.local.get(RUNS_KEY);
+  return stored[RUNS_KEY] || {};
+}
+
+// Newest first
+export async function getTaskRuns(name) {
+  return (await getAllRuns())[name] || [];
+}
+
+export function recordTaskRun(name, run) {
+  return serialized(async () => {
+    const runs = await getAllRuns();
+    runs[name] = [run, ...(runs[name] || [])].slice(0, MAX_RUNS);
+    await chrome.storage.local.set({ [RUNS_KEY]: runs });
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * Task library tests - Run: npx tsx modules/tasks.test.ts
+ */
+import { parseTaskCommand, taskParams, taskArguments, formatTaskCommand, validateTask, getTasks, saveTask, getTaskRuns, recordTaskRun } from './tasks.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+// Chat commands split into name, key=value arguments and leftover text
+{
+  const cmd = parseTaskCommand('/team-blockers team=core board="Sprint 12" since=\'last week\'');
+  assert(cmd?.name === 'team-blockers', 'name parsed');
+  assert(cmd?.args.team === 'core' && cmd?.args.board === 'Sprint 12' && cmd?.args.since === 'last week', `quoted and bare values: got ${JSON.stringify(cmd?.args)}`);
+  assert(cmd?.rest === '', 'nothing left over');
+  assert(parseTaskCommand('/summarize the release notes')?.rest === 'the release notes', 'free text kept as rest');
+  assert(parseTaskCommand('open /settings') === null, 'not a command unless it starts with /');
+  assert(parseTaskCommand('/Bad_Name') === null, 'names are lowercase with dashes');
+}
+
+// Parameters are the template variables that are not context variables
+{
+  assert(JSON.stringify(taskParams('Filter by {{team}} on {{{board}}} at {{current_datetime}}')) === '["team","board"]', 'context variables excluded');
+  assert(JSON.stringify(taskParams('{{#urgent}}Only {{label}} issues{{/urgent}}')) === '["urgent","label"]', 'sections and their contents');
+}
+
+// Arguments: free text fills a single parameter; anything else missing is reported
+{
+  const one = { name: 'summarize', goal: 'Summarize {{topic}}' };
+  assert(taskArguments(one, { rest: 'the release notes' }).args.topic === 'the release notes', 'rest fills the only parameter');
+  assert(taskArguments(one, {}).missing[0] === 'topic', 'missing parameter reported');
+  const two = { name: 'compare', goal: 'Compare {{a}} with {{b}}' };
+  const result = taskArguments(two, { args: { a: 'x' }, rest: 'y' });
+  assert(JSON.stringify(result.missing) === '["b"]', 'rest is ignored when several parameters exist');
+  assert(formatTaskCommand('compare', result.args, result.missing) === '/compare a=x b=', 'command prefill lists missing parameters');
+  assert(formatTaskCommand('compare', { a: 'two words' }) === '/compare a="two words"', 'values with spaces are quoted');
+}
+
+// Sections and the variables inside them are optional
+{
+  const sections = { name: 'triage', goal: 'Triage {{board}}{{#urgent}} urgent {{label}} issues{{/urgent}}{{^mine}} for everyone{{/mine}}' };
+  const result = taskArguments(sections, { rest: 'Sprint 12' });
+  assert(result.missing.length === 0, `only board is required: missing ${result.missing.join(', ')}`);
+  assert(result.args.board === 'Sprint 12', 'rest fills the only required parameter');
+  assert(JSON.stringify(taskArguments({ name: 'flags', goal: '{{#urgent}}Hurry{{/urgent}}' }, {}).missing) === '[]', 'section-only goal needs nothing');
+}
+
+// Names, goals and shortcut slots are validated against the library
+{
+  const others = [{ name: 'daily', goal: 'Check mail', shortcut: 1 }];
+  assert(validateTask({ name: 'weekly', goal: 'Plan {{week}}' }, others).length === 0, 'valid task');
+  assert(validateTask({ name: 'daily', goal: 'x' }, others).some(e => e.includes('already exists')), 'duplicate name');
+  assert(validateTask({ name: 'summarize', goal: 'x' }, others).some(e => e.includes('/summarize is a built-in command')), 'built-in command name');
+  assert(validateTask({ name: 'Weekly Plan', goal: 'x' }, others).some(e => e.startsWith('Name')), 'name format');
+  assert(validateTask({ name: 'weekly', goal: '  ' }, others).some(e => e.startsWith('Goal')), 'empty goal');
+  assert(validateTask({ name: 'weekly', goal: 'Plan {{#week}}' }, others).some(e => e.includes('invalid template')), 'unclosed section');
+  assert(validateTask({ name: 'weekly', goal: 'x', shortcut: 1 }, others).some(e => e.includes('used by "daily"')), 'shortcut slot taken');
+  assert(validateTask({ name: 'weekly', goal: 'x', shortcut: 9 }, others).some(e => e.startsWith('Shortcut')), 'unknown slot');
+}
+
+// Overlapping saves and run records all apply (storage reads take a moment, like the real one)
+{
+  const store: Record<string, unknown> = {};
+  const tick = () => new Promise(r => setTimeout(r, 5));
+  const local = {
+    get: async (key: string) => { await tick(); return key in store ? { [key]: structuredClone(store[key]) } : {}; },
+    set: async (items: Record<string, unknown>) => { await tick(); Object.assign(store, structuredClone(items)); }
+  };
+  Object.assign(globalThis, { chrome: { storage: { local } } });
+  await Promise.all([saveTask({ name: 'daily', goal: 'Check mail' }), saveTask({ name: 'weekly', goal: 'Plan the week' })]);
+  assert((await getTasks() as Array<{ name: string }>).map(t => t.name).join() === 'daily,weekly', 'both tasks saved');
+  await Promise.all([1, 2, 3].map(n => recordTaskRun('daily', { traceId: `t${n}`, status: 'done' })));
+  assert((await getTaskRuns('daily')).length === 3, 'every run recorded');
+  delete (globalThis as { chrome?: unknown }).chrome;
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All task tests passed');
+}
@@ -47,7 +47,9 @@ function setupSettingsTabs() {
   const tabs = document.querySelectorAll('[data-settings-tab]');
   const tabPanels = {
     models: elements.settingsModelsTab,
-    ui: elements.settingsUiTab
+    ui: elements.settingsUiTab,
+    actions: elements.settingsActionsTab,
+    library: elements.settingsLibraryTab
   };
 
   tabs.forEach(tab => {
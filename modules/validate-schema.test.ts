@@ -0,0 +1,132 @@
+/**
+ * Schema validation tests - Run: npx tsx modules/validate-schema.test.ts
+ */
+import { validateSchema } from './validate-schema.js';
+import type { JSONSchema } from './actions/types/index.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const FORM_SCHEMA: JSONSchema = {
+  type: 'object',
+  properties: {
+    tabId: { type: 'string' },
+    direction: { type: 'string', enum: ['up', 'down'] },
+    submit: { type: 'boolean' },
+    pixels: { type: 'number' },
+    form_fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { ref: { type: 'string' }, value: { type: 'string' } },
+        required: ['ref', 'value'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['tabId'],
+  additionalProperties: false
+};
+
+// Test: valid input passes unchanged
+{
+  const input = { tabId: 't1', form_fields: [{ ref: 'e1', value: 'x' }] };
+  const { valid, errors, value } = validateSchema(input, FORM_SCHEMA);
+  assert(valid, `valid input should pass, got: ${errors.join('; ')}`);
+  assert(JSON.stringify(value) === JSON.stringify(input), 'valid input should be unchanged');
+}
+
+// Test: missing required field reports its path
+{
+  const { valid, errors } = validateSchema({}, FORM_SCHEMA);
+  assert(!valid, 'missing required should fail');
+  assert(errors.includes('$.tabId: missing required field'), `missing field path, got: ${errors.join('; ')}`);
+}
+
+// Test: safe coercions for booleans, numbers and strings
+{
+  const { valid, value } = validateSchema({ tabId: 3, submit: 'true', pixels: '300' }, FORM_SCHEMA);
+  const v = value as Record<string, unknown>;
+  assert(valid, 'coercible input should pass');
+  assert(v.submit === true, '"true" should coerce to true');
+  assert(v.pixels === 300, '"300" should coerce to 300');
+  assert(v.tabId === '3', '3 should coerce to "3" for string fields');
+}
+
+// Test: coercion can be disabled
+{
+  const { valid, errors } = validateSchema({ tabId: 't1', submit: 'true' }, FORM_SCHEMA, { coerce: false });
+  assert(!valid, 'uncoerced string boolean should fail');
+  assert(errors[0] === '$.submit: expected boolean, got string', `type error message, got: ${errors[0]}`);
+}
+
+// Test: non-numeric strings are not coerced to numbers
+{
+  const { valid, errors } = validateSchema({ tabId: 't1', pixels: 'lots' }, FORM_SCHEMA);
+  assert(!valid, 'non-numeric string should fail number check');
+  assert(errors[0].startsWith('$.pixels:'), 'number error should carry path');
+}
+
+// Test: enum violations
+{
+  const { valid, errors } = validateSchema({ tabId: 't1', direction: 'left' }, FORM_SCHEMA);
+  assert(!valid, 'enum violation should fail');
+  assert(errors[0].includes('must be one of "up", "down"'), `enum message, got: ${errors[0]}`);
+}
+
+// Test: nested items are validated with array index paths
+{
+  const { valid, errors } = validateSchema({ tabId: 't1', form_fields: [{ ref: 'e1', value: 'a' }, { ref: 5 }] }, FORM_SCHEMA, { coerce: false });
+  assert(!valid, 'malformed item should fail');
+  assert(errors.includes('$.form_fields[1].ref: expected string, got number'), `item type path, got: ${errors.join('; ')}`);
+  assert(errors.includes('$.form_fields[1].value: missing required field'), `item required path, got: ${errors.join('; ')}`);
+}
+
+// Test: JSON-encoded arrays are parsed
+{
+  const { valid, value } = validateSchema({ tabId: 't1', form_fields: '[{"ref":"e1","value":"a"}]' }, FORM_SCHEMA);
+  assert(valid, 'JSON string array should coerce');
+  assert(Array.isArray((value as Record<string, unknown>).form_fields), 'form_fields should become an array');
+}
+
+// Test: additionalProperties: false, at top level and nested
+{
+  const { valid, errors } = validateSchema({ tabId: 't1', extra: 1, form_fields: [{ ref: 'e1', value: 'a', label: 'x' }] }, FORM_SCHEMA);
+  assert(!valid, 'extra properties should fail');
+  assert(errors.includes('$.extra: unexpected property'), 'top-level extra property path');
+  assert(errors.includes('$.form_fields[0].label: unexpected property'), 'nested extra property path');
+}
+
+// Test: additionalProperties check can be disabled
+{
+  const { valid } = validateSchema({ tabId: 't1', parent_messages: [] }, FORM_SCHEMA, { checkAdditional: false });
+  assert(valid, 'extra properties allowed when checkAdditional is false');
+}
+
+// Test: optional nulls are dropped, required nulls fail
+{
+  const { valid, value } = validateSchema({ tabId: 't1', submit: null }, FORM_SCHEMA);
+  assert(valid, 'optional null should pass');
+  assert(!('submit' in (value as object)), 'optional null should be removed');
+  const required = validateSchema({ tabId: null }, FORM_SCHEMA);
+  assert(!required.valid, 'required null should fail');
+}
+
+// Test: input is never mutated
+{
+  const input = { tabId: 't1', submit: 'false' };
+  validateSchema(input, FORM_SCHEMA);
+  assert(input.submit === 'false', 'input object should not be mutated');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All schema validation tests passed');
+}
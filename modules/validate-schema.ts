@@ -0,0 +1,114 @@
+/**
+ * JSON Schema validation for the subset in actions/types (type, properties,
+ * required, items, enum, additionalProperties) with safe coercions
+ * Errors carry JSON paths (e.g. "$.form_fields[0].ref") so an LLM can fix its own call
+ */
+import type { JSONSchema } from './actions/types/index.js';
+
+export interface ValidateOptions {
+  coerce?: boolean;             // Apply safe coercions like "true" → true, "3" → 3 (default: true)
+  checkAdditional?: boolean;    // Enforce additionalProperties: false (default: true)
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: string[];
+  value: unknown;               // Input with coercions applied (input is never mutated)
+}
+
+const DEFAULT_OPTIONS: Required<ValidateOptions> = {
+  coerce: true,
+  checkAdditional: true,
+};
+
+const isPlainObject = (v: unknown): v is Record<string, unknown> =>
+  typeof v === 'object' && v !== null && !Array.isArray(v);
+
+const TYPE_CHECKS: Record<JSONSchema['type'], (v: unknown) => boolean> = {
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  boolean: v => typeof v === 'boolean',
+  array: v => Array.isArray(v),
+  object: isPlainObject,
+};
+
+const typeOf = (v: unknown): string => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+
+/**
+ * Convert a value to the expected type when the conversion is lossless.
+ * Returns undefined when no safe coercion exists.
+ */
+function coerceValue(value: unknown, type: JSONSchema['type']): unknown {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (type === 'boolean' && (trimmed === 'true' || trimmed === 'false')) return trimmed === 'true';
+    if (type === 'number' && trimmed !== '' && Number.isFinite(Number(trimmed))) return Number(trimmed);
+    // Models sometimes send nested structures as JSON-encoded strings
+    if ((type === 'array' || type === 'object') && /^[[{]/.test(trimmed)) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (TYPE_CHECKS[type](parsed)) return parsed;
+      } catch { /* not JSON */ }
+    }
+  }
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) return String(value);
+  return undefined;
+}
+
+function validateValue(value: unknown, schema: JSONSchema, path: string, options: Required<ValidateOptions>, errors: string[]): unknown {
+  let current = value;
+
+  if (schema.type && !TYPE_CHECKS[schema.type](current)) {
+    const coerced = options.coerce ? coerceValue(current, schema.type) : undefined;
+    if (coerced === undefined) {
+      errors.push(`${path}: expected ${schema.type}, got ${typeOf(current)}`);
+      return current;
+    }
+    current = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(current as string | number | boolean)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(current)}`);
+  }
+
+  if (Array.isArray(current) && schema.items) {
+    const itemSchema = schema.items;
+    current = current.map((item, i) => validateValue(item, itemSchema, `${path}[${i}]`, options, errors));
+  }
+
+  if (isPlainObject(current) && (schema.properties || schema.required || schema.additionalProperties === false)) {
+    const properties = schema.properties || {};
+    const out: Record<string, unknown> = { ...current };
+
+    for (const field of schema.required || []) {
+      if (out[field] === undefined) errors.push(`${path}.${field}: missing required field`);
+    }
+    for (const [key, propSchema] of Object.entries(properties)) {
+      if (out[key] === undefined) continue;
+      // Optional fields sent as null are treated as omitted
+      if (out[key] === null && options.coerce && !schema.required?.includes(key)) {
+        delete out[key];
+        continue;
+      }
+      out[key] = validateValue(out[key], propSchema, `${path}.${key}`, options, errors);
+    }
+    if (schema.additionalProperties === false && options.checkAdditional) {
+      for (const key of Object.keys(out)) {
+        if (!(key in properties)) errors.push(`${path}.${key}: unexpected property`);
+      }
+    }
+    current = out;
+  }
+
+  return current;
+}
+
+/**
+ * Validate a value against a schema, applying safe coercions
+ */
+export function validateSchema(value: unknown, schema: JSONSchema, options: ValidateOptions = {}): ValidationResult {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const errors: string[] = [];
+  const coerced = validateValue(value, schema, '$', opts, errors);
+  return { valid: !errors.length, errors, value: coerced };
+}
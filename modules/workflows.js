@@ -0,0 +1,65 @@
+/**
+ * Workflows - Named recordings of the user's own page interactions, replayed by RUN_WORKFLOW
+ * Steps address their target by a11y role + name (and nth, the position among identical nodes)
+ * instead of refs, which change on every READ_PAGE. Recording lives in recorder.js and content.js.
+ *
+ * Step: { type: 'click' | 'fill' | 'select' | 'check' | 'submit' | 'navigate', target?: { role, name, nth },
+ *         value?, checked?, url?, secret? }   secret: a password field whose value was not recorded
+ */
+import { parseSerializedTree } from './a11y-tree.js';
+
+const STORAGE_KEY = 'workflows';
+
+export async function getWorkflows() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+export async function getWorkflow(name) {
+  return (await getWorkflows()).find(w => w.name === name) || null;
+}
+
+// Same name replaces the stored workflow
+export async function saveWorkflow(workflow) {
+  const workflows = (await getWorkflows()).filter(w => w.name !== workflow.name);
+  await chrome.storage.local.set({ [STORAGE_KEY]: [...workflows, workflow] });
+}
+
+export async function deleteWorkflow(name) {
+  const workflows = await getWorkflows();
+  await chrome.storage.local.set({ [STORAGE_KEY]: workflows.filter(w => w.name !== name) });
+}
+
+const normalize = text => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Find the ref of a recorded target in READ_PAGE content
+ * Exact role + name first (the nth of them, as recorded), then a unique whitespace/case-insensitive match.
+ * @returns {string|null} null when the target is missing or ambiguous
+ */
+export function resolveTarget(content, target) {
+  if (!target) return null;
+  const entries = parseSerializedTree(content).filter(e => e.role === (target.role || null));
+  const exact = entries.filter(e => e.name === target.name);
+  if (exact.length === 1) return exact[0].ref;
+  if (exact.length > 1) return exact[target.nth ?? -1]?.ref || null;
+  const loose = entries.filter(e => normalize(e.name) === normalize(target.name));
+  return loose.length === 1 ? loose[0].ref : null;
+}
+
+const targetLabel = target => target ? `${target.role || 'element'} "${target.name}"` : 'the page';
+
+/**
+ * One-line description of a recorded step
+ */
+export function describeWorkflowStep(step) {
+  switch (step.type) {
+    case 'click': return `Click ${targetLabel(step.target)}`;
+    case 'fill': return step.secret ? `Enter the password into ${targetLabel(step.target)}` : `Type "${step.value}" into ${targetLabel(step.target)}`;
+    case 'select': return `Select "${step.value}" in ${targetLabel(step.target)}`;
+    case 'check': return `${step.checked ? 'Check' : 'Uncheck'} ${targetLabel(step.target)}`;
+    case 'submit': return `Submit ${targetLabel(step.target)}`;
+    case 'navigate': return `Go to ${step.url}`;
+    default: return step.type;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Workflow tests - Run: npx tsx modules/workflows.test.ts
+ */
+import { parseSerializedTree } from './a11y-tree.js';
+import { resolveTarget, describeWorkflowStep } from './workflows.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const PAGE = `[e1] main
+  [e2] heading "Inbox"
+  [e3] button "Compose"
+  [e4] textbox "Search mail" (focused)
+  [e5] row "Invoice   March"
+  [e6] button "Delete" (disabled)
+  [e7] button "Delete"
+  [e8] checkbox "Remember me" (checked)
+  [e9] button (not pressed)
+text without a ref`;
+
+// READ_PAGE content parses back into ref, role and name, in document order
+{
+  const entries = parseSerializedTree(PAGE);
+  assert(entries.length === 9, `one entry per ref line: got ${entries.length}`);
+  assert(entries[2].ref === 'e3' && entries[2].role === 'button' && entries[2].name === 'Compose', 'role and name parsed');
+  assert(entries[7].name === 'Remember me', 'states are not part of the name');
+  assert(entries[8].role === 'button' && entries[8].name === '', 'unnamed element');
+  assert(entries[0].role === 'main', 'role without a name');
+}
+
+// Targets resolve by role + name, with nth telling identical elements apart
+{
+  assert(resolveTarget(PAGE, { role: 'button', name: 'Compose' }) === 'e3', 'unique exact match');
+  assert(resolveTarget(PAGE, { role: 'button', name: 'Delete', nth: 1 }) === 'e7', 'nth among identical elements');
+  assert(resolveTarget(PAGE, { role: 'button', name: 'Delete' }) === null, 'ambiguous without nth');
+  assert(resolveTarget(PAGE, { role: 'row', name: 'invoice march' }) === 'e5', 'whitespace and case-insensitive fallback');
+  assert(resolveTarget(PAGE, { role: 'link', name: 'Compose' }) === null, 'role must match');
+  assert(resolveTarget(PAGE, { role: 'button', name: 'Send' }) === null, 'missing target');
+  assert(resolveTarget(PAGE, undefined) === null, 'step without a target');
+}
+
+// Steps read as one line each; password values are never shown
+{
+  assert(describeWorkflowStep({ type: 'click', target: { role: 'button', name: 'Compose' } }) === 'Click button "Compose"', 'click');
+  assert(describeWorkflowStep({ type: 'fill', target: { role: 'textbox', name: 'Search mail' }, value: 'invoice' }) === 'Type "invoice" into textbox "Search mail"', 'fill');
+  assert(describeWorkflowStep({ type: 'fill', target: { role: 'textbox', name: 'Password' }, secret: true }) === 'Enter the password into textbox "Password"', 'secret fill');
+  assert(describeWorkflowStep({ type: 'check', target: { role: 'checkbox', name: 'Remember me' }, checked: false }) === 'Uncheck checkbox "Remember me"', 'uncheck');
+  assert(describeWorkflowStep({ type: 'navigate', url: 'https://example.com/' }) === 'Go to https://example.com/', 'navigate');
+}
+
+if (failed) {
+  console.error(`\n${failed} test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All workflow tests passed');
+}
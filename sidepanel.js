@@ -5,7 +5,8 @@ import { initDebug } from './modules/debug/index.js';
 import {
   showClarificationLoading,
   updateClarificationOptions,
-  getClarificationResponse
+  getClarificationResponse,
+  showApproval
 } from './modules/clarification-ui.js';
 
 // Notify background that panel is open
@@ -16,7 +17,7 @@ window.addEventListener('unload', () => {
   chrome.runtime.sendMessage({ action: 'panelClosed' });
 });
 
-// Listen for clarification requests from background
+// Listen for clarification and approval requests from background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'showClarificationLoading') {
     showClarificationLoading(message.questions);
@@ -26,6 +27,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false; // Don't keep channel open - we send separate message for response
   }
 
+  if (message.action === 'showApproval') {
+    showApproval(message.request).then(response => {
+      chrome.runtime.sendMessage({ action: 'approvalResponse', id: message.request.id, ...response });
+    });
+    return false;
+  }
+
   if (message.action === 'updateClarificationOptions') {
     updateClarificationOptions(message.config);
     return false;